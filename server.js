@@ -7,6 +7,9 @@ const sql = require('mssql');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const twilio = require('twilio');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const gazetteer = require('./data/gazetteer.json');
 
 // Initialize Express
 const app = express();
@@ -30,12 +33,32 @@ if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
     messages: {
       create: async (message) => {
         console.log('[Mock SMS] To:', message.to, 'Body:', message.body);
-        return { sid: 'mock_message_sid' };
+        return { sid: `mock_${crypto.randomUUID()}`, status: 'sent' };
       }
     }
   };
 }
 
+// Email over SMTP; point SMTP_HOST and SMTP_PORT at a local sink (e.g. MailHog on port 1025) to test
+let mailTransport;
+if (process.env.SMTP_HOST) {
+  mailTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+  console.log('SMTP email service initialized');
+} else {
+  console.warn('SMTP host not found. Email notifications will be logged instead.');
+  mailTransport = {
+    sendMail: async (mail) => {
+      console.log('[Mock Email] To:', mail.to, 'Subject:', mail.subject);
+      return { messageId: `mock_${crypto.randomUUID()}` };
+    }
+  };
+}
+
 // Database Configuration
 const dbConfig = {
   user: process.env.DB_USER,
@@ -48,13 +71,397 @@ const dbConfig = {
   }
 };
 
+// Blood Group Compatibility
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Donor groups whose red cells can be given to a recipient of each group
+const RED_CELL_COMPATIBILITY = {
+  'O-': ['O-'],
+  'O+': ['O+', 'O-'],
+  'A-': ['A-', 'O-'],
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'B-': ['B-', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'AB-': ['AB-', 'A-', 'B-', 'O-'],
+  'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-']
+};
+
+// Donor groups whose plasma can be given to a recipient of each group. Plasma carries the donor's
+// antibodies rather than their antigens, so this runs the other way round and AB gives to everyone.
+const PLASMA_COMPATIBILITY = {
+  'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+  'O+': ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'],
+  'A-': ['A-', 'A+', 'AB-', 'AB+'],
+  'A+': ['A+', 'A-', 'AB+', 'AB-'],
+  'B-': ['B-', 'B+', 'AB-', 'AB+'],
+  'B+': ['B+', 'B-', 'AB+', 'AB-'],
+  'AB-': ['AB-', 'AB+'],
+  'AB+': ['AB+', 'AB-']
+};
+
+// Platelets follow plasma for ABO, but carry enough red cells that Rh-negative recipients still need Rh-negative donors
+const PLATELET_COMPATIBILITY = Object.fromEntries(
+  Object.entries(PLASMA_COMPATIBILITY).map(([recipientGroup, donorGroups]) => [
+    recipientGroup,
+    recipientGroup.endsWith('-') ? donorGroups.filter(group => group.endsWith('-')) : donorGroups
+  ])
+);
+
+// Ranked so exact matches come first and universal donors are held back
+const COMPATIBILITY_RULES = {
+  'exact-match': { rank: 0, description: 'Same ABO group and Rh type' },
+  'rh-compatible': { rank: 1, description: 'Same ABO group, compatible Rh type' },
+  'abo-compatible': { rank: 2, description: 'Different ABO group, compatible for this component' },
+  'universal-donor': { rank: 3, description: 'Universal donor for this component, held back for when no other match exists' }
+};
+
+// Donor Eligibility
+// Minimum days between whole blood donations; donors without a recorded gender get the longer gap
+const DONATION_INTERVAL_DAYS = {
+  male: parseInt(process.env.DONATION_INTERVAL_DAYS_MALE, 10) || 90,
+  female: parseInt(process.env.DONATION_INTERVAL_DAYS_FEMALE, 10) || 120
+};
+
+const DEFERRAL_TYPES = ['Temporary', 'Permanent'];
+
+// Health Screening
+// Donors answer the current questionnaire before accepting a request; answers to older versions are refused
+const SCREENING_QUESTIONNAIRE_VERSION = 1;
+const SCREENING_QUESTIONNAIRES = {
+  1: [
+    { id: 'recentIllness', type: 'boolean', text: 'Have you had a fever, cold, diarrhoea or any other infection in the last 14 days?' },
+    {
+      id: 'medications',
+      type: 'choices',
+      options: ['none', 'antibiotics', 'aspirin', 'anticoagulants', 'isotretinoin', 'insulin'],
+      text: 'Which of these medicines have you taken in the last 30 days?'
+    },
+    { id: 'malariaTravel', type: 'boolean', text: 'Have you travelled to a malaria-endemic area in the last 3 months?' },
+    {
+      id: 'monthsSinceTattoo',
+      type: 'number',
+      optional: true,
+      text: 'How many months ago was your last tattoo, piercing or acupuncture? Leave blank if never.'
+    },
+    { id: 'haemoglobin', type: 'number', text: 'Haemoglobin in g/dL, from your last test' },
+    { id: 'weightKg', type: 'number', text: 'Weight in kg' }
+  ]
+};
+
+const MIN_HAEMOGLOBIN_G_DL = 12.5;
+const MIN_DONOR_WEIGHT_KG = 45;
+
+// Each rule that applies defers the donor for `days` (a number, or worked out from the answers),
+// or for good when `days` is null. Rules can depend on the component the donor would give.
+const SCREENING_RULES = [
+  { applies: answers => answers.recentIllness, days: 14, reason: 'Recent illness or infection' },
+  { applies: answers => answers.medications.includes('antibiotics'), days: 14, reason: 'Recent course of antibiotics' },
+  {
+    applies: (answers, component) => component === 'Platelets' && answers.medications.includes('aspirin'),
+    days: 3,
+    reason: 'Aspirin affects platelet function'
+  },
+  { applies: answers => answers.medications.includes('anticoagulants'), days: 30, reason: 'Taking anticoagulants' },
+  { applies: answers => answers.medications.includes('isotretinoin'), days: 30, reason: 'Taking isotretinoin' },
+  { applies: answers => answers.medications.includes('insulin'), days: null, reason: 'Insulin-dependent diabetes' },
+  { applies: answers => answers.malariaTravel, days: 90, reason: 'Recent travel to a malaria-endemic area' },
+  {
+    applies: answers => answers.monthsSinceTattoo !== null && answers.monthsSinceTattoo < 12,
+    days: answers => Math.ceil((12 - answers.monthsSinceTattoo) * 30),
+    reason: 'Tattoo, piercing or acupuncture in the last 12 months'
+  },
+  { applies: answers => answers.haemoglobin < MIN_HAEMOGLOBIN_G_DL, days: 30, reason: `Haemoglobin below ${MIN_HAEMOGLOBIN_G_DL} g/dL` },
+  { applies: answers => answers.weightKg < MIN_DONOR_WEIGHT_KG, days: 90, reason: `Weight below ${MIN_DONOR_WEIGHT_KG} kg` }
+];
+
+const SCREENING_OUTCOMES = ['Eligible', 'TemporaryDeferral', 'PermanentDeferral'];
+
+// What Donors.HealthStatus reads after each screening outcome
+const SCREENING_HEALTH_STATUS = {
+  Eligible: 'Fit to donate',
+  TemporaryDeferral: 'Temporarily deferred',
+  PermanentDeferral: 'Permanently deferred'
+};
+
+// A screening older than this no longer counts towards accepting a request
+const SCREENING_VALID_HOURS = parseInt(process.env.SCREENING_VALID_HOURS, 10) || 24;
+
+// Request Escalation
+// Minutes a pending request waits at each escalation step, by urgency
+const ESCALATION_TIMEOUT_MINUTES = {
+  Critical: parseInt(process.env.ESCALATION_TIMEOUT_CRITICAL, 10) || 10,
+  High: parseInt(process.env.ESCALATION_TIMEOUT_HIGH, 10) || 30,
+  Medium: parseInt(process.env.ESCALATION_TIMEOUT_MEDIUM, 10) || 60,
+  Low: parseInt(process.env.ESCALATION_TIMEOUT_LOW, 10) || 240
+};
+
+// Re-notify the donors, then move on to the next compatible donor, then alert the admins
+const ESCALATION_STEPS = ['Renotify', 'Reassign', 'AdminAlert'];
+const ESCALATION_REASSIGN_BATCH = parseInt(process.env.ESCALATION_REASSIGN_BATCH, 10) || 1;
+const ESCALATION_CHECK_INTERVAL_MS = parseInt(process.env.ESCALATION_CHECK_INTERVAL_MS, 10) || 60000;
+
+// Donation OTP
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 120;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+// Request Lifecycle
+// Allowed status changes; anything not listed here is rejected
+const REQUEST_TRANSITIONS = {
+  Pending: ['Accepted', 'Rejected', 'Completed', 'Cancelled', 'Expired'],
+  Accepted: ['Completed', 'Cancelled', 'Expired'],
+  Rejected: ['Cancelled'],
+  Completed: [],
+  Cancelled: [],
+  Expired: []
+};
+
+const DONATION_TRANSITIONS = {
+  Scheduled: ['Completed', 'Cancelled', 'NoShow'],
+  Completed: [],
+  Cancelled: [],
+  NoShow: []
+};
+
+// Pending or accepted requests older than this are expired by the scheduler, unless they carry their own required-by time
+const REQUEST_EXPIRY_HOURS = parseInt(process.env.REQUEST_EXPIRY_HOURS, 10) || 24;
+
+// Requesters choose the urgency; clients that send none keep getting Critical, as before
+const URGENCY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+const DEFAULT_URGENCY_LEVEL = 'Critical';
+const MAX_UNITS_PER_REQUEST = parseInt(process.env.MAX_UNITS_PER_REQUEST, 10) || 20;
+
+// Donation Appointments
+// Donors are reminded this long before their slot, and marked as no-shows this long after it ends
+const APPOINTMENT_REMINDER_MINUTES = parseInt(process.env.APPOINTMENT_REMINDER_MINUTES, 10) || 120;
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 60;
+const APPOINTMENT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Slots offered to a donor straight after they accept
+const SLOT_SUGGESTION_LIMIT = 5;
+// Appointment times in SMS and notifications are written in the blood bank's local time
+const LOCAL_TIME_ZONE = process.env.LOCAL_TIME_ZONE || 'Asia/Kolkata';
+
+// Donation Camps
+const CAMP_TRANSITIONS = {
+  Planned: ['Open', 'Cancelled'],
+  Open: ['Closed', 'Cancelled'],
+  Closed: [],
+  Cancelled: []
+};
+// Invited -> Registered -> CheckedIn -> Donated; screening at check-in can defer instead
+const CAMP_REGISTRATION_STATUSES = ['Invited', 'Registered', 'CheckedIn', 'Donated', 'Deferred', 'Cancelled'];
+// How far from the venue donors are invited from, and how many invitations one call sends
+const CAMP_INVITE_RADIUS_KM = parseFloat(process.env.CAMP_INVITE_RADIUS_KM) || 25;
+const CAMP_INVITE_BATCH_SIZE = parseInt(process.env.CAMP_INVITE_BATCH_SIZE, 10) || 200;
+
+// Donor Reminders
+// Donors hear when they can give again, and inactive donors are nudged now and then, never
+// more than the cap allows across every non-emergency message
+const REMINDER_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const REENGAGEMENT_INACTIVE_DAYS = parseInt(process.env.REENGAGEMENT_INACTIVE_DAYS, 10) || 180;
+const REENGAGEMENT_INTERVAL_DAYS = parseInt(process.env.REENGAGEMENT_INTERVAL_DAYS, 10) || 90;
+const REMINDER_MAX_PER_30_DAYS = parseInt(process.env.REMINDER_MAX_PER_30_DAYS, 10) || 2;
+// Days of the week (0 = Sunday, local time) each availability window covers
+const AVAILABILITY_WINDOWS = {
+  Any: [0, 1, 2, 3, 4, 5, 6],
+  Weekdays: [1, 2, 3, 4, 5],
+  Weekends: [0, 6]
+};
+// Local hours donors who have not chosen their own quiet hours are left alone
+const DEFAULT_QUIET_HOURS = { start: 21, end: 8 };
+
+// Blood Units
+// Days a whole blood bag can be stored, and how far ahead admins are warned about expiry
+const UNIT_SHELF_LIFE_DAYS = parseInt(process.env.UNIT_SHELF_LIFE_DAYS, 10) || 35;
+const UNIT_EXPIRY_WARNING_DAYS = parseInt(process.env.UNIT_EXPIRY_WARNING_DAYS, 10) || 3;
+const UNIT_EXPIRY_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_TRANSITIONS = {
+  Quarantined: ['Available', 'Separated', 'Discarded', 'Expired'],
+  Available: ['Reserved', 'Issued', 'Separated', 'Discarded', 'Expired'],
+  Reserved: ['Available', 'Issued', 'InTransit', 'Discarded', 'Expired'],
+  InTransit: ['Available', 'Discarded', 'Expired'],
+  Issued: [],
+  Separated: [],
+  Discarded: [],
+  Expired: []
+};
+
+// Blood Components
+// Whole blood bags can be separated into red cells, plasma and platelets; plasma and platelets can
+// also be collected directly by apheresis. `collectedAs` is what a donor gives to meet a request for
+// the component, and a null donation interval means the whole blood gap for the donor's gender.
+const BLOOD_COMPONENTS = {
+  WholeBlood: {
+    label: 'whole blood',
+    shelfLifeDays: UNIT_SHELF_LIFE_DAYS,
+    expiryWarningDays: UNIT_EXPIRY_WARNING_DAYS,
+    compatibility: RED_CELL_COMPATIBILITY,
+    universalDonors: ['O-'],
+    collectedAs: 'WholeBlood',
+    donationIntervalDays: null
+  },
+  PRBC: {
+    label: 'packed red cells',
+    shelfLifeDays: 42,
+    expiryWarningDays: UNIT_EXPIRY_WARNING_DAYS,
+    compatibility: RED_CELL_COMPATIBILITY,
+    universalDonors: ['O-'],
+    collectedAs: 'WholeBlood',
+    donationIntervalDays: null
+  },
+  Plasma: {
+    label: 'plasma',
+    shelfLifeDays: 365,
+    expiryWarningDays: 30,
+    compatibility: PLASMA_COMPATIBILITY,
+    universalDonors: ['AB+', 'AB-'],
+    collectedAs: 'Plasma',
+    donationIntervalDays: 14
+  },
+  Platelets: {
+    label: 'platelets',
+    shelfLifeDays: 5,
+    expiryWarningDays: 1,
+    compatibility: PLATELET_COMPATIBILITY,
+    universalDonors: ['AB-'],
+    collectedAs: 'Platelets',
+    donationIntervalDays: 2
+  }
+};
+
+const DEFAULT_COMPONENT = 'WholeBlood';
+
+// What a whole blood bag is split into when it is separated
+const SEPARATED_COMPONENTS = ['PRBC', 'Plasma', 'Platelets'];
+
+// Inter-hospital Transfers
+// The requesting hospital raises a transfer; the supplying hospital approves and dispatches it
+const TRANSFER_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected', 'Cancelled'],
+  Approved: ['Dispatched', 'Cancelled'],
+  Dispatched: ['Received'],
+  Received: [],
+  Rejected: [],
+  Cancelled: []
+};
+
+// Stock Thresholds
+// Fallback levels for groups an admin has not configured yet
+const DEFAULT_MINIMUM_UNITS = parseInt(process.env.DEFAULT_MINIMUM_UNITS, 10) || 5;
+const DEFAULT_TARGET_UNITS = parseInt(process.env.DEFAULT_TARGET_UNITS, 10) || 15;
+const STOCK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// A donor gets at most one recruitment message per cooldown, and one drive contacts at most a batch
+const RECRUITMENT_COOLDOWN_DAYS = parseInt(process.env.RECRUITMENT_COOLDOWN_DAYS, 10) || 14;
+const RECRUITMENT_BATCH_SIZE = parseInt(process.env.RECRUITMENT_BATCH_SIZE, 10) || 50;
+
+// Donor Reliability
+// How much each part of a donor's history counts towards their 0-100 score (weights sum to 1)
+const RELIABILITY_WEIGHTS = {
+  acceptance: 0.35,
+  responseTime: 0.2,
+  attendance: 0.25,
+  rest: 0.2
+};
+// Median replies at or under the fast mark score full marks, at or over the slow mark score none
+const RELIABILITY_FAST_RESPONSE_MINUTES = 5;
+const RELIABILITY_SLOW_RESPONSE_MINUTES = 120;
+// Donors not contacted for this many days get the full rest bonus, spreading requests around
+const RELIABILITY_REST_DAYS = parseInt(process.env.RELIABILITY_REST_DAYS, 10) || 30;
+
+// Donor Location
+// Defaults for distance-ranked donor searches when the caller gives no radius or limit
+const DEFAULT_SEARCH_RADIUS_KM = parseFloat(process.env.DEFAULT_SEARCH_RADIUS_KM) || 15;
+const DEFAULT_SEARCH_LIMIT = parseInt(process.env.DEFAULT_SEARCH_LIMIT, 10) || 50;
+// A larger limit is cut down to this
+const MAX_SEARCH_LIMIT = parseInt(process.env.MAX_SEARCH_LIMIT, 10) || 500;
+// In a distance search a donor's match score is reliability plus nearness (100 at the origin,
+// 0 at the edge of the radius), weighted by this much nearness
+const DONOR_PROXIMITY_WEIGHT = parseFloat(process.env.DONOR_PROXIMITY_WEIGHT) || 0.4;
+const EARTH_RADIUS_KM = 6371;
+
+const GAZETTEER_INDEX = buildGazetteerIndex(gazetteer);
+
+// Real-time Protocol
+// Clients that connect with ?protocol=2 get typed envelopes, heartbeats, acknowledged notifications
+// and replay on reconnect; clients that send no version keep receiving the original bare messages
+const WS_PROTOCOL_VERSION = 2;
+const WS_HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30000;
+// Unacknowledged notifications this recent are replayed when a client reconnects
+const WS_REPLAY_HOURS = parseInt(process.env.WS_REPLAY_HOURS, 10) || 72;
+const WS_REPLAY_LIMIT = 100;
+// Dashboard topics admins can follow; `hospital:<id>` follows every topic for one site.
+// Admin sockets start on all of ADMIN_TOPICS, donor sockets only ever get their own events.
+const ADMIN_TOPICS = ['requests', 'donations', 'inventory', 'alerts', 'transfers', 'camps'];
+
+// Inbound SMS
+// Twilio signs webhooks with the URL it posted to; set this when the server sits behind a proxy
+// so the signature is checked against the public address rather than the one Express sees
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || null;
+// Words a donor can text back to an emergency request, in English, Hindi and Odia (script and romanised)
+const SMS_REPLY_KEYWORDS = {
+  accept: ['yes', 'y', 'ok', 'haan', 'han', 'ha', 'हाँ', 'हां', 'हा', 'ହଁ', 'ହଂ'],
+  decline: ['no', 'n', 'nahi', 'nahin', 'na', 'नहीं', 'नही', 'ना', 'ନା', 'ନାହିଁ', 'ନାହିଂ']
+};
+
+// Message Outbox
+// Every SMS and in-app notification is written to Outbox, in the same transaction as the change that
+// caused it, and delivered by a worker. Failed attempts are retried after 30s, 1m, 2m, ... and
+// dead-lettered once OUTBOX_MAX_ATTEMPTS is reached or the provider rejects the message outright.
+const OUTBOX_CHECK_INTERVAL_MS = parseInt(process.env.OUTBOX_CHECK_INTERVAL_MS, 10) || 15 * 1000;
+const OUTBOX_BATCH_SIZE = 50;
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 6;
+const OUTBOX_RETRY_BASE_SECONDS = 30;
+// A message claimed by a worker that died mid-send is picked up again after this long
+const OUTBOX_LEASE_MINUTES = 5;
+const OUTBOX_STATUSES = ['Pending', 'Sending', 'Queued', 'Sent', 'Delivered', 'Failed', 'DeadLetter'];
+// Twilio message statuses as outbox statuses
+const SMS_DELIVERY_STATUSES = {
+  accepted: 'Queued',
+  scheduled: 'Queued',
+  queued: 'Queued',
+  sending: 'Sent',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Delivered',
+  undelivered: 'Failed',
+  failed: 'Failed',
+  canceled: 'Failed'
+};
+// Status callbacks can arrive out of order, so a message never moves back to an earlier stage
+const DELIVERY_STAGES = { Sending: 0, Queued: 1, Sent: 2, Delivered: 3, Failed: 3 };
+
+// Notification Preferences
+// Every notification type belongs to a category, and users choose the channels for each category.
+// Categories a user has not set go to their default channels.
+const NOTIFICATION_CHANNELS = ['inapp', 'sms', 'email'];
+const NOTIFICATION_CATEGORIES = {
+  emergency: { types: ['emergency', 'escalation'], channels: ['inapp', 'sms', 'email'] },
+  donation: {
+    types: ['otp', 'appointment-cancelled', 'donation-cancelled', 'request-filled', 'donation-no-show'],
+    channels: ['inapp', 'sms']
+  },
+  reminder: { types: ['appointment-reminder', 'eligible-again', 'reengagement'], channels: ['inapp', 'sms'] },
+  camp: { types: ['camp-invite', 'camp-cancelled'], channels: ['inapp', 'sms'] },
+  recruitment: { types: ['recruitment'], channels: ['inapp', 'sms'] },
+  stock: { types: ['inventory-expiry'], channels: ['inapp'] }
+};
+// Donation OTPs travel in this category, so it must keep a channel that can carry the code
+const OTP_CHANNELS = ['sms', 'email'];
+const EMAIL_FROM = process.env.EMAIL_FROM || 'BloodCare <no-reply@bloodcare.local>';
+// Unsubscribe links get a key of their own; without UNSUBSCRIBE_SECRET one is derived from JWT_SECRET
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || (process.env.JWT_SECRET &&
+  Buffer.from(crypto.hkdfSync('sha256', process.env.JWT_SECRET, '', 'bloodcare-unsubscribe-links', 32)));
+
 // Database Connection Pool
 let pool;
-async function connectDB() {
+async function connectDB({ verifySchema = true } = {}) {
   try {
     pool = await sql.connect(dbConfig);
     console.log('Database connected successfully');
-    await verifyDatabaseSchema();
+    if (verifySchema) await verifyDatabaseSchema();
   } catch (err) {
     console.error('Database connection failed:', err);
     process.exit(1);
@@ -150,888 +557,9014 @@ async function verifyDatabaseSchema() {
       )
     `);
 
-    console.log('Database schema verified/created successfully');
-  } catch (err) {
-    console.error('Error verifying database schema:', err);
-    throw err;
-  }
-}
+    await pool.request().query(`
+      IF COL_LENGTH('Donors', 'Gender') IS NULL
+      ALTER TABLE Donors ADD Gender NVARCHAR(10) NULL CHECK (Gender IN ('male', 'female', 'other'))
+    `);
 
-// Active WebSocket Connections
-const connections = new Map();
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DonorDeferrals' AND xtype='U')
+      CREATE TABLE DonorDeferrals (
+        DeferralID INT IDENTITY(1,1) PRIMARY KEY,
+        DonorID INT NOT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        DeferralType NVARCHAR(20) NOT NULL CHECK (DeferralType IN ('Temporary', 'Permanent')),
+        Reason NVARCHAR(255) NOT NULL,
+        StartDate DATETIME NOT NULL DEFAULT GETDATE(),
+        EndDate DATETIME NULL,
+        CreatedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        RevokedAt DATETIME NULL
+      )
+    `);
 
-// WebSocket Connection Handler
-wss.on('connection', (ws, req) => {
-  const token = new URLSearchParams(req.url.split('?')[1]).get('token');
-  if (!token) return ws.close();
+    // Broadcast requests are only tied to a donor once someone accepts
+    await pool.request().query(`
+      IF COLUMNPROPERTY(OBJECT_ID('Requests'), 'DonorID', 'AllowsNull') = 0
+      BEGIN
+        ALTER TABLE Requests ALTER COLUMN DonorID INT NULL;
+        ALTER TABLE Requests ALTER COLUMN DonorName NVARCHAR(100) NULL;
+      END
+    `);
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    connections.set(decoded.userId, ws);
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'BloodGroup') IS NULL
+      ALTER TABLE Donations ADD BloodGroup NVARCHAR(5) NULL, Location NVARCHAR(255) NULL
+    `);
 
-    ws.on('error', (err) => {
-      console.error('WebSocket error:', err);
-      ws.close();
-    });
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='RequestAssignments' AND xtype='U')
+      CREATE TABLE RequestAssignments (
+        AssignmentID INT IDENTITY(1,1) PRIMARY KEY,
+        RequestID INT NOT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        DonorID INT NOT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Notified' CHECK (Status IN ('Notified', 'Accepted', 'Declined', 'Superseded')),
+        NotifiedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        RespondedAt DATETIME NULL,
+        CONSTRAINT UQ_RequestAssignment UNIQUE (RequestID, DonorID)
+      )
+    `);
 
-    ws.on('close', () => {
-      connections.delete(decoded.userId);
-    });
+    await pool.request().query(`
+      IF COL_LENGTH('Requests', 'EscalationLevel') IS NULL
+      ALTER TABLE Requests ADD
+        EscalationLevel INT NOT NULL DEFAULT 0,
+        LastEscalatedAt DATETIME NULL,
+        AcceptedAt DATETIME NULL
+    `);
 
-    ws.on('message', async (data) => {
-      try {
-        const message = JSON.parse(data);
-        if (message.type === 'response') {
-          await handleDonorResponse(message.requestId, message.accepted, decoded);
-        }
-      } catch (err) {
-        console.error('Message processing error:', err);
-      }
-    });
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='RequestEscalations' AND xtype='U')
+      CREATE TABLE RequestEscalations (
+        EscalationID INT IDENTITY(1,1) PRIMARY KEY,
+        RequestID INT NOT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        Step NVARCHAR(20) NOT NULL CHECK (Step IN ('Renotify', 'Reassign', 'AdminAlert')),
+        DonorID INT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        Details NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `);
 
-  } catch (err) {
-    console.error('WebSocket authentication error:', err);
-    ws.close();
-  }
-});
+    // OTPs are stored hashed on the accepted donor's scheduled donation
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'OTPHash') IS NULL
+      ALTER TABLE Donations ADD
+        OTPHash NVARCHAR(64) NULL,
+        OTPExpiry DATETIME NULL,
+        OTPSentAt DATETIME NULL
+    `);
 
-// Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+    await pool.request().query(`
+      IF COL_LENGTH('Requests', 'OTPFailedAttempts') IS NULL
+      ALTER TABLE Requests ADD
+        OTPFailedAttempts INT NOT NULL DEFAULT 0,
+        OTPLockedAt DATETIME NULL
+    `);
 
-// Routes
-app.get(['/', '/login'], (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'login.html'));
-});
+    // Wrong guesses count against each donor's own OTP, so one donor's lockout leaves the others alone
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'OTPFailedAttempts') IS NULL
+      ALTER TABLE Donations ADD
+        OTPFailedAttempts INT NOT NULL DEFAULT 0,
+        OTPLockedAt DATETIME NULL
+    `);
 
-app.get('/register', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'register.html'));
-});
+    await replaceCheckConstraint('Requests', 'Status', 'CK_Requests_Status', Object.keys(REQUEST_TRANSITIONS));
+    await replaceCheckConstraint('Donations', 'Status', 'CK_Donations_Status', Object.keys(DONATION_TRANSITIONS));
 
-app.get('/admin', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='RequestStatusHistory' AND xtype='U')
+      CREATE TABLE RequestStatusHistory (
+        HistoryID INT IDENTITY(1,1) PRIMARY KEY,
+        RequestID INT NOT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        DonationID INT NULL FOREIGN KEY REFERENCES Donations(DonationID),
+        Entity NVARCHAR(20) NOT NULL CHECK (Entity IN ('Request', 'Donation')),
+        FromStatus NVARCHAR(20) NULL,
+        ToStatus NVARCHAR(20) NOT NULL,
+        ActorUserID INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        ActorRole NVARCHAR(20) NOT NULL DEFAULT 'system',
+        Reason NVARCHAR(255) NULL,
+        ChangedAt DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `);
 
-app.get('/donor', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'donor.html'));
-});
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='IdempotencyKeys' AND xtype='U')
+      CREATE TABLE IdempotencyKeys (
+        IdempotencyKey NVARCHAR(100) NOT NULL,
+        Endpoint NVARCHAR(100) NOT NULL,
+        ActorUserID INT NOT NULL DEFAULT 0,
+        RequestHash NVARCHAR(64) NULL,
+        StatusCode INT NOT NULL,
+        ResponseBody NVARCHAR(MAX) NOT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT PK_IdempotencyKeys PRIMARY KEY (IdempotencyKey, Endpoint, ActorUserID)
+      )
+    `);
 
-// API Endpoints
+    // Keys are scoped to the caller, and remember the payload they were first used with
+    await pool.request().query(`
+      IF COL_LENGTH('IdempotencyKeys', 'ActorUserID') IS NULL
+      BEGIN
+        ALTER TABLE IdempotencyKeys ADD
+          ActorUserID INT NOT NULL DEFAULT 0,
+          RequestHash NVARCHAR(64) NULL;
+        ALTER TABLE IdempotencyKeys DROP CONSTRAINT PK_IdempotencyKeys;
+        EXEC('ALTER TABLE IdempotencyKeys ADD CONSTRAINT PK_IdempotencyKeys PRIMARY KEY (IdempotencyKey, Endpoint, ActorUserID)');
+      END
+    `);
 
-// Login Endpoint
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password, role } = req.body;
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='BloodUnits' AND xtype='U')
+      CREATE TABLE BloodUnits (
+        UnitID INT IDENTITY(1,1) PRIMARY KEY,
+        BagNumber NVARCHAR(40) NOT NULL UNIQUE,
+        DonationID INT NULL FOREIGN KEY REFERENCES Donations(DonationID),
+        BloodGroup NVARCHAR(5) NOT NULL CHECK (BloodGroup IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
+        CollectedAt DATETIME NOT NULL,
+        ExpiresAt DATETIME NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Quarantined',
+        StatusChangedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        IssuedAt DATETIME NULL,
+        IssuedTo NVARCHAR(100) NULL,
+        IssuedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        Notes NVARCHAR(255) NULL
+      )
+    `);
 
-    if (!email || !password || !role) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+    await replaceCheckConstraint('BloodUnits', 'Status', 'CK_BloodUnits_Status', Object.keys(UNIT_TRANSITIONS));
 
-    const result = await pool.request()
-      .input('email', sql.VarChar, email)
-      .query('SELECT * FROM Users WHERE Email = @email');
+    // Stock counted before bags were tracked becomes one placeholder bag per unit
+    await pool.request()
+      .input('shelfLife', sql.Int, UNIT_SHELF_LIFE_DAYS)
+      .query(`
+        IF NOT EXISTS (SELECT 1 FROM BloodUnits)
+        BEGIN
+          WITH Numbers AS (
+            SELECT TOP (10000) ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) AS n
+            FROM sys.all_objects a CROSS JOIN sys.all_objects b
+          )
+          INSERT INTO BloodUnits (BagNumber, BloodGroup, CollectedAt, ExpiresAt, Status)
+          SELECT
+            CONCAT('LEGACY-', i.BloodGroup, '-', n.n),
+            i.BloodGroup,
+            COALESCE(i.LastUpdated, GETDATE()),
+            DATEADD(day, @shelfLife, COALESCE(i.LastUpdated, GETDATE())),
+            'Available'
+          FROM BloodInventory i
+          JOIN Numbers n ON n.n <= i.UnitsAvailable;
+        END
+      `);
 
-    const user = result.recordset[0];
+    await pool.request().query(`
+      IF COL_LENGTH('BloodUnits', 'ReservedForRequestID') IS NULL
+      ALTER TABLE BloodUnits ADD ReservedForRequestID INT NULL FOREIGN KEY REFERENCES Requests(RequestID)
+    `);
 
-    if (!user || user.Role !== role) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='UnitIssues' AND xtype='U')
+      CREATE TABLE UnitIssues (
+        IssueID INT IDENTITY(1,1) PRIMARY KEY,
+        UnitID INT NOT NULL FOREIGN KEY REFERENCES BloodUnits(UnitID),
+        RequestID INT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        IssuedTo NVARCHAR(100) NOT NULL,
+        AuthorisedBy INT NOT NULL FOREIGN KEY REFERENCES Users(UserID),
+        IssuedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_UnitIssues_Unit UNIQUE (UnitID)
+      )
+    `);
 
-    const passwordMatch = await bcrypt.compare(password, user.PasswordHash);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    await pool.request().query(`
+      IF COL_LENGTH('BloodInventory', 'MinimumUnits') IS NULL
+      ALTER TABLE BloodInventory ADD MinimumUnits INT NULL, TargetUnits INT NULL
+    `);
 
-    const token = jwt.sign(
-      {
-        userId: user.UserID,
-        name: user.FullName,
-        email: user.Email,
-        phone: user.PhoneNumber,
-        bloodGroup: user.BloodGroup,
-        role: user.Role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ShortageAlerts' AND xtype='U')
+      CREATE TABLE ShortageAlerts (
+        AlertID INT IDENTITY(1,1) PRIMARY KEY,
+        BloodGroup NVARCHAR(5) NOT NULL,
+        Hospital VARCHAR(30) NULL,
+        UnitsAvailable INT NOT NULL,
+        MinimumUnits INT NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (Status IN ('Open', 'Acknowledged', 'Resolved')),
+        DonorsContacted INT NOT NULL DEFAULT 0,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        AcknowledgedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        AcknowledgedAt DATETIME NULL,
+        ResolvedAt DATETIME NULL
+      )
+    `);
 
-    await pool.request()
-      .input('userId', sql.Int, user.UserID)
-      .query('UPDATE Users SET LastLogin = GETDATE() WHERE UserID = @userId');
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DonorContacts' AND xtype='U')
+      CREATE TABLE DonorContacts (
+        ContactID INT IDENTITY(1,1) PRIMARY KEY,
+        DonorID INT NOT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        Purpose NVARCHAR(30) NOT NULL,
+        ContactedAt DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `);
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.UserID,
-        name: user.FullName,
-        email: user.Email,
-        role: user.Role
-      },
-      redirect: user.Role === 'admin' ? '/admin' : '/donor'
-    });
+    // database.sql names the hospital key `id`; the server uses HospitalID like its other tables
+    await pool.request().query(`
+      IF COL_LENGTH('Hospitals', 'id') IS NOT NULL AND COL_LENGTH('Hospitals', 'HospitalID') IS NULL
+      EXEC sp_rename 'Hospitals.id', 'HospitalID', 'COLUMN'
+    `);
 
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Server error during login' });
-  }
-});
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Hospitals' AND xtype='U')
+      CREATE TABLE Hospitals (
+        HospitalID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(100) NOT NULL UNIQUE,
+        Address NVARCHAR(200) NOT NULL,
+        City NVARCHAR(50) NOT NULL,
+        Phone NVARCHAR(20) NOT NULL,
+        Email NVARCHAR(100) NULL,
+        BloodBankCapacity INT NOT NULL
+      )
+    `);
 
-// Registration Endpoint
-app.post('/api/register', async (req, res) => {
-  try {
-    const { name, email, phone, password, bloodGroup, role } = req.body;
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT 1 FROM Hospitals)
+      INSERT INTO Hospitals (Name, Address, City, Phone, BloodBankCapacity)
+      VALUES
+        ('SUM Ultimate', 'GITA', 'Bhubaneswar', '1234567892', 500),
+        ('AMRI', 'Jaydevbihar', 'Bhubaneswar', '9362514210', 300),
+        ('APOLLO', 'Banibihar', 'Khordha', '6512485120', 400),
+        ('Kalinga', 'RCM', 'Bhubaneswar', '9862514251', 400),
+        ('AIMS', 'RCM', 'Bhubaneswar', '3215421580', 400)
+    `);
 
-    if (!name || !email || !phone || !password || !bloodGroup || !role) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+    // Stock is held per hospital, so each site keeps its own row per blood group
+    await pool.request().query(`
+      IF COL_LENGTH('BloodInventory', 'HospitalID') IS NULL
+      ALTER TABLE BloodInventory ADD HospitalID INT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID)
+    `);
 
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    }
+    // Rows whose hospital name matches no registered hospital are left unassigned and reported below
+    await pool.request().query(`
+      UPDATE i
+      SET HospitalID = h.HospitalID
+      FROM BloodInventory i
+      JOIN Hospitals h ON h.Name = i.Hospital
+      WHERE i.HospitalID IS NULL;
+
+      IF OBJECT_ID('UQ_BloodGroup', 'UQ') IS NOT NULL
+        ALTER TABLE BloodInventory DROP CONSTRAINT UQ_BloodGroup;
+
+      -- superseded by UQ_BloodInventory_Stock once stock is also split by component
+      IF OBJECT_ID('UQ_BloodInventory_Site', 'UQ') IS NULL AND OBJECT_ID('UQ_BloodInventory_Stock', 'UQ') IS NULL
+        ALTER TABLE BloodInventory ADD CONSTRAINT UQ_BloodInventory_Site UNIQUE (BloodGroup, HospitalID);
+    `);
 
-    const userExists = await pool.request()
-      .input('email', sql.VarChar, email)
-      .query('SELECT UserID FROM Users WHERE Email = @email');
+    await pool.request().query(`
+      IF COL_LENGTH('BloodUnits', 'HospitalID') IS NULL
+      ALTER TABLE BloodUnits ADD HospitalID INT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID)
+    `);
 
-    if (userExists.recordset.length > 0) {
-      return res.status(400).json({ error: 'Email already registered' });
+    // Bags recorded before stock was split by site stay with the site that held their group, if it is known
+    await pool.request().query(`
+      UPDATE u
+      SET HospitalID = (
+        SELECT TOP 1 i.HospitalID FROM BloodInventory i
+        WHERE i.BloodGroup = u.BloodGroup AND i.HospitalID IS NOT NULL
+        ORDER BY i.InventoryID
+      )
+      FROM BloodUnits u
+      WHERE u.HospitalID IS NULL
+    `);
+
+    const unassigned = await pool.request().query(`
+      SELECT
+        (SELECT COUNT(*) FROM BloodInventory WHERE HospitalID IS NULL) AS inventoryRows,
+        (SELECT COUNT(*) FROM BloodUnits WHERE HospitalID IS NULL) AS units
+    `);
+    const { inventoryRows, units: unassignedUnits } = unassigned.recordset[0];
+    if (inventoryRows > 0 || unassignedUnits > 0) {
+      console.warn(`${inventoryRows} inventory row(s) and ${unassignedUnits} blood unit(s) have no hospital. ` +
+        'They are left out of stock counts until their HospitalID is set.');
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    await pool.request().query(`
+      IF COL_LENGTH('ShortageAlerts', 'HospitalID') IS NULL
+      ALTER TABLE ShortageAlerts ADD HospitalID INT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID)
+    `);
 
-    const result = await pool.request()
-      .input('name', sql.VarChar, name)
-      .input('email', sql.VarChar, email)
-      .input('phone', sql.VarChar, phone)
-      .input('password', sql.VarChar, hashedPassword)
-      .input('bloodGroup', sql.VarChar, bloodGroup)
-      .input('role', sql.VarChar, role)
-      .query(`
-        INSERT INTO Users (FullName, Email, PhoneNumber, PasswordHash, BloodGroup, Role) 
-        OUTPUT INSERTED.UserID, INSERTED.FullName, INSERTED.Email, INSERTED.Role
-        VALUES (@name, @email, @phone, @password, @bloodGroup, @role)
-      `);
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='TransferRequests' AND xtype='U')
+      CREATE TABLE TransferRequests (
+        TransferID INT IDENTITY(1,1) PRIMARY KEY,
+        FromHospitalID INT NOT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID),
+        ToHospitalID INT NOT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID),
+        BloodGroup NVARCHAR(5) NOT NULL CHECK (BloodGroup IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
+        UnitsRequested INT NOT NULL CHECK (UnitsRequested > 0),
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Requested',
+        RequestedBy INT NOT NULL FOREIGN KEY REFERENCES Users(UserID),
+        Notes NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_TransferRequests_Sites CHECK (FromHospitalID <> ToHospitalID)
+      )
+    `);
 
-    const newUser = result.recordset[0];
+    await replaceCheckConstraint('TransferRequests', 'Status', 'CK_TransferRequests_Status', Object.keys(TRANSFER_TRANSITIONS));
 
-    if (role === 'donor') {
-      await pool.request()
-        .input('userId', sql.Int, newUser.UserID)
-        .query('INSERT INTO Donors (UserID) VALUES (@userId)');
-    }
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='TransferUnits' AND xtype='U')
+      CREATE TABLE TransferUnits (
+        TransferID INT NOT NULL FOREIGN KEY REFERENCES TransferRequests(TransferID),
+        UnitID INT NOT NULL FOREIGN KEY REFERENCES BloodUnits(UnitID),
+        CONSTRAINT PK_TransferUnits PRIMARY KEY (TransferID, UnitID)
+      )
+    `);
 
-    const token = jwt.sign(
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='TransferEvents' AND xtype='U')
+      CREATE TABLE TransferEvents (
+        EventID INT IDENTITY(1,1) PRIMARY KEY,
+        TransferID INT NOT NULL FOREIGN KEY REFERENCES TransferRequests(TransferID),
+        FromStatus NVARCHAR(20) NULL,
+        ToStatus NVARCHAR(20) NOT NULL,
+        ActorUserID INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        Details NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Hospitals', 'IsActive') IS NULL
+      ALTER TABLE Hospitals ADD IsActive BIT NOT NULL DEFAULT 1
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Requests', 'HospitalID') IS NULL
+      ALTER TABLE Requests ADD HospitalID INT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID)
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'HospitalID') IS NULL
+      ALTER TABLE Donations ADD HospitalID INT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID)
+    `);
+
+    // Link earlier requests whose free-text hospital matches a registered name
+    await pool.request().query(`
+      UPDATE r
+      SET HospitalID = h.HospitalID
+      FROM Requests r
+      JOIN Hospitals h ON h.Name = r.HospitalName
+      WHERE r.HospitalID IS NULL;
+
+      UPDATE dn
+      SET HospitalID = r.HospitalID
+      FROM Donations dn
+      JOIN Requests r ON dn.RequestID = r.RequestID
+      WHERE dn.HospitalID IS NULL
+        AND r.HospitalID IS NOT NULL;
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Donors', 'Latitude') IS NULL
+      ALTER TABLE Donors ADD
+        Address NVARCHAR(200) NULL,
+        City NVARCHAR(50) NULL,
+        Pincode NVARCHAR(10) NULL,
+        Latitude DECIMAL(9, 6) NULL,
+        Longitude DECIMAL(9, 6) NULL,
+        LocationPrecision NVARCHAR(10) NULL
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Hospitals', 'Latitude') IS NULL
+      ALTER TABLE Hospitals ADD
+        Pincode NVARCHAR(10) NULL,
+        Latitude DECIMAL(9, 6) NULL,
+        Longitude DECIMAL(9, 6) NULL
+    `);
+
+    const ungeocoded = await pool.request()
+      .query('SELECT HospitalID FROM Hospitals WHERE Latitude IS NULL');
+    for (const hospital of ungeocoded.recordset) {
+      await setHospitalLocation(hospital.HospitalID);
+    }
+
+    // What the donor actually answered. Status alone cannot tell a late acceptance from a donor
+    // who never replied, since both end up Superseded once the request is filled.
+    await pool.request().query(`
+      IF COL_LENGTH('RequestAssignments', 'Response') IS NULL
+      ALTER TABLE RequestAssignments ADD Response NVARCHAR(10) NULL CHECK (Response IN ('Accepted', 'Declined'))
+    `);
+
+    await pool.request().query(`
+      UPDATE RequestAssignments
+      SET Response = Status
+      WHERE Response IS NULL
+        AND Status IN ('Accepted', 'Declined')
+    `);
+
+    // A request can need several units, met by any mix of donations and issued stock
+    await pool.request().query(`
+      IF COL_LENGTH('Requests', 'UnitsRequired') IS NULL
+      ALTER TABLE Requests ADD
+        UnitsRequired INT NOT NULL DEFAULT 1 CHECK (UnitsRequired > 0),
+        RequiredBy DATETIME NULL
+    `);
+
+    // Stock, requests, donations, transfers and alerts are all for one blood component;
+    // rows from before components were tracked are whole blood
+    for (const table of ['BloodUnits', 'BloodInventory', 'Requests', 'Donations', 'TransferRequests', 'ShortageAlerts']) {
+      await pool.request().query(`
+        IF COL_LENGTH('${table}', 'Component') IS NULL
+        ALTER TABLE ${table} ADD Component NVARCHAR(20) NOT NULL DEFAULT '${DEFAULT_COMPONENT}'
+      `);
+      await replaceCheckConstraint(table, 'Component', `CK_${table}_Component`, Object.keys(BLOOD_COMPONENTS));
+    }
+
+    await pool.request().query(`
+      IF COL_LENGTH('BloodUnits', 'ParentUnitID') IS NULL
+      ALTER TABLE BloodUnits ADD ParentUnitID INT NULL FOREIGN KEY REFERENCES BloodUnits(UnitID)
+    `);
+
+    await pool.request().query(`
+      IF OBJECT_ID('UQ_BloodInventory_Site', 'UQ') IS NOT NULL
+        ALTER TABLE BloodInventory DROP CONSTRAINT UQ_BloodInventory_Site;
+
+      IF OBJECT_ID('UQ_BloodInventory_Stock', 'UQ') IS NULL
+        ALTER TABLE BloodInventory ADD CONSTRAINT UQ_BloodInventory_Stock UNIQUE (BloodGroup, Component, HospitalID);
+    `);
+
+    // At most one open shortage alert per stock line, however many stock checks race to raise it.
+    // Duplicates left by earlier runs are resolved first, keeping the oldest.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_ShortageAlerts_Open')
+      BEGIN
+        UPDATE a
+        SET Status = 'Resolved', ResolvedAt = GETDATE()
+        FROM ShortageAlerts a
+        WHERE a.Status IN ('Open', 'Acknowledged')
+          AND EXISTS (
+            SELECT 1 FROM ShortageAlerts older
+            WHERE older.BloodGroup = a.BloodGroup
+              AND older.Component = a.Component
+              AND (older.HospitalID = a.HospitalID OR (older.HospitalID IS NULL AND a.HospitalID IS NULL))
+              AND older.Status IN ('Open', 'Acknowledged')
+              AND older.AlertID < a.AlertID
+          );
+
+        CREATE UNIQUE INDEX UX_ShortageAlerts_Open
+        ON ShortageAlerts (BloodGroup, Component, HospitalID)
+        WHERE Status IN ('Open', 'Acknowledged');
+      END
+    `);
+
+    // The gap before a donor can give again depends on what they gave last
+    await pool.request().query(`
+      IF COL_LENGTH('Donors', 'LastDonationComponent') IS NULL
+      ALTER TABLE Donors ADD LastDonationComponent NVARCHAR(20) NULL
+    `);
+
+    // Answers to the pre-donation questionnaire, kept with the donation they cleared
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DonorScreenings' AND xtype='U')
+      CREATE TABLE DonorScreenings (
+        ScreeningID INT IDENTITY(1,1) PRIMARY KEY,
+        DonorID INT NOT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        RequestID INT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        QuestionnaireVersion INT NOT NULL,
+        Answers NVARCHAR(MAX) NOT NULL,
+        Outcome NVARCHAR(20) NOT NULL CHECK (Outcome IN ('Eligible', 'TemporaryDeferral', 'PermanentDeferral')),
+        Reasons NVARCHAR(MAX) NULL,
+        DeferralID INT NULL FOREIGN KEY REFERENCES DonorDeferrals(DeferralID),
+        CompletedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ReviewedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        ReviewedAt DATETIME NULL
+      )
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'ScreeningID') IS NULL
+      ALTER TABLE Donations ADD ScreeningID INT NULL FOREIGN KEY REFERENCES DonorScreenings(ScreeningID)
+    `);
+
+    // Donors who try to accept but fail screening are recorded separately from those who decline
+    await replaceCheckConstraint('RequestAssignments', 'Status', 'CK_RequestAssignments_Status',
+      ['Notified', 'Accepted', 'Declined', 'Superseded', 'Deferred']);
+
+    // Hospitals publish donation slots; BookedCount is kept within Capacity by the database as well
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DonationSlots' AND xtype='U')
+      CREATE TABLE DonationSlots (
+        SlotID INT IDENTITY(1,1) PRIMARY KEY,
+        HospitalID INT NOT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID),
+        StartsAt DATETIME NOT NULL,
+        EndsAt DATETIME NOT NULL,
+        Capacity INT NOT NULL,
+        BookedCount INT NOT NULL DEFAULT 0,
+        CancelledAt DATETIME NULL,
+        CreatedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_DonationSlots_Times CHECK (EndsAt > StartsAt),
+        CONSTRAINT CK_DonationSlots_Booked CHECK (Capacity > 0 AND BookedCount BETWEEN 0 AND Capacity)
+      )
+    `);
+
+    await pool.request().query(`
+      IF COL_LENGTH('Donations', 'SlotID') IS NULL
+      ALTER TABLE Donations ADD SlotID INT NULL FOREIGN KEY REFERENCES DonationSlots(SlotID);
+
+      IF COL_LENGTH('Donations', 'ReminderSentAt') IS NULL
+      ALTER TABLE Donations ADD ReminderSentAt DATETIME NULL;
+    `);
+
+    // Camps collect from walk-in and registered donors rather than against a request
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DonationCamps' AND xtype='U')
+      CREATE TABLE DonationCamps (
+        CampID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(150) NOT NULL,
+        Venue NVARCHAR(255) NOT NULL,
+        City NVARCHAR(100) NULL,
+        Latitude DECIMAL(9,6) NOT NULL,
+        Longitude DECIMAL(9,6) NOT NULL,
+        HospitalID INT NOT NULL FOREIGN KEY REFERENCES Hospitals(HospitalID),
+        StartsAt DATETIME NOT NULL,
+        EndsAt DATETIME NOT NULL,
+        TargetUnits INT NOT NULL CHECK (TargetUnits > 0),
+        GroupTargets NVARCHAR(MAX) NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Planned',
+        CreatedBy INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_DonationCamps_Times CHECK (EndsAt > StartsAt)
+      )
+    `);
+
+    await replaceCheckConstraint('DonationCamps', 'Status', 'CK_DonationCamps_Status', Object.keys(CAMP_TRANSITIONS));
+
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CampRegistrations' AND xtype='U')
+      CREATE TABLE CampRegistrations (
+        RegistrationID INT IDENTITY(1,1) PRIMARY KEY,
+        CampID INT NOT NULL FOREIGN KEY REFERENCES DonationCamps(CampID),
+        DonorID INT NOT NULL FOREIGN KEY REFERENCES Donors(DonorID),
+        Status NVARCHAR(20) NOT NULL,
+        InvitedAt DATETIME NULL,
+        RegisteredAt DATETIME NULL,
+        CheckedInAt DATETIME NULL,
+        ScreeningID INT NULL FOREIGN KEY REFERENCES DonorScreenings(ScreeningID),
+        DonationID INT NULL FOREIGN KEY REFERENCES Donations(DonationID),
+        CONSTRAINT UQ_CampRegistrations_Donor UNIQUE (CampID, DonorID)
+      )
+    `);
+
+    await replaceCheckConstraint('CampRegistrations', 'Status', 'CK_CampRegistrations_Status', CAMP_REGISTRATION_STATUSES);
+
+    // Camp donations have no request behind them
+    await pool.request().query(`
+      IF COLUMNPROPERTY(OBJECT_ID('Donations'), 'RequestID', 'AllowsNull') = 0
+      ALTER TABLE Donations ALTER COLUMN RequestID INT NULL;
+
+      IF COL_LENGTH('Donations', 'CampID') IS NULL
+      ALTER TABLE Donations ADD CampID INT NULL FOREIGN KEY REFERENCES DonationCamps(CampID);
+    `);
+
+    // Donor choices about non-emergency reminders
+    await pool.request().query(`
+      IF COL_LENGTH('Donors', 'RemindersPausedUntil') IS NULL
+      ALTER TABLE Donors ADD RemindersPausedUntil DATETIME NULL;
+
+      IF COL_LENGTH('Donors', 'AvailabilityWindow') IS NULL
+      ALTER TABLE Donors ADD AvailabilityWindow NVARCHAR(10) NOT NULL DEFAULT 'Any';
+
+      IF COL_LENGTH('Donors', 'QuietHoursStart') IS NULL
+      ALTER TABLE Donors ADD QuietHoursStart TINYINT NULL, QuietHoursEnd TINYINT NULL;
+    `);
+
+    await replaceCheckConstraint('Donors', 'AvailabilityWindow', 'CK_Donors_AvailabilityWindow', Object.keys(AVAILABILITY_WINDOWS));
+
+    // Set once a client acknowledges a pushed notification; anything still unset is replayed
+    await pool.request().query(`
+      IF COL_LENGTH('Notifications', 'DeliveredAt') IS NULL
+      ALTER TABLE Notifications ADD DeliveredAt DATETIME NULL
+    `);
+
+    // Outbound messages, written with the change that caused them and delivered by the outbox worker
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Outbox' AND xtype='U')
+      CREATE TABLE Outbox (
+        MessageID INT IDENTITY(1,1) PRIMARY KEY,
+        Channel NVARCHAR(10) NOT NULL CHECK (Channel IN ('sms', 'inapp', 'email')),
+        UserID INT NULL FOREIGN KEY REFERENCES Users(UserID),
+        Recipient NVARCHAR(255) NULL,
+        RequestID INT NULL FOREIGN KEY REFERENCES Requests(RequestID),
+        NotificationID INT NULL FOREIGN KEY REFERENCES Notifications(NotificationID),
+        Purpose NVARCHAR(50) NULL,
+        Subject NVARCHAR(255) NULL,
+        Body NVARCHAR(MAX) NOT NULL,
+        Sensitive BIT NOT NULL DEFAULT 0,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+        Attempts INT NOT NULL DEFAULT 0,
+        NextAttemptAt DATETIME NOT NULL DEFAULT GETDATE(),
+        LastError NVARCHAR(1000) NULL,
+        ProviderMessageID NVARCHAR(64) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        SentAt DATETIME NULL,
+        DeliveredAt DATETIME NULL
+      )
+    `);
+
+    await replaceCheckConstraint('Outbox', 'Status', 'CK_Outbox_Status', OUTBOX_STATUSES);
+
+    // Channels a user picked for a notification category; no row means the category's defaults
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='NotificationPreferences' AND xtype='U')
+      CREATE TABLE NotificationPreferences (
+        UserID INT NOT NULL FOREIGN KEY REFERENCES Users(UserID),
+        Category NVARCHAR(20) NOT NULL,
+        Channels NVARCHAR(50) NOT NULL,
+        UpdatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT PK_NotificationPreferences PRIMARY KEY (UserID, Category)
+      )
+    `);
+
+    console.log('Database schema verified/created successfully');
+  } catch (err) {
+    console.error('Error verifying database schema:', err);
+    throw err;
+  }
+}
+
+// Swaps a column's CHECK constraint (named or auto-generated) for a named IN (...) list
+async function replaceCheckConstraint(table, column, constraintName, allowedValues) {
+  const existing = await pool.request().query(`
+    SELECT cc.name, cc.definition
+    FROM sys.check_constraints cc
+    JOIN sys.columns c ON cc.parent_object_id = c.object_id AND cc.parent_column_id = c.column_id
+    WHERE cc.parent_object_id = OBJECT_ID('${table}') AND c.name = '${column}'
+  `);
+
+  // SQL Server stores IN (...) as a chain of ORs, so compare the quoted values rather than the text
+  const current = existing.recordset[0];
+  if (current && current.name === constraintName) {
+    const currentValues = [...current.definition.matchAll(/'([^']*)'/g)].map(match => match[1]);
+    if (currentValues.length === allowedValues.length && allowedValues.every(value => currentValues.includes(value))) {
+      return;
+    }
+  }
+
+  const values = allowedValues.map(value => `''${value}''`).join(', ');
+  await pool.request().query(`
+    ${current ? `ALTER TABLE ${table} DROP CONSTRAINT ${current.name};` : ''}
+    EXEC('ALTER TABLE ${table} ADD CONSTRAINT ${constraintName} CHECK (${column} IN (${values}))');
+  `);
+}
+
+// Active WebSocket Connections: every open socket per user, so each device keeps its own session
+const connections = new Map();
+
+function addConnection(userId, ws) {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(ws);
+}
+
+function removeConnection(userId, ws) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) connections.delete(userId);
+}
+
+// WebSocket Connection Handler
+wss.on('connection', (ws, req) => {
+  const params = new URLSearchParams(req.url.split('?')[1]);
+  const token = params.get('token');
+  if (!token) return ws.close();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = Number(decoded.userId);
+    ws.protocolVersion = parseInt(params.get('protocol'), 10) === WS_PROTOCOL_VERSION ? WS_PROTOCOL_VERSION : 1;
+    ws.role = decoded.role;
+    ws.topics = new Set(decoded.role === 'admin' ? ADMIN_TOPICS : []);
+    ws.isAlive = true;
+    addConnection(userId, ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('error', (err) => {
+      console.error('WebSocket error:', err);
+      ws.close();
+    });
+
+    ws.on('close', () => {
+      removeConnection(userId, ws);
+    });
+
+    ws.on('message', async (data) => {
+      ws.isAlive = true;
+
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        if (ws.protocolVersion === WS_PROTOCOL_VERSION) {
+          sendToSocket(ws, { type: 'error', message: 'Messages must be JSON' });
+        }
+        return;
+      }
+      await handleSocketMessage(ws, message, decoded);
+    });
+
+    if (ws.protocolVersion === WS_PROTOCOL_VERSION) {
+      sendToSocket(ws, {
+        type: 'welcome',
+        protocol: WS_PROTOCOL_VERSION,
+        heartbeatIntervalMs: WS_HEARTBEAT_INTERVAL_MS,
+        topics: [...ws.topics]
+      });
+      replayNotifications(userId, ws).catch(err => console.error('Notification replay error:', err));
+    }
+
+  } catch (err) {
+    console.error('WebSocket authentication error:', err);
+    ws.close();
+  }
+});
+
+// v2 clients send { v, id, type, data }; v1 clients put the fields next to `type`.
+// v2 messages that carry an id get a `received` receipt once handled.
+async function handleSocketMessage(ws, message, user) {
+  const v2 = message.v === WS_PROTOCOL_VERSION;
+  const body = v2 ? { ...(message.data || {}), type: message.type } : message;
+
+  try {
+    if (body.type === 'response') {
+      await handleDonorResponse(body.requestId, body.accepted, user, { screening: body.screening });
+    } else if (body.type === 'book-slot' || body.type === 'cancel-booking') {
+      await handleBookingMessage(body, user);
+    } else if (body.type === 'ack') {
+      await acknowledgeNotifications(user.userId, body.notificationIds);
+    } else if (body.type === 'subscribe' || body.type === 'unsubscribe') {
+      return updateSubscriptions(ws, body, message.id);
+    } else if (body.type === 'ping') {
+      return sendToSocket(ws, { type: 'pong', replyTo: message.id });
+    } else {
+      if (v2) {
+        sendToSocket(ws, { type: 'error', replyTo: message.id, message: `Unknown message type: ${body.type}` });
+      }
+      return;
+    }
+
+    if (v2 && message.id) {
+      sendToSocket(ws, { type: 'received', replyTo: message.id });
+    }
+  } catch (err) {
+    console.error('Message processing error:', err);
+    if (v2) {
+      sendToSocket(ws, { type: 'error', replyTo: message.id, message: 'Message could not be processed' });
+    }
+  }
+}
+
+// Middleware
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Every :id / :deferralId in a route is a table key; reject anything that isn't a positive integer up front
+const validateIdParam = (req, res, next, value) => {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) <= 0 || parseInt(value, 10) > 2147483647) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+app.param('id', validateIdParam);
+app.param('deferralId', validateIdParam);
+
+// Routes
+app.get(['/', '/login'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+app.get('/register', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'register.html'));
+});
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/donor', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'donor.html'));
+});
+
+// API Endpoints
+
+// Login Endpoint
+app.post('/api/login', async (req, res) => {
+  try {
+    const { email, password, role } = req.body;
+
+    if (!email || !password || !role) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const result = await pool.request()
+      .input('email', sql.VarChar, email)
+      .query('SELECT * FROM Users WHERE Email = @email');
+
+    const user = result.recordset[0];
+
+    if (!user || user.Role !== role) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.PasswordHash);
+    if (!passwordMatch) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const token = jwt.sign(
       {
-        userId: newUser.UserID,
-        name: newUser.FullName,
-        email: newUser.Email,
-        phone: phone,
-        bloodGroup: bloodGroup,
-        role: role
+        userId: user.UserID,
+        name: user.FullName,
+        email: user.Email,
+        phone: user.PhoneNumber,
+        bloodGroup: user.BloodGroup,
+        role: user.Role
       },
       process.env.JWT_SECRET,
       { expiresIn: '1h' }
     );
 
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      token,
-      user: {
-        id: newUser.UserID,
-        name: newUser.FullName,
-        email: newUser.Email,
-        role: newUser.Role
-      }
-    });
+    await pool.request()
+      .input('userId', sql.Int, user.UserID)
+      .query('UPDATE Users SET LastLogin = GETDATE() WHERE UserID = @userId');
+
+    res.json({
+      success: true,
+      token,
+      user: {
+        id: user.UserID,
+        name: user.FullName,
+        email: user.Email,
+        role: user.Role
+      },
+      redirect: user.Role === 'admin' ? '/admin' : '/donor'
+    });
+
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Registration Endpoint
+app.post('/api/register', async (req, res) => {
+  try {
+    const { name, email, phone, password, bloodGroup, role, gender, address, city, pincode } = req.body;
+
+    if (!name || !email || !phone || !password || !bloodGroup || !role) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (gender && !['male', 'female', 'other'].includes(gender)) {
+      return res.status(400).json({ error: 'Gender must be male, female or other' });
+    }
+
+    const userExists = await pool.request()
+      .input('email', sql.VarChar, email)
+      .query('SELECT UserID FROM Users WHERE Email = @email');
+
+    if (userExists.recordset.length > 0) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const result = await pool.request()
+      .input('name', sql.VarChar, name)
+      .input('email', sql.VarChar, email)
+      .input('phone', sql.VarChar, phone)
+      .input('password', sql.VarChar, hashedPassword)
+      .input('bloodGroup', sql.VarChar, bloodGroup)
+      .input('role', sql.VarChar, role)
+      .query(`
+        INSERT INTO Users (FullName, Email, PhoneNumber, PasswordHash, BloodGroup, Role) 
+        OUTPUT INSERTED.UserID, INSERTED.FullName, INSERTED.Email, INSERTED.Role
+        VALUES (@name, @email, @phone, @password, @bloodGroup, @role)
+      `);
+
+    const newUser = result.recordset[0];
+
+    if (role === 'donor') {
+      const donorResult = await pool.request()
+        .input('userId', sql.Int, newUser.UserID)
+        .input('gender', sql.NVarChar, gender || null)
+        .query('INSERT INTO Donors (UserID, Gender) OUTPUT INSERTED.DonorID VALUES (@userId, @gender)');
+
+      // Location is optional at sign-up; an unrecognised place is simply left for the donor to fix later
+      if (address || city || pincode) {
+        await setDonorLocation(donorResult.recordset[0].DonorID, { address, city, pincode });
+      }
+    }
+
+    const token = jwt.sign(
+      {
+        userId: newUser.UserID,
+        name: newUser.FullName,
+        email: newUser.Email,
+        phone: phone,
+        bloodGroup: bloodGroup,
+        role: role
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      token,
+      user: {
+        id: newUser.UserID,
+        name: newUser.FullName,
+        email: newUser.Email,
+        role: newUser.Role
+      }
+    });
+
+  } catch (err) {
+    console.error('Registration error:', err);
+    res.status(500).json({ 
+      error: 'Server error during registration',
+      details: err.message 
+    });
+  }
+});
+
+// Dashboard Data Endpoint
+app.get('/api/dashboard-data', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const [totalDonors, pendingRequests, completedDonations, stock, hospitals, activeRequests] = await Promise.all([
+      pool.request().query(`
+        SELECT COUNT(*) AS count 
+        FROM Donors d
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE d.Availability = 1
+      `),
+      pool.request().query(`
+        SELECT COUNT(*) AS count 
+        FROM Requests 
+        WHERE Status = 'Pending'
+      `),
+      pool.request().query(`
+        SELECT COUNT(*) AS count 
+        FROM Donations 
+        WHERE Status = 'Completed'
+          AND DonationDate >= DATEADD(month, -1, GETDATE())
+      `),
+      getStockLevels(),
+      pool.request().query('SELECT HospitalID, Name FROM Hospitals ORDER BY Name'),
+      pool.request().query(`
+        SELECT TOP 10
+          r.RequestID AS id,
+          r.PatientName,
+          r.BloodGroup,
+          r.Component,
+          r.DonorName,
+          r.Status,
+          r.UrgencyLevel,
+          FORMAT(r.RequestDate, 'yyyy-MM-dd HH:mm') AS requestDate,
+          FORMAT(r.RequiredBy, 'yyyy-MM-dd HH:mm') AS requiredBy,
+          r.HospitalID AS hospitalId,
+          r.HospitalName,
+          r.Location,
+          r.ContactNumber
+        FROM Requests r
+        WHERE r.Status IN ('Pending', 'Accepted')
+        ORDER BY 
+          CASE WHEN r.UrgencyLevel = 'Critical' THEN 0
+               WHEN r.UrgencyLevel = 'High' THEN 1
+               WHEN r.UrgencyLevel = 'Medium' THEN 2
+               ELSE 3 END,
+          r.RequestDate DESC
+      `)
+    ]);
+
+    const progress = await getRequestProgress(activeRequests.recordset.map(request => request.id));
+
+    res.json({
+      success: true,
+      totalDonors: totalDonors.recordset[0].count,
+      pendingRequests: pendingRequests.recordset[0].count,
+      completedDonations: completedDonations.recordset[0].count,
+      inventory: summariseInventory(stock),
+      inventoryBySite: summariseSites(hospitals.recordset, stock),
+      requests: activeRequests.recordset.map(request => ({ ...request, ...progress.get(request.id) }))
+    });
+
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dashboard data',
+      error: error.message
+    });
+  }
+});
+
+// Find Donors by Blood Group
+app.post('/api/find-donors-by-group', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { bloodGroup, component = DEFAULT_COMPONENT, exactOnly, radiusKm, limit } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!bloodGroup) {
+      return res.status(400).json({ error: 'Blood group is required' });
+    }
+
+    if (!BLOOD_GROUPS.includes(bloodGroup)) {
+      return res.status(400).json({ error: 'Invalid blood group' });
+    }
+
+    if (!Object.hasOwn(BLOOD_COMPONENTS, component)) {
+      return res.status(400).json({ error: `component must be one of ${Object.keys(BLOOD_COMPONENTS).join(', ')}` });
+    }
+
+    const radius = radiusKm == null ? DEFAULT_SEARCH_RADIUS_KM : Number(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0) {
+      return res.status(400).json({ error: 'radiusKm must be a positive number' });
+    }
+    if (limit != null && !(Number.isFinite(Number(limit)) && Number(limit) >= 1)) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    // Giving hospitalId, latitude/longitude or near switches to nearest-first within the radius
+    const origin = await resolveSearchOrigin(req.body);
+
+    const { compatibleGroups, donors, excludedIneligible } = await findCompatibleDonors(bloodGroup, {
+      component,
+      exactOnly,
+      origin,
+      radiusKm: radius
+    });
+
+    res.json({
+      success: true,
+      recipientBloodGroup: bloodGroup,
+      component,
+      compatibleGroups: compatibleGroups.map(group => group.bloodGroup),
+      excludedIneligible,
+      origin: origin ? { label: origin.label, radiusKm: radius } : null,
+      donors: donors
+        .slice(0, limit != null ? Math.min(Math.floor(Number(limit)), MAX_SEARCH_LIMIT) : (origin ? DEFAULT_SEARCH_LIMIT : undefined))
+        .map(({ Gender, UserID, Latitude, Longitude, reliability, ...donor }) => (
+          decoded.role === 'admin' ? { ...donor, reliability } : donor
+        ))
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error finding donors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching donors',
+      error: error.message
+    });
+  }
+});
+
+// Emergency Request Endpoint
+app.post('/api/emergency-request', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const {
+    patientName,
+    bloodGroup,
+    donorId,
+    donorIds,
+    broadcast,
+    maxDonors,
+    hospitalId,
+    hospitalName,
+    location,
+    contactNumber,
+    unitsRequired,
+    urgencyLevel,
+    requiredBy,
+    component = DEFAULT_COMPONENT
+  } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!BLOOD_GROUPS.includes(bloodGroup)) {
+      return res.status(400).json({ error: 'Invalid blood group' });
+    }
+
+    if (!Object.hasOwn(BLOOD_COMPONENTS, component)) {
+      return res.status(400).json({ error: `component must be one of ${Object.keys(BLOOD_COMPONENTS).join(', ')}` });
+    }
+
+    const units = unitsRequired === undefined ? 1 : parseInt(unitsRequired, 10);
+    if (!(units > 0) || units > MAX_UNITS_PER_REQUEST) {
+      return res.status(400).json({ error: `unitsRequired must be between 1 and ${MAX_UNITS_PER_REQUEST}` });
+    }
+
+    const urgency = urgencyLevel || DEFAULT_URGENCY_LEVEL;
+    if (!URGENCY_LEVELS.includes(urgency)) {
+      return res.status(400).json({ error: `urgencyLevel must be one of ${URGENCY_LEVELS.join(', ')}` });
+    }
+
+    const deadline = requiredBy ? new Date(requiredBy) : null;
+    if (deadline && !(deadline > new Date())) {
+      return res.status(400).json({ error: 'requiredBy must be a future date and time' });
+    }
+
+    const requestedIds = donorIds !== undefined ? donorIds : (donorId !== undefined ? [donorId] : null);
+    if (!requestedIds && !broadcast) {
+      return res.status(400).json({ error: 'Provide donorId, donorIds or broadcast: true' });
+    }
+    if (requestedIds && (!Array.isArray(requestedIds) || requestedIds.length === 0 ||
+        !requestedIds.every(id => Number.isInteger(id) && id > 0))) {
+      return res.status(400).json({ error: 'donorIds must be a non-empty array of donor IDs' });
+    }
+    const targetIds = requestedIds && [...new Set(requestedIds)];
+
+    // hospitalName is still accepted from older clients, but only if it names a registered hospital
+    const hospitalResult = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId || null)
+      .input('hospitalName', sql.NVarChar, hospitalName || null)
+      .query(`
+        SELECT HospitalID, Name, City
+        FROM Hospitals
+        WHERE IsActive = 1
+          AND (HospitalID = @hospitalId OR (@hospitalId IS NULL AND Name = @hospitalName))
+      `);
+
+    const hospital = hospitalResult.recordset[0];
+    if (!hospital) {
+      return res.status(400).json({ error: 'Choose a registered hospital (hospitalId from /api/hospitals)' });
+    }
+    const requestLocation = location || hospital.City;
+
+    let donors;
+    if (targetIds) {
+      const targetDonors = await queryInBatches(targetIds, async batch => {
+        const request = pool.request();
+        const donorParams = addListInputs(request, 'donor', sql.Int, batch);
+        const donorResult = await request.query(`
+          SELECT
+            u.UserID, u.FullName, u.Email, u.PhoneNumber, u.BloodGroup,
+            d.DonorID, d.Gender, d.LastDonationDate, d.LastDonationComponent
+          FROM Users u
+          JOIN Donors d ON u.UserID = d.UserID
+          WHERE d.DonorID IN (${donorParams})
+        `);
+        return donorResult.recordset;
+      });
+
+      if (targetDonors.length !== targetIds.length) {
+        return res.status(404).json({ error: 'Donor not found' });
+      }
+
+      const deferrals = await getActiveDeferrals(targetDonors.map(donor => donor.DonorID));
+      for (const donor of targetDonors) {
+        donor.compatibilityRule = getCompatibilityRule(bloodGroup, donor.BloodGroup, component);
+        if (!donor.compatibilityRule) {
+          return res.status(400).json({
+            error: `Donor blood group ${donor.BloodGroup} is not compatible with recipient blood group ${bloodGroup} for ${BLOOD_COMPONENTS[component].label}`,
+            donorId: donor.DonorID
+          });
+        }
+
+        const eligibility = evaluateEligibility(donor, deferrals.get(donor.DonorID), new Date(), component);
+        if (!eligibility.eligible) {
+          return res.status(400).json({
+            error: `Donor is not eligible to donate: ${eligibility.reason}`,
+            donorId: donor.DonorID,
+            nextEligibleDate: eligibility.nextEligibleDate
+          });
+        }
+      }
+      donors = targetDonors;
+    } else {
+      const limit = parseInt(maxDonors, 10);
+      const result = await findCompatibleDonors(bloodGroup, { component });
+      donors = result.donors
+        .slice(0, limit > 0 ? limit : undefined)
+        .map(donor => ({
+          UserID: donor.UserID,
+          DonorID: donor.id,
+          FullName: donor.fullName,
+          PhoneNumber: donor.phoneNumber,
+          BloodGroup: donor.BloodGroup,
+          compatibilityRule: donor.compatibilityRule
+        }));
+
+      if (donors.length === 0) {
+        return res.status(404).json({ error: 'No eligible compatible donors found' });
+      }
+    }
+
+    // The request, its assignments and every message to donors are committed together
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    let requestId;
+    let request;
+    try {
+      const requestResult = await new sql.Request(transaction)
+        .input('patientName', sql.NVarChar, patientName)
+        .input('bloodGroup', sql.NVarChar, bloodGroup)
+        .input('hospitalId', sql.Int, hospital.HospitalID)
+        .input('hospitalName', sql.NVarChar, hospital.Name)
+        .input('location', sql.NVarChar, requestLocation)
+        .input('contactNumber', sql.NVarChar, contactNumber)
+        .input('urgencyLevel', sql.NVarChar, urgency)
+        .input('unitsRequired', sql.Int, units)
+        .input('requiredBy', sql.DateTime, deadline)
+        .input('component', sql.NVarChar, component)
+        .query(`
+          INSERT INTO Requests (
+            PatientName,
+            BloodGroup,
+            Component,
+            HospitalID,
+            HospitalName,
+            Location,
+            ContactNumber,
+            UrgencyLevel,
+            UnitsRequired,
+            RequiredBy,
+            Status
+          )
+          OUTPUT INSERTED.RequestID
+          VALUES (
+            @patientName,
+            @bloodGroup,
+            @component,
+            @hospitalId,
+            @hospitalName,
+            @location,
+            @contactNumber,
+            @urgencyLevel,
+            @unitsRequired,
+            @requiredBy,
+            'Pending'
+          )
+        `);
+
+      requestId = requestResult.recordset[0].RequestID;
+
+      await recordStatusChange({
+        requestId,
+        entity: 'Request',
+        fromStatus: null,
+        toStatus: 'Pending',
+        actor: decoded,
+        reason: 'Emergency request created',
+        transaction
+      });
+
+      request = {
+        requestId,
+        patientName,
+        bloodGroup,
+        component,
+        hospitalName: hospital.Name,
+        location: requestLocation,
+        contactNumber,
+        urgencyLevel: urgency,
+        unitsRequired: units,
+        requiredBy: deadline
+      };
+      for (const donor of donors) {
+        await notifyDonorOfRequest(donor, request, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback().catch(() => {});
+      throw err;
+    }
+
+    broadcastToAdmins('requests', {
+      type: 'request-created',
+      ...request,
+      hospitalId: hospital.HospitalID,
+      status: 'Pending',
+      donorsNotified: donors.length
+    }, { hospitalIds: [hospital.HospitalID] });
+
+    res.json({
+      success: true,
+      requestId,
+      hospitalId: hospital.HospitalID,
+      component,
+      unitsRequired: units,
+      urgencyLevel: urgency,
+      requiredBy: deadline,
+      message: `Emergency request for ${units} unit(s) created and sent to ${donors.length} donor(s)`,
+      donors: donors.map(donor => ({
+        id: donor.UserID,
+        donorId: donor.DonorID,
+        name: donor.FullName,
+        phone: donor.PhoneNumber,
+        bloodGroup: donor.BloodGroup,
+        compatibilityRule: donor.compatibilityRule
+      }))
+    });
+
+  } catch (err) {
+    console.error('Emergency request error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during emergency request',
+      details: err.message
+    });
+  }
+});
+
+// Cancel Request Endpoint
+app.post('/api/cancel-request', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { requestId, reason } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    await closeRequest(requestId, 'Cancelled', {
+      actor: decoded,
+      reason: reason || 'Cancelled by admin'
+    });
+
+    res.json({
+      success: true,
+      message: 'Request cancelled successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error cancelling request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel request',
+      details: error.message
+    });
+  }
+});
+
+// Verify OTP Endpoint
+app.post('/api/verify-otp', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { requestId, otp, bagNumber, screening } = req.body;
+  const donationId = req.body.donationId !== undefined ? parseInt(req.body.donationId, 10) : null;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (donationId !== null && !(donationId > 0)) {
+      return res.status(400).json({ error: 'donationId must be a donation ID' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    // Lock the request first so a double-click waits here instead of confirming twice
+    const result = await new sql.Request(transaction)
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          r.Status,
+          r.Component AS RequestComponent,
+          dn.OTPFailedAttempts,
+          dn.OTPLockedAt,
+          COALESCE(dn.HospitalID, r.HospitalID) AS HospitalID,
+          r.HospitalName,
+          dn.DonationID,
+          dn.DonorID,
+          dn.BloodGroup,
+          dn.Component,
+          dn.ScreeningID,
+          dn.OTPHash,
+          CASE WHEN dn.OTPExpiry < GETDATE() THEN 1 ELSE 0 END AS expired
+        FROM Requests r WITH (UPDLOCK, ROWLOCK)
+        LEFT JOIN Donations dn ON dn.RequestID = r.RequestID AND dn.Status = 'Scheduled'
+        WHERE r.RequestID = @requestId
+      `);
+
+    // Scoped to this admin and this request, so one key can't replay another confirmation
+    const idempotencyScope = { actor: decoded, payload: { requestId, donationId, otp, bagNumber: bagNumber || null, screening: screening || null } };
+    if (idempotencyKey) {
+      const previous = await getIdempotentResponse(idempotencyKey, `verify-otp:${requestId}`, idempotencyScope, transaction);
+      if (previous) {
+        await transaction.commit();
+        return res.status(previous.statusCode).json(previous.body);
+      }
+    }
+
+    const row = result.recordset[0];
+    if (!row || row.Status !== 'Accepted') {
+      await transaction.commit();
+      return res.json({
+        success: false,
+        message: 'Invalid request or request not accepted'
+      });
+    }
+
+    // Every accepted donor holds their own OTP; with donationId only that donor's is tried
+    const scheduled = result.recordset.filter(item => item.DonationID && (donationId === null || item.DonationID === donationId));
+    if (scheduled.length === 0) {
+      await transaction.commit();
+      return res.status(404).json({ success: false, message: 'No scheduled donation found for this request' });
+    }
+
+    const candidates = scheduled.filter(item => !item.OTPLockedAt);
+    if (candidates.length === 0) {
+      await transaction.commit();
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed attempts. This OTP is locked until an admin resends it.'
+      });
+    }
+
+    const donation = candidates.find(item => item.OTPHash && otpMatches(item.DonationID, otp, item.OTPHash));
+
+    if (!donation) {
+      // The guess was tried against each candidate, so each one is charged an attempt.
+      // Incremented in place so two wrong guesses at once can't both read the same count.
+      const attemptRequest = new sql.Request(transaction).input('maxAttempts', sql.Int, OTP_MAX_ATTEMPTS);
+      const donationParams = addListInputs(attemptRequest, 'donation', sql.Int, candidates.map(item => item.DonationID));
+      const attemptResult = await attemptRequest.query(`
+        UPDATE Donations
+        SET OTPFailedAttempts = OTPFailedAttempts + 1,
+            OTPLockedAt = CASE WHEN OTPFailedAttempts + 1 >= @maxAttempts THEN GETDATE() ELSE NULL END
+        OUTPUT inserted.OTPFailedAttempts
+        WHERE DonationID IN (${donationParams})
+      `);
+      await transaction.commit();
+
+      const attempts = Math.min(...attemptResult.recordset.map(item => item.OTPFailedAttempts));
+
+      return res.json({
+        success: false,
+        message: attempts >= OTP_MAX_ATTEMPTS ? 'Invalid OTP. This OTP is now locked.' : 'Invalid OTP',
+        attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - attempts, 0)
+      });
+    }
+
+    if (donation.expired) {
+      await transaction.commit();
+      return res.json({
+        success: false,
+        message: 'OTP has expired'
+      });
+    }
+
+    // Donors who accepted by text have no screening yet; staff take the answers at the desk
+    if (!donation.ScreeningID) {
+      if (screening) {
+        await recordScreening(donation.DonorID, { ...screening, requestId }, transaction);
+      }
+      const clearance = await getLatestScreening(donation.DonorID, { requestId, component: donation.RequestComponent }, transaction);
+      if (!clearance) {
+        await transaction.commit();
+        return res.status(400).json({
+          success: false,
+          error: 'Record the donor\'s health screening before confirming this donation',
+          questionnaireVersion: SCREENING_QUESTIONNAIRE_VERSION
+        });
+      }
+
+      if (clearance.Outcome !== 'Eligible') {
+        await transitionDonation(donation.DonationID, 'Cancelled', {
+          actor: decoded,
+          reason: 'Deferred by the health screening at check-in',
+          transaction
+        });
+        await new sql.Request(transaction)
+          .input('requestId', sql.Int, requestId)
+          .input('donorId', sql.Int, donation.DonorID)
+          .query(`
+            UPDATE RequestAssignments
+            SET Status = 'Deferred'
+            WHERE RequestID = @requestId AND DonorID = @donorId AND Status = 'Accepted'
+          `);
+        await restartRecruitment(requestId, transaction);
+        await transaction.commit();
+        runEscalations();
+
+        return res.status(409).json({
+          success: false,
+          error: 'The donor was deferred by the health screening',
+          reasons: JSON.parse(clearance.Reasons || '[]')
+        });
+      }
+
+      await new sql.Request(transaction)
+        .input('donationId', sql.Int, donation.DonationID)
+        .input('screeningId', sql.Int, clearance.ScreeningID)
+        .query('UPDATE Donations SET ScreeningID = @screeningId WHERE DonationID = @donationId');
+    }
+
+    // Complete the donation scheduled on acceptance rather than adding a second row
+    await transitionDonation(donation.DonationID, 'Completed', {
+      actor: decoded,
+      reason: 'Donation OTP verified',
+      transaction
+    });
+
+    await new sql.Request(transaction)
+      .input('donationId', sql.Int, donation.DonationID)
+      .query(`
+        UPDATE Donations
+        SET DonationDate = GETDATE(), UnitsDonated = 1, OTPHash = NULL, OTPFailedAttempts = 0
+        WHERE DonationID = @donationId
+      `);
+
+    await new sql.Request(transaction)
+      .input('donorId', sql.Int, donation.DonorID)
+      .input('component', sql.NVarChar, donation.Component)
+      .query('UPDATE Donors SET LastDonationDate = GETDATE(), LastDonationComponent = @component WHERE DonorID = @donorId');
+
+    const unit = await createBloodUnit({
+      donationId: donation.DonationID,
+      bloodGroup: donation.BloodGroup,
+      component: donation.Component,
+      hospitalId: donation.HospitalID || await resolveHospitalId(donation.HospitalName, transaction),
+      bagNumber: bagNumber || null
+    }, transaction);
+
+    const donationScreening = await getDonationScreening(donation.DonationID, transaction);
+
+    const progress = await completeRequestIfFulfilled(requestId, { actor: decoded, transaction });
+
+    const response = {
+      success: true,
+      message: progress.completed
+        ? 'OTP verified successfully! Donation confirmed and the request is now fully met.'
+        : `OTP verified successfully! Donation confirmed (${progress.progress}).`,
+      donationId: donation.DonationID,
+      unit: {
+        id: unit.UnitID,
+        bagNumber: unit.BagNumber,
+        component: unit.Component,
+        expiresAt: unit.ExpiresAt,
+        status: 'Quarantined'
+      },
+      screening: donationScreening,
+      progress
+    };
+
+    if (idempotencyKey) {
+      await saveIdempotentResponse(idempotencyKey, `verify-otp:${requestId}`, idempotencyScope, 200, response, transaction);
+    }
+
+    await transaction.commit();
+
+    if (progress.completed) {
+      await windDownRequest(requestId, 'Completed', { actor: decoded, reason: 'Request fully met' });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error verifying OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify OTP',
+      details: error.message
+    });
+  }
+});
+
+// Resend OTP Endpoint
+app.post('/api/requests/:id/resend-otp', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const result = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT 
+          dn.DonationID,
+          d.UserID,
+          dn.OTPLockedAt,
+          s.EndsAt AS SlotEndsAt,
+          DATEDIFF(second, dn.OTPSentAt, GETDATE()) AS secondsSinceSent
+        FROM Requests r
+        JOIN Donations dn ON dn.RequestID = r.RequestID AND dn.Status = 'Scheduled'
+        JOIN Donors d ON dn.DonorID = d.DonorID
+        LEFT JOIN DonationSlots s ON dn.SlotID = s.SlotID
+        WHERE r.RequestID = @requestId
+          AND r.Status = 'Accepted'
+      `);
+
+    // A donor gets their own OTP; an admin names the donation when several donors are booked
+    const donationId = req.body && req.body.donationId !== undefined ? parseInt(req.body.donationId, 10) : null;
+    const matching = result.recordset.filter(item =>
+      decoded.role === 'admin' ? donationId === null || item.DonationID === donationId : item.UserID === decoded.userId
+    );
+    if (matching.length === 0) {
+      return res.status(decoded.role === 'admin' || result.recordset.length === 0 ? 404 : 403).json({
+        success: false,
+        error: decoded.role === 'admin' || result.recordset.length === 0
+          ? 'No accepted donation found for this request'
+          : 'Only admins or the accepting donor can resend the OTP'
+      });
+    }
+    if (matching.length > 1) {
+      return res.status(400).json({ success: false, error: 'Several donors are booked for this request; send donationId' });
+    }
+    const donation = matching[0];
+
+    // Only an admin can lift the lock left by too many failed attempts
+    if (donation.OTPLockedAt && decoded.role !== 'admin') {
+      return res.status(423).json({ success: false, error: 'This request is locked. Please contact the blood bank.' });
+    }
+
+    if (donation.secondsSinceSent !== null && donation.secondsSinceSent < OTP_RESEND_COOLDOWN_SECONDS) {
+      return res.status(429).json({
+        success: false,
+        error: 'OTP was sent recently. Please wait before requesting another.',
+        retryAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS - donation.secondsSinceSent
+      });
+    }
+
+    // A booked donor's new OTP lasts their appointment, like the one sent with the reminder
+    const validUntil = donation.SlotEndsAt ? appointmentOtpExpiry(donation.SlotEndsAt) : null;
+    await inTransaction(async transaction => {
+      await new sql.Request(transaction)
+        .input('donationId', sql.Int, donation.DonationID)
+        .query('UPDATE Donations SET OTPFailedAttempts = 0, OTPLockedAt = NULL WHERE DonationID = @donationId');
+
+      await issueDonationOtp(donation.DonationID, { validUntil, transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'A new OTP has been sent to the donor',
+      expiresInMinutes: Math.max(OTP_TTL_MINUTES, validUntil ? Math.round((validUntil - Date.now()) / 60000) : 0)
+    });
+
+  } catch (error) {
+    console.error('Error resending OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend OTP',
+      details: error.message
+    });
+  }
+});
+
+// Donation History Endpoint
+app.get('/api/donation-history', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ 
+      success: false,
+      error: 'Authorization token required' 
+  });
+
+  try {
+      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+      if (decoded.role !== 'donor') {
+          return res.status(403).json({ 
+              success: false,
+              error: 'Donor access required' 
+          });
+      }
+
+      const donorResult = await pool.request()
+          .input('userId', sql.Int, decoded.userId)
+          .query('SELECT DonorID FROM Donors WHERE UserID = @userId');
+
+      if (donorResult.recordset.length === 0) {
+          return res.status(404).json({ 
+              success: false,
+              error: 'Donor profile not found' 
+          });
+      }
+
+      const donorId = donorResult.recordset[0].DonorID;
+
+      const result = await pool.request()
+          .input('donorId', sql.Int, donorId)
+          .query(`
+              SELECT 
+                  dn.DonationID as id,
+                  dn.DonationDate as date,
+                  dn.Status,
+                  dn.Component,
+                  dn.Location,
+                  dn.SlotID as slotId,
+                  s.StartsAt as appointmentAt,
+                  dn.CampID as campId
+              FROM Donations dn
+              LEFT JOIN DonationSlots s ON dn.SlotID = s.SlotID
+              WHERE dn.DonorID = @donorId
+              ORDER BY dn.DonationDate DESC
+          `);
+
+      res.json({
+          success: true,
+          donations: result.recordset
+      });
+
+  } catch (error) {
+      console.error('Error fetching donation history:', error);
+      res.status(500).json({
+          success: false,
+          error: 'Failed to fetch donation history',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+  }
+});
+
+// List Blood Units
+app.get('/api/blood-units', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { bloodGroup, component, status, hospitalId } = req.query;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('bloodGroup', sql.NVarChar, bloodGroup || null)
+      .input('component', sql.NVarChar, component || null)
+      .input('status', sql.NVarChar, status || null)
+      .input('hospitalId', sql.Int, hospitalId || null)
+      .query(`
+        SELECT
+          b.UnitID AS id,
+          b.BagNumber,
+          b.DonationID AS donationId,
+          b.ParentUnitID AS parentUnitId,
+          b.BloodGroup,
+          b.Component,
+          b.HospitalID AS hospitalId,
+          h.Name AS hospital,
+          b.CollectedAt,
+          b.ExpiresAt,
+          b.Status,
+          b.StatusChangedAt
+        FROM BloodUnits b
+        LEFT JOIN Hospitals h ON b.HospitalID = h.HospitalID
+        WHERE (@bloodGroup IS NULL OR b.BloodGroup = @bloodGroup)
+          AND (@component IS NULL OR b.Component = @component)
+          AND (@status IS NULL OR b.Status = @status)
+          AND (@hospitalId IS NULL OR b.HospitalID = @hospitalId)
+        ORDER BY b.ExpiresAt, b.UnitID
+      `);
+
+    res.json({
+      success: true,
+      units: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error listing blood units:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list blood units',
+      details: error.message
+    });
+  }
+});
+
+// Release Quarantined Blood Unit
+app.post('/api/blood-units/:id/release', async (req, res) => {
+  await changeUnitStatus(req, res, 'Available', 'Failed to release blood unit');
+});
+
+// Discard Blood Unit
+app.post('/api/blood-units/:id/discard', async (req, res) => {
+  await changeUnitStatus(req, res, 'Discarded', 'Failed to discard blood unit');
+});
+
+// Separate a Whole Blood Unit into Components
+app.post('/api/blood-units/:id/separate', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const unitId = req.params.id;
+  const components = req.body.components || SEPARATED_COMPONENTS;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!Array.isArray(components) || components.length === 0 ||
+        components.some(component => !SEPARATED_COMPONENTS.includes(component)) ||
+        new Set(components).size !== components.length) {
+      return res.status(400).json({ error: `components must be a list drawn from ${SEPARATED_COMPONENTS.join(', ')}` });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const parentResult = await new sql.Request(transaction)
+      .input('unitId', sql.Int, unitId)
+      .query(`
+        SELECT UnitID, BagNumber, DonationID, BloodGroup, Component, HospitalID, CollectedAt, Status
+        FROM BloodUnits WITH (UPDLOCK, ROWLOCK)
+        WHERE UnitID = @unitId
+      `);
+
+    const parent = parentResult.recordset[0];
+    if (!parent) {
+      throw httpError(404, 'Blood unit not found');
+    }
+    if (parent.Component !== 'WholeBlood') {
+      throw httpError(409, 'Only whole blood bags can be separated');
+    }
+
+    const spent = components.find(component =>
+      addDays(parent.CollectedAt, BLOOD_COMPONENTS[component].shelfLifeDays) <= new Date()
+    );
+    if (spent) {
+      throw httpError(409, `This bag is too old to yield ${BLOOD_COMPONENTS[spent].label}`);
+    }
+
+    // The whole blood bag stops counting towards capacity as its components take its place
+    await transitionUnit(parent.UnitID, 'Separated', { transaction });
+    await assertCapacity(parent.HospitalID, components.length, transaction);
+
+    const created = [];
+    for (const component of components) {
+      const result = await new sql.Request(transaction)
+        .input('bagNumber', sql.NVarChar, `${parent.BagNumber}-${component}`)
+        .input('donationId', sql.Int, parent.DonationID)
+        .input('parentUnitId', sql.Int, parent.UnitID)
+        .input('bloodGroup', sql.NVarChar, parent.BloodGroup)
+        .input('component', sql.NVarChar, component)
+        .input('hospitalId', sql.Int, parent.HospitalID)
+        .input('collectedAt', sql.DateTime, parent.CollectedAt)
+        .input('shelfLife', sql.Int, BLOOD_COMPONENTS[component].shelfLifeDays)
+        .input('status', sql.NVarChar, parent.Status)
+        .query(`
+          INSERT INTO BloodUnits (BagNumber, DonationID, ParentUnitID, BloodGroup, Component, HospitalID, CollectedAt, ExpiresAt, Status)
+          OUTPUT INSERTED.UnitID, INSERTED.BagNumber, INSERTED.BloodGroup, INSERTED.Component, INSERTED.HospitalID, INSERTED.ExpiresAt
+          VALUES (
+            @bagNumber,
+            @donationId,
+            @parentUnitId,
+            @bloodGroup,
+            @component,
+            @hospitalId,
+            @collectedAt,
+            DATEADD(day, @shelfLife, @collectedAt),
+            @status
+          )
+        `);
+      created.push(result.recordset[0]);
+    }
+
+    const touched = [parent, ...created];
+    await syncInventory(touched, transaction);
+    await transaction.commit();
+    await publishInventory(touched);
+
+    res.json({
+      success: true,
+      message: `${parent.BagNumber} separated into ${created.length} component(s)`,
+      units: created.map(unit => ({
+        id: unit.UnitID,
+        bagNumber: unit.BagNumber,
+        component: unit.Component,
+        expiresAt: unit.ExpiresAt,
+        status: parent.Status
+      }))
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error separating blood unit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to separate blood unit',
+      details: error.message
+    });
+  }
+});
+
+// Issue Blood Units (first-expiry-first-out)
+app.post('/api/blood-units/issue', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { bloodGroup, component = DEFAULT_COMPONENT, hospitalId, units, issuedTo } = req.body;
+  const count = parseInt(units, 10) || 1;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!BLOOD_GROUPS.includes(bloodGroup) || !Object.hasOwn(BLOOD_COMPONENTS, component) || !hospitalId || !issuedTo) {
+      return res.status(400).json({ error: 'Valid blood group, component, hospitalId and issuedTo are required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const selected = await selectUnitsFefo(bloodGroup, component, hospitalId, count, transaction);
+    if (selected.length < count) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `Only ${selected.length} unit(s) of ${bloodGroup} ${BLOOD_COMPONENTS[component].label} available at this hospital`
+      });
+    }
+
+    await issueUnits(selected, { issuedTo, authorisedBy: decoded.userId }, transaction);
+
+    await syncInventory(selected, transaction);
+    await transaction.commit();
+    await publishInventory(selected);
+
+    res.json({
+      success: true,
+      message: `${selected.length} unit(s) of ${bloodGroup} ${BLOOD_COMPONENTS[component].label} issued`,
+      units: selected.map(unit => ({ id: unit.UnitID, bagNumber: unit.BagNumber, expiresAt: unit.ExpiresAt }))
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    console.error('Error issuing blood units:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue blood units',
+      details: error.message
+    });
+  }
+});
+
+// Reserve Blood Units for a Request
+app.post('/api/requests/:id/reserve', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+  const { units, allowCompatible } = req.body;
+  const count = parseInt(units, 10) || 1;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const request = await getOpenRequestForStock(requestId, transaction);
+    const hospitalId = request.HospitalID || await resolveHospitalId(request.HospitalName, transaction);
+    const selected = await selectUnitsForRecipient(
+      request.BloodGroup,
+      request.Component,
+      hospitalId,
+      count,
+      { allowCompatible },
+      transaction
+    );
+    if (selected.length < count) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `Only ${selected.length} suitable unit(s) of ${BLOOD_COMPONENTS[request.Component].label} available for ${request.BloodGroup}`
+      });
+    }
+
+    for (const unit of selected) {
+      await transitionUnit(unit.UnitID, 'Reserved', {
+        transaction,
+        fields: { ReservedForRequestID: [sql.Int, requestId] }
+      });
+    }
+
+    await syncInventory(selected, transaction);
+    await transaction.commit();
+    await publishInventory(selected);
+
+    res.json({
+      success: true,
+      message: `${selected.length} unit(s) reserved for request ${requestId}`,
+      units: selected.map(unit => ({
+        id: unit.UnitID,
+        bagNumber: unit.BagNumber,
+        bloodGroup: unit.BloodGroup,
+        expiresAt: unit.ExpiresAt
+      }))
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error reserving blood units:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reserve blood units',
+      details: error.message
+    });
+  }
+});
+
+// Release Reserved Blood Units
+app.post('/api/requests/:id/release-reservation', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+  const { unitIds } = req.body;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const released = await releaseReservedUnits(requestId, unitIds, transaction);
+    await transaction.commit();
+    await publishInventory(released);
+
+    res.json({
+      success: true,
+      message: `${released.length} unit(s) released back to stock`
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    console.error('Error releasing reservation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release reservation',
+      details: error.message
+    });
+  }
+});
+
+// Issue Blood Units against a Request
+app.post('/api/requests/:id/issue', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+  const { units, issuedTo, allowCompatible } = req.body;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!issuedTo) {
+      return res.status(400).json({ error: 'issuedTo (patient or ward) is required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const request = await getOpenRequestForStock(requestId, transaction);
+    const hospitalId = request.HospitalID || await resolveHospitalId(request.HospitalName, transaction);
+
+    // Units already reserved for this request go first, then fresh stock if more are asked for
+    const reserved = await new sql.Request(transaction)
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT UnitID, BagNumber, BloodGroup, Component, HospitalID, ExpiresAt
+        FROM BloodUnits WITH (UPDLOCK, ROWLOCK)
+        WHERE ReservedForRequestID = @requestId
+          AND Status = 'Reserved'
+        ORDER BY ExpiresAt, UnitID
+      `);
+
+    const count = parseInt(units, 10) || reserved.recordset.length || 1;
+    const selected = reserved.recordset.slice(0, count);
+    if (selected.length < count) {
+      const extra = await selectUnitsForRecipient(
+        request.BloodGroup,
+        request.Component,
+        hospitalId,
+        count - selected.length,
+        { allowCompatible },
+        transaction
+      );
+      selected.push(...extra);
+    }
+
+    if (selected.length < count) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `Only ${selected.length} suitable unit(s) of ${BLOOD_COMPONENTS[request.Component].label} available for ${request.BloodGroup}`
+      });
+    }
+
+    await issueUnits(selected, {
+      requestId,
+      issuedTo,
+      authorisedBy: decoded.userId
+    }, transaction);
+
+    await syncInventory(selected, transaction);
+    const progress = await completeRequestIfFulfilled(requestId, { actor: decoded, transaction });
+    await transaction.commit();
+    await publishInventory(selected);
+
+    if (progress.completed) {
+      await windDownRequest(requestId, 'Completed', { actor: decoded, reason: 'Request fully met' });
+    }
+
+    res.json({
+      success: true,
+      message: `${selected.length} unit(s) issued to ${issuedTo}`,
+      units: selected.map(unit => ({
+        id: unit.UnitID,
+        bagNumber: unit.BagNumber,
+        bloodGroup: unit.BloodGroup,
+        expiresAt: unit.ExpiresAt
+      })),
+      progress
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error issuing units for request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue blood units',
+      details: error.message
+    });
+  }
+});
+
+// Units Reserved and Issued for a Request
+app.get('/api/requests/:id/units', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const [reserved, issued] = await Promise.all([
+      pool.request()
+        .input('requestId', sql.Int, requestId)
+        .query(`
+          SELECT UnitID AS id, BagNumber, BloodGroup, Component, ExpiresAt
+          FROM BloodUnits
+          WHERE ReservedForRequestID = @requestId
+            AND Status = 'Reserved'
+          ORDER BY ExpiresAt
+        `),
+      pool.request()
+        .input('requestId', sql.Int, requestId)
+        .query(`
+          SELECT
+            i.IssueID AS id,
+            b.BagNumber,
+            b.BloodGroup,
+            b.Component,
+            i.IssuedTo,
+            i.IssuedAt,
+            u.FullName AS authorisedBy
+          FROM UnitIssues i
+          JOIN BloodUnits b ON i.UnitID = b.UnitID
+          JOIN Users u ON i.AuthorisedBy = u.UserID
+          WHERE i.RequestID = @requestId
+          ORDER BY i.IssuedAt
+        `)
+    ]);
+
+    res.json({
+      success: true,
+      reserved: reserved.recordset,
+      issued: issued.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching request units:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch request units'
+    });
+  }
+});
+
+// Stock Thresholds
+app.get('/api/inventory/thresholds', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, req.query.hospitalId || null)
+      .input('defaultMinimum', sql.Int, DEFAULT_MINIMUM_UNITS)
+      .input('defaultTarget', sql.Int, DEFAULT_TARGET_UNITS)
+      .query(`
+        SELECT
+          i.BloodGroup,
+          i.Component,
+          i.HospitalID AS hospitalId,
+          h.Name AS hospital,
+          i.UnitsAvailable,
+          COALESCE(i.MinimumUnits, @defaultMinimum) AS MinimumUnits,
+          COALESCE(i.TargetUnits, @defaultTarget) AS TargetUnits
+        FROM BloodInventory i
+        JOIN Hospitals h ON i.HospitalID = h.HospitalID
+        WHERE @hospitalId IS NULL OR i.HospitalID = @hospitalId
+        ORDER BY h.Name, i.BloodGroup, i.Component
+      `);
+
+    res.json({
+      success: true,
+      thresholds: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching stock thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock thresholds'
+    });
+  }
+});
+
+app.put('/api/inventory/thresholds', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { bloodGroup, component = DEFAULT_COMPONENT, hospitalId, minimumUnits, targetUnits } = req.body;
+  const minimum = parseInt(minimumUnits, 10);
+  const target = parseInt(targetUnits, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!BLOOD_GROUPS.includes(bloodGroup) || !Object.hasOwn(BLOOD_COMPONENTS, component) || !hospitalId ||
+        isNaN(minimum) || isNaN(target) || minimum < 0 || target < minimum) {
+      return res.status(400).json({ error: 'Blood group, component, hospitalId, minimum units and a target at or above the minimum are required' });
+    }
+
+    const hospital = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .query('SELECT Name FROM Hospitals WHERE HospitalID = @hospitalId');
+
+    if (hospital.recordset.length === 0) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    await pool.request()
+      .input('bloodGroup', sql.NVarChar, bloodGroup)
+      .input('component', sql.NVarChar, component)
+      .input('hospitalId', sql.Int, hospitalId)
+      .input('minimum', sql.Int, minimum)
+      .input('target', sql.Int, target)
+      .query(`
+        UPDATE BloodInventory
+        SET MinimumUnits = @minimum, TargetUnits = @target
+        WHERE BloodGroup = @bloodGroup AND Component = @component AND HospitalID = @hospitalId;
+
+        IF @@ROWCOUNT = 0
+          INSERT INTO BloodInventory (BloodGroup, Component, HospitalID, UnitsAvailable, MinimumUnits, TargetUnits)
+          VALUES (@bloodGroup, @component, @hospitalId, 0, @minimum, @target);
+      `);
+
+    await checkStockLevels([{ BloodGroup: bloodGroup, Component: component, HospitalID: parseInt(hospitalId, 10) }]);
+
+    res.json({
+      success: true,
+      message: `Thresholds for ${bloodGroup} ${BLOOD_COMPONENTS[component].label} at ${hospital.recordset[0].Name} updated`
+    });
+
+  } catch (error) {
+    console.error('Error updating stock thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update stock thresholds',
+      details: error.message
+    });
+  }
+});
+
+// Shortage Alerts
+app.get('/api/shortage-alerts', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { status, hospitalId } = req.query;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('status', sql.NVarChar, status || null)
+      .input('hospitalId', sql.Int, hospitalId || null)
+      .query(`
+        SELECT
+          a.AlertID AS id,
+          a.BloodGroup,
+          a.Component,
+          a.HospitalID AS hospitalId,
+          h.Name AS hospital,
+          a.UnitsAvailable,
+          a.MinimumUnits,
+          a.Status,
+          a.DonorsContacted,
+          a.CreatedAt,
+          u.FullName AS acknowledgedBy,
+          a.AcknowledgedAt,
+          a.ResolvedAt
+        FROM ShortageAlerts a
+        LEFT JOIN Hospitals h ON a.HospitalID = h.HospitalID
+        LEFT JOIN Users u ON a.AcknowledgedBy = u.UserID
+        WHERE ((@status IS NULL AND a.Status IN ('Open', 'Acknowledged')) OR a.Status = @status)
+          AND (@hospitalId IS NULL OR a.HospitalID = @hospitalId)
+        ORDER BY a.CreatedAt DESC
+      `);
+
+    res.json({
+      success: true,
+      alerts: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching shortage alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shortage alerts'
+    });
+  }
+});
+
+app.post('/api/shortage-alerts/:id/acknowledge', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('alertId', sql.Int, req.params.id)
+      .input('userId', sql.Int, decoded.userId)
+      .query(`
+        UPDATE ShortageAlerts
+        SET Status = 'Acknowledged', AcknowledgedBy = @userId, AcknowledgedAt = GETDATE()
+        OUTPUT INSERTED.HospitalID
+        WHERE AlertID = @alertId
+          AND Status = 'Open'
+      `);
+
+    if (result.rowsAffected[0] === 0) {
+      return res.status(404).json({ error: 'Open alert not found' });
+    }
+
+    broadcastToAdmins('alerts', {
+      type: 'shortage-alert-acknowledged',
+      alertId: parseInt(req.params.id, 10),
+      acknowledgedBy: decoded.name
+    }, { hospitalIds: [result.recordset[0].HospitalID] });
+
+    res.json({ success: true, message: 'Alert acknowledged' });
+
+  } catch (error) {
+    console.error('Error acknowledging shortage alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge alert'
+    });
+  }
+});
+
+// Hospital Registry
+app.get('/api/hospitals', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const includeInactive = decoded.role === 'admin' && req.query.includeInactive === 'true';
+
+    const result = await pool.request()
+      .input('includeInactive', sql.Bit, includeInactive)
+      .query(`
+        SELECT
+          h.HospitalID AS id,
+          h.Name,
+          h.Address,
+          h.City,
+          h.Phone,
+          h.Email,
+          h.BloodBankCapacity,
+          h.IsActive,
+          h.Latitude,
+          h.Longitude,
+          (
+            SELECT COUNT(*) FROM BloodUnits b
+            WHERE b.HospitalID = h.HospitalID
+              AND b.Status IN ('Quarantined', 'Available', 'Reserved')
+          ) AS unitsHeld
+        FROM Hospitals h
+        WHERE @includeInactive = 1 OR h.IsActive = 1
+        ORDER BY h.Name
+      `);
+
+    res.json({
+      success: true,
+      hospitals: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching hospitals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch hospitals'
+    });
+  }
+});
+
+app.get('/api/hospitals/:id', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    jwt.verify(token, process.env.JWT_SECRET);
+
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, req.params.id)
+      .query(`
+        SELECT
+          HospitalID AS id,
+          Name,
+          Address,
+          City,
+          Phone,
+          Email,
+          BloodBankCapacity,
+          IsActive,
+          Pincode,
+          Latitude,
+          Longitude
+        FROM Hospitals
+        WHERE HospitalID = @hospitalId
+      `);
+
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    res.json({
+      success: true,
+      hospital: result.recordset[0]
+    });
+
+  } catch (error) {
+    console.error('Error fetching hospital:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch hospital'
+    });
+  }
+});
+
+app.post('/api/hospitals', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { name, address, city, pincode, phone, email, bloodBankCapacity, latitude, longitude } = req.body;
+  const capacity = parseInt(bloodBankCapacity, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!name || !address || !city || !phone || !(capacity > 0)) {
+      return res.status(400).json({ error: 'Name, address, city, phone and a positive bloodBankCapacity are required' });
+    }
+
+    const existing = await pool.request()
+      .input('name', sql.NVarChar, name)
+      .query('SELECT HospitalID FROM Hospitals WHERE Name = @name');
+
+    if (existing.recordset.length > 0) {
+      return res.status(400).json({ error: 'A hospital with this name already exists' });
+    }
+
+    // Located before the insert so bad coordinates are refused without leaving a half-made hospital
+    const location = locateAddress({ address, city, pincode, latitude, longitude });
+
+    const result = await pool.request()
+      .input('name', sql.NVarChar, name)
+      .input('address', sql.NVarChar, address)
+      .input('city', sql.NVarChar, city)
+      .input('phone', sql.NVarChar, phone)
+      .input('email', sql.NVarChar, email || null)
+      .input('pincode', sql.NVarChar, pincode || null)
+      .input('capacity', sql.Int, capacity)
+      .input('latitude', sql.Decimal(9, 6), location ? location.latitude : null)
+      .input('longitude', sql.Decimal(9, 6), location ? location.longitude : null)
+      .query(`
+        INSERT INTO Hospitals (Name, Address, City, Pincode, Phone, Email, BloodBankCapacity, Latitude, Longitude)
+        OUTPUT INSERTED.HospitalID
+        VALUES (@name, @address, @city, @pincode, @phone, @email, @capacity, @latitude, @longitude)
+      `);
+
+    const hospitalId = result.recordset[0].HospitalID;
+
+    res.status(201).json({
+      success: true,
+      message: `${name} added to the registry`,
+      hospitalId,
+      location
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error creating hospital:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create hospital',
+      details: error.message
+    });
+  }
+});
+
+app.put('/api/hospitals/:id', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const hospitalId = req.params.id;
+  const { name, address, city, pincode, phone, email, bloodBankCapacity, isActive, latitude, longitude } = req.body;
+  const capacity = bloodBankCapacity !== undefined ? parseInt(bloodBankCapacity, 10) : null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (capacity !== null && !(capacity > 0)) {
+      return res.status(400).json({ error: 'bloodBankCapacity must be a positive number' });
+    }
+
+    const current = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .input('name', sql.NVarChar, name || null)
+      .query(`
+        SELECT
+          h.Address,
+          h.City,
+          h.Pincode,
+          (SELECT COUNT(*) FROM Hospitals WHERE Name = @name AND HospitalID <> @hospitalId) AS nameTaken
+        FROM Hospitals h
+        WHERE h.HospitalID = @hospitalId
+      `);
+
+    const hospital = current.recordset[0];
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    if (hospital.nameTaken > 0) {
+      return res.status(400).json({ error: 'A hospital with this name already exists' });
+    }
+
+    // Located before the update; a new address that can't be placed clears the old coordinates
+    // rather than leaving the hospital pinned where it used to be
+    const relocate = [address, city, pincode, latitude, longitude].some(value => value !== undefined);
+    const location = relocate
+      ? locateAddress({
+        address: address || hospital.Address,
+        city: city || hospital.City,
+        pincode: pincode || hospital.Pincode,
+        latitude,
+        longitude
+      })
+      : undefined;
+
+    if (capacity !== null) {
+      const held = await countUnitsHeld(hospitalId);
+      if (capacity < held) {
+        return res.status(409).json({ error: `Capacity cannot be set below the ${held} unit(s) currently held` });
+      }
+    }
+
+    await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .input('name', sql.NVarChar, name || null)
+      .input('address', sql.NVarChar, address || null)
+      .input('city', sql.NVarChar, city || null)
+      .input('pincode', sql.NVarChar, pincode || null)
+      .input('phone', sql.NVarChar, phone || null)
+      .input('email', sql.NVarChar, email === undefined ? null : email)
+      .input('updateEmail', sql.Bit, email !== undefined)
+      .input('capacity', sql.Int, capacity)
+      .input('isActive', sql.Bit, isActive === undefined ? null : Boolean(isActive))
+      .input('relocate', sql.Bit, relocate)
+      .input('latitude', sql.Decimal(9, 6), location ? location.latitude : null)
+      .input('longitude', sql.Decimal(9, 6), location ? location.longitude : null)
+      .query(`
+        UPDATE Hospitals
+        SET
+          Name = COALESCE(@name, Name),
+          Address = COALESCE(@address, Address),
+          City = COALESCE(@city, City),
+          Pincode = COALESCE(@pincode, Pincode),
+          Phone = COALESCE(@phone, Phone),
+          Email = CASE WHEN @updateEmail = 1 THEN @email ELSE Email END,
+          BloodBankCapacity = COALESCE(@capacity, BloodBankCapacity),
+          IsActive = COALESCE(@isActive, IsActive),
+          Latitude = CASE WHEN @relocate = 1 THEN @latitude ELSE Latitude END,
+          Longitude = CASE WHEN @relocate = 1 THEN @longitude ELSE Longitude END
+        WHERE HospitalID = @hospitalId
+      `);
+
+    res.json({ success: true, message: 'Hospital updated', location });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating hospital:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update hospital',
+      details: error.message
+    });
+  }
+});
+
+// Hospitals are deactivated rather than deleted so past requests, stock and transfers keep their site
+app.delete('/api/hospitals/:id', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const hospitalId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const held = await countUnitsHeld(hospitalId);
+    if (held > 0) {
+      return res.status(409).json({ error: `Transfer or issue the ${held} unit(s) held here before removing this hospital` });
+    }
+
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .query('UPDATE Hospitals SET IsActive = 0 WHERE HospitalID = @hospitalId AND IsActive = 1');
+
+    if (result.rowsAffected[0] === 0) {
+      return res.status(404).json({ error: 'Active hospital not found' });
+    }
+
+    res.json({ success: true, message: 'Hospital removed from the registry' });
+
+  } catch (error) {
+    console.error('Error removing hospital:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove hospital',
+      details: error.message
+    });
+  }
+});
+
+// Donation Slots
+app.get('/api/hospitals/:id/slots', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { from, to } = req.query;
+
+  try {
+    jwt.verify(token, process.env.JWT_SECRET);
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const hospitalId = parseInt(req.params.id, 10);
+    const hospital = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .query('SELECT HospitalID FROM Hospitals WHERE HospitalID = @hospitalId');
+    if (hospital.recordset.length === 0) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    res.json({
+      success: true,
+      slots: await getOpenSlots(hospitalId, { from: fromDate, to: toDate })
+    });
+
+  } catch (error) {
+    console.error('Error fetching donation slots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch donation slots'
+    });
+  }
+});
+
+app.post('/api/hospitals/:id/slots', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { startsAt, endsAt, capacity } = req.body;
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  const places = parseInt(capacity, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start <= new Date() || end <= start || !(places > 0)) {
+      return res.status(400).json({ error: 'A future startsAt, a later endsAt and a positive capacity are required' });
+    }
+
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, req.params.id)
+      .input('startsAt', sql.DateTime, start)
+      .input('endsAt', sql.DateTime, end)
+      .input('capacity', sql.Int, places)
+      .input('createdBy', sql.Int, decoded.userId)
+      .query(`
+        IF EXISTS (SELECT 1 FROM Hospitals WHERE HospitalID = @hospitalId AND IsActive = 1)
+        INSERT INTO DonationSlots (HospitalID, StartsAt, EndsAt, Capacity, CreatedBy)
+        OUTPUT INSERTED.SlotID
+        VALUES (@hospitalId, @startsAt, @endsAt, @capacity, @createdBy)
+      `);
+
+    if (!result.recordset || result.recordset.length === 0) {
+      return res.status(404).json({ error: 'Active hospital not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      slotId: result.recordset[0].SlotID,
+      message: `Slot for ${places} donor(s) published`
+    });
+
+  } catch (error) {
+    console.error('Error creating donation slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create donation slot',
+      details: error.message
+    });
+  }
+});
+
+// Cancelling a slot frees every donation booked into it and asks those donors to rebook
+app.post('/api/slots/:id/cancel', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const slotId = parseInt(req.params.id, 10);
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const slotResult = await new sql.Request(transaction)
+      .input('slotId', sql.Int, slotId)
+      .query(`
+        UPDATE DonationSlots
+        SET CancelledAt = GETDATE(), BookedCount = 0
+        OUTPUT INSERTED.StartsAt
+        WHERE SlotID = @slotId AND CancelledAt IS NULL
+      `);
+
+    if (slotResult.recordset.length === 0) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Active slot not found' });
+    }
+
+    const freed = await new sql.Request(transaction)
+      .input('slotId', sql.Int, slotId)
+      .query(`
+        UPDATE dn
+        SET dn.SlotID = NULL, dn.ReminderSentAt = NULL
+        OUTPUT INSERTED.DonationID, INSERTED.RequestID, d.UserID, u.PhoneNumber
+        FROM Donations dn
+        JOIN Donors d ON dn.DonorID = d.DonorID
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE dn.SlotID = @slotId AND dn.Status = 'Scheduled'
+      `);
+
+    const when = formatAppointment(slotResult.recordset[0].StartsAt);
+    for (const donation of freed.recordset) {
+      await createNotification(donation.UserID, {
+        type: 'appointment-cancelled',
+        title: 'Appointment Cancelled',
+        message: `Your donation appointment on ${when} has been cancelled by the blood bank. Please book another slot.`,
+        sms: `BloodCare: Your donation appointment on ${when} was cancelled by the blood bank. Please book another slot in the app.`,
+        requestId: donation.RequestID
+      }, { transaction });
+      afterCommit(transaction, () => sendToUser(donation.UserID, {
+        type: 'booking-cancelled',
+        donationId: donation.DonationID,
+        slotId,
+        byBloodBank: true
+      }));
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: `Slot cancelled; ${freed.recordset.length} donor(s) asked to rebook`
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    console.error('Error cancelling donation slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel donation slot',
+      details: error.message
+    });
+  }
+});
+
+// Book or Reschedule a Donation Appointment
+app.post('/api/donations/:id/booking', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { slotId } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!slotId) {
+      return res.status(400).json({ error: 'slotId is required' });
+    }
+
+    const booking = await bookDonationSlot(req.params.id, slotId, decoded);
+
+    res.json({
+      success: true,
+      message: `${booking.rescheduled ? 'Appointment moved to' : 'Appointment booked for'} ${formatAppointment(booking.startsAt)}`,
+      booking
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error booking donation slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to book donation slot',
+      details: error.message
+    });
+  }
+});
+
+// Cancel a Donation Appointment
+app.delete('/api/donations/:id/booking', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const booking = await cancelDonationBooking(req.params.id, decoded);
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled. Please book another slot so the blood bank can expect you.',
+      booking
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error cancelling donation booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel donation booking',
+      details: error.message
+    });
+  }
+});
+
+// Record a Missed Appointment
+app.post('/api/donations/:id/no-show', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    await recordNoShow(req.params.id, { actor: decoded, reason: req.body.reason || 'Marked as a no-show by an admin' });
+
+    res.json({ success: true, message: 'No-show recorded' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error recording no-show:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record no-show',
+      details: error.message
+    });
+  }
+});
+
+// Available Donors for the map view
+app.get('/api/available-donors', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { bloodGroup, radiusKm, limit } = req.query;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (bloodGroup && !BLOOD_GROUPS.includes(bloodGroup)) {
+      return res.status(400).json({ error: 'Invalid blood group' });
+    }
+
+    const origin = await resolveSearchOrigin(req.query);
+    const radius = parseFloat(radiusKm) || DEFAULT_SEARCH_RADIUS_KM;
+    const maxResults = parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT;
+
+    let donors;
+    if (bloodGroup) {
+      ({ donors } = await findCompatibleDonors(bloodGroup, { origin, radiusKm: radius }));
+    } else {
+      const result = await pool.request().query(`
+        SELECT
+          d.DonorID AS id,
+          u.FullName AS fullName,
+          u.BloodGroup,
+          d.Gender,
+          d.LastDonationDate,
+          d.LastDonationComponent,
+          d.Latitude,
+          d.Longitude
+        FROM Donors d
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE d.Availability = 1
+      `);
+
+      const deferrals = await getActiveDeferrals(result.recordset.map(donor => donor.id));
+      donors = result.recordset.filter(donor =>
+        evaluateEligibility(donor, deferrals.get(donor.id)).eligible
+      );
+      if (origin) donors = rankByDistance(donors, origin, radius);
+    }
+
+    // Plain array of markers, as the map front-end expects
+    res.json(donors
+      .filter(donor => donor.Latitude !== null && donor.Longitude !== null)
+      .slice(0, maxResults)
+      .map(donor => ({
+        id: donor.id,
+        name: donor.fullName,
+        bloodGroup: donor.BloodGroup,
+        lat: donor.Latitude,
+        lng: donor.Longitude,
+        distanceKm: donor.distanceKm
+      })));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching available donors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch available donors'
+    });
+  }
+});
+
+// Update Donor Location
+app.put('/api/donors/:id/location', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const donorId = parseInt(req.params.id, 10);
+  const { address, city, pincode, latitude, longitude } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const donorResult = await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .query('SELECT UserID FROM Donors WHERE DonorID = @donorId');
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+    if (decoded.role !== 'admin' && decoded.userId !== donor.UserID) {
+      return res.status(403).json({ error: 'Not allowed to update this donor' });
+    }
+
+    const point = await setDonorLocation(donorId, { address, city, pincode, latitude, longitude });
+    if (!point) {
+      return res.status(400).json({ error: 'Location not recognised; send a known city or pincode, or latitude and longitude' });
+    }
+
+    res.json({
+      success: true,
+      location: point
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating donor location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update donor location',
+      details: error.message
+    });
+  }
+});
+
+// Stock Levels (network-wide and per hospital)
+app.get('/api/inventory', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const hospitalId = req.query.hospitalId ? parseInt(req.query.hospitalId, 10) : null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const [hospitals, stock] = await Promise.all([
+      pool.request()
+        .input('hospitalId', sql.Int, hospitalId)
+        .query(`
+          SELECT HospitalID, Name
+          FROM Hospitals
+          WHERE @hospitalId IS NULL OR HospitalID = @hospitalId
+          ORDER BY Name
+        `),
+      getStockLevels(hospitalId)
+    ]);
+
+    if (hospitalId && hospitals.recordset.length === 0) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    res.json({
+      success: true,
+      network: summariseInventory(stock),
+      sites: summariseSites(hospitals.recordset, stock)
+    });
+
+  } catch (error) {
+    console.error('Error fetching stock levels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock levels'
+    });
+  }
+});
+
+// Inter-hospital Transfers
+app.post('/api/transfers', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { fromHospitalId, toHospitalId, bloodGroup, component = DEFAULT_COMPONENT, units, notes } = req.body;
+  const count = parseInt(units, 10);
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!fromHospitalId || !toHospitalId || !BLOOD_GROUPS.includes(bloodGroup) || !Object.hasOwn(BLOOD_COMPONENTS, component) || !(count > 0)) {
+      return res.status(400).json({ error: 'Supplying hospital, requesting hospital, blood group, component and units are required' });
+    }
+    if (parseInt(fromHospitalId, 10) === parseInt(toHospitalId, 10)) {
+      return res.status(400).json({ error: 'A hospital cannot transfer stock to itself' });
+    }
+
+    const hospitals = await pool.request()
+      .input('fromHospitalId', sql.Int, fromHospitalId)
+      .input('toHospitalId', sql.Int, toHospitalId)
+      .query('SELECT COUNT(*) AS count FROM Hospitals WHERE HospitalID IN (@fromHospitalId, @toHospitalId)');
+
+    if (hospitals.recordset[0].count < 2) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const result = await new sql.Request(transaction)
+      .input('fromHospitalId', sql.Int, fromHospitalId)
+      .input('toHospitalId', sql.Int, toHospitalId)
+      .input('bloodGroup', sql.NVarChar, bloodGroup)
+      .input('component', sql.NVarChar, component)
+      .input('units', sql.Int, count)
+      .input('requestedBy', sql.Int, decoded.userId)
+      .input('notes', sql.NVarChar, notes || null)
+      .query(`
+        INSERT INTO TransferRequests (FromHospitalID, ToHospitalID, BloodGroup, Component, UnitsRequested, RequestedBy, Notes)
+        OUTPUT INSERTED.TransferID
+        VALUES (@fromHospitalId, @toHospitalId, @bloodGroup, @component, @units, @requestedBy, @notes)
+      `);
+    const transferId = result.recordset[0].TransferID;
+
+    await recordTransferEvent({
+      transferId,
+      fromStatus: null,
+      toStatus: 'Requested',
+      actor: decoded,
+      details: notes || null,
+      transaction
+    });
+
+    await transaction.commit();
+
+    broadcastToAdmins('transfers', {
+      type: 'transfer-update',
+      transferId,
+      status: 'Requested',
+      bloodGroup,
+      component,
+      units: count,
+      fromHospitalId: parseInt(fromHospitalId, 10),
+      toHospitalId: parseInt(toHospitalId, 10)
+    }, { hospitalIds: [fromHospitalId, toHospitalId] });
+
+    res.json({
+      success: true,
+      message: `Transfer of ${count} unit(s) of ${bloodGroup} ${BLOOD_COMPONENTS[component].label} requested`,
+      transferId
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    console.error('Error requesting transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request transfer',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/transfers', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { hospitalId, status } = req.query;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId || null)
+      .input('status', sql.NVarChar, status || null)
+      .query(`
+        SELECT
+          t.TransferID AS id,
+          t.BloodGroup,
+          t.Component,
+          t.UnitsRequested,
+          t.Status,
+          t.FromHospitalID AS fromHospitalId,
+          f.Name AS fromHospital,
+          t.ToHospitalID AS toHospitalId,
+          h.Name AS toHospital,
+          u.FullName AS requestedBy,
+          t.Notes,
+          t.CreatedAt,
+          t.UpdatedAt
+        FROM TransferRequests t
+        JOIN Hospitals f ON t.FromHospitalID = f.HospitalID
+        JOIN Hospitals h ON t.ToHospitalID = h.HospitalID
+        JOIN Users u ON t.RequestedBy = u.UserID
+        WHERE (@hospitalId IS NULL OR @hospitalId IN (t.FromHospitalID, t.ToHospitalID))
+          AND (@status IS NULL OR t.Status = @status)
+        ORDER BY t.CreatedAt DESC
+      `);
+
+    res.json({
+      success: true,
+      transfers: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers'
+    });
+  }
+});
+
+app.get('/api/transfers/:id', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const transferId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const [transfer, units, events] = await Promise.all([
+      pool.request()
+        .input('transferId', sql.Int, transferId)
+        .query(`
+          SELECT
+            t.TransferID AS id,
+            t.BloodGroup,
+            t.Component,
+            t.UnitsRequested,
+            t.Status,
+            t.FromHospitalID AS fromHospitalId,
+            f.Name AS fromHospital,
+            t.ToHospitalID AS toHospitalId,
+            h.Name AS toHospital,
+            t.Notes,
+            t.CreatedAt,
+            t.UpdatedAt
+          FROM TransferRequests t
+          JOIN Hospitals f ON t.FromHospitalID = f.HospitalID
+          JOIN Hospitals h ON t.ToHospitalID = h.HospitalID
+          WHERE t.TransferID = @transferId
+        `),
+      pool.request()
+        .input('transferId', sql.Int, transferId)
+        .query(`
+          SELECT b.UnitID AS id, b.BagNumber, b.BloodGroup, b.Component, b.Status, b.ExpiresAt
+          FROM TransferUnits tu
+          JOIN BloodUnits b ON tu.UnitID = b.UnitID
+          WHERE tu.TransferID = @transferId
+          ORDER BY b.ExpiresAt
+        `),
+      pool.request()
+        .input('transferId', sql.Int, transferId)
+        .query(`
+          SELECT
+            e.FromStatus AS fromStatus,
+            e.ToStatus AS toStatus,
+            u.FullName AS actorName,
+            e.Details AS details,
+            e.CreatedAt AS createdAt
+          FROM TransferEvents e
+          LEFT JOIN Users u ON e.ActorUserID = u.UserID
+          WHERE e.TransferID = @transferId
+          ORDER BY e.CreatedAt, e.EventID
+        `)
+    ]);
+
+    if (transfer.recordset.length === 0) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json({
+      success: true,
+      transfer: transfer.recordset[0],
+      units: units.recordset,
+      events: events.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfer'
+    });
+  }
+});
+
+// Supplying hospital sets aside units for the transfer
+app.post('/api/transfers/:id/approve', async (req, res) => {
+  await runTransferStep(req, res, 'Approved', 'Failed to approve transfer', async (transfer, transaction) => {
+    await assertCapacity(transfer.ToHospitalID, transfer.UnitsRequested, transaction);
+
+    const units = await selectUnitsFefo(
+      transfer.BloodGroup,
+      transfer.Component,
+      transfer.FromHospitalID,
+      transfer.UnitsRequested,
+      transaction
+    );
+    if (units.length < transfer.UnitsRequested) {
+      throw httpError(409, `Only ${units.length} unit(s) of ${transfer.BloodGroup} ${BLOOD_COMPONENTS[transfer.Component].label} available at the supplying hospital`);
+    }
+
+    for (const unit of units) {
+      await transitionUnit(unit.UnitID, 'Reserved', { transaction });
+      await new sql.Request(transaction)
+        .input('transferId', sql.Int, transfer.TransferID)
+        .input('unitId', sql.Int, unit.UnitID)
+        .query('INSERT INTO TransferUnits (TransferID, UnitID) VALUES (@transferId, @unitId)');
+    }
+    return units;
+  });
+});
+
+app.post('/api/transfers/:id/reject', async (req, res) => {
+  await runTransferStep(req, res, 'Rejected', 'Failed to reject transfer');
+});
+
+app.post('/api/transfers/:id/dispatch', async (req, res) => {
+  await runTransferStep(req, res, 'Dispatched', 'Failed to dispatch transfer', async (transfer, transaction) => {
+    const units = await getTransferUnits(transfer.TransferID, 'Reserved', transaction);
+    for (const unit of units) {
+      await transitionUnit(unit.UnitID, 'InTransit', { transaction });
+    }
+    return units;
+  });
+});
+
+// Requesting hospital confirms arrival; the units join its stock
+app.post('/api/transfers/:id/receive', async (req, res) => {
+  await runTransferStep(req, res, 'Received', 'Failed to receive transfer', async (transfer, transaction) => {
+    const units = await getTransferUnits(transfer.TransferID, 'InTransit', transaction);
+    await assertCapacity(transfer.ToHospitalID, units.length, transaction);
+
+    for (const unit of units) {
+      await transitionUnit(unit.UnitID, 'Available', {
+        transaction,
+        fields: { HospitalID: [sql.Int, transfer.ToHospitalID] }
+      });
+    }
+    return units.map(unit => ({ ...unit, HospitalID: transfer.ToHospitalID }));
+  });
+});
+
+app.post('/api/transfers/:id/cancel', async (req, res) => {
+  await runTransferStep(req, res, 'Cancelled', 'Failed to cancel transfer', async (transfer, transaction) => {
+    const units = await getTransferUnits(transfer.TransferID, 'Reserved', transaction);
+    for (const unit of units) {
+      await transitionUnit(unit.UnitID, 'Available', { transaction });
+    }
+    return units;
+  });
+});
+
+// Donation Camps
+app.post('/api/camps', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { name, venue, city, pincode, latitude, longitude, hospitalId, startsAt, endsAt, targetUnits, groupTargets } = req.body;
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  const target = parseInt(targetUnits, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!name || !venue || !hospitalId || isNaN(start.getTime()) || isNaN(end.getTime()) || start <= new Date() || end <= start || !(target > 0)) {
+      return res.status(400).json({ error: 'Name, venue, hospitalId, startsAt, a later endsAt and a positive targetUnits are required' });
+    }
+
+    const targets = parseGroupTargets(groupTargets);
+    const point = locateAddress({ address: venue, city, pincode, latitude, longitude });
+    if (!point) {
+      return res.status(400).json({ error: 'Venue not recognised; send a known city or pincode, or latitude and longitude' });
+    }
+
+    const result = await pool.request()
+      .input('name', sql.NVarChar, name)
+      .input('venue', sql.NVarChar, venue)
+      .input('city', sql.NVarChar, city || null)
+      .input('latitude', sql.Decimal(9, 6), point.latitude)
+      .input('longitude', sql.Decimal(9, 6), point.longitude)
+      .input('hospitalId', sql.Int, hospitalId)
+      .input('startsAt', sql.DateTime, start)
+      .input('endsAt', sql.DateTime, end)
+      .input('targetUnits', sql.Int, target)
+      .input('groupTargets', sql.NVarChar(sql.MAX), JSON.stringify(targets))
+      .input('createdBy', sql.Int, decoded.userId)
+      .query(`
+        IF EXISTS (SELECT 1 FROM Hospitals WHERE HospitalID = @hospitalId AND IsActive = 1)
+        INSERT INTO DonationCamps (
+          Name, Venue, City, Latitude, Longitude, HospitalID,
+          StartsAt, EndsAt, TargetUnits, GroupTargets, CreatedBy
+        )
+        OUTPUT INSERTED.CampID
+        VALUES (
+          @name, @venue, @city, @latitude, @longitude, @hospitalId,
+          @startsAt, @endsAt, @targetUnits, @groupTargets, @createdBy
+        )
+      `);
+
+    if (!result.recordset || result.recordset.length === 0) {
+      return res.status(404).json({ error: 'Active hospital not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${name} planned for ${formatAppointment(start)}`,
+      campId: result.recordset[0].CampID
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error creating camp:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create camp',
+      details: error.message
+    });
+  }
+});
+
+// Donors see upcoming camps and their own registration; admins can see every camp
+app.get('/api/camps', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { status, includePast } = req.query;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const result = await pool.request()
+      .input('userId', sql.Int, decoded.userId)
+      .input('isAdmin', sql.Bit, decoded.role === 'admin')
+      .input('status', sql.NVarChar, status || null)
+      .input('includePast', sql.Bit, includePast === 'true')
+      .query(`
+        SELECT
+          c.CampID AS id,
+          c.Name,
+          c.Venue,
+          c.City,
+          c.Latitude,
+          c.Longitude,
+          c.StartsAt,
+          c.EndsAt,
+          c.Status,
+          c.TargetUnits,
+          h.Name AS hospital,
+          (
+            SELECT COUNT(*) FROM CampRegistrations r
+            WHERE r.CampID = c.CampID AND r.Status IN ('Registered', 'CheckedIn', 'Donated')
+          ) AS registered,
+          (
+            SELECT r.Status FROM CampRegistrations r
+            JOIN Donors d ON r.DonorID = d.DonorID
+            WHERE r.CampID = c.CampID AND d.UserID = @userId
+          ) AS myRegistration
+        FROM DonationCamps c
+        JOIN Hospitals h ON c.HospitalID = h.HospitalID
+        WHERE (@isAdmin = 1 OR c.Status IN ('Planned', 'Open'))
+          AND (@status IS NULL OR c.Status = @status)
+          AND (@includePast = 1 OR c.EndsAt > GETDATE())
+        ORDER BY c.StartsAt
+      `);
+
+    res.json({
+      success: true,
+      camps: result.recordset
+    });
+
+  } catch (error) {
+    console.error('Error fetching camps:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camps'
+    });
+  }
+});
+
+app.post('/api/camps/:id/status', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const campId = parseInt(req.params.id, 10);
+  const { status } = req.body;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!CAMP_TRANSITIONS[status]) {
+      return res.status(400).json({ error: `status must be one of ${Object.keys(CAMP_TRANSITIONS).join(', ')}` });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const camp = await transitionCamp(campId, status, transaction);
+
+    let affected = [];
+    if (status === 'Cancelled') {
+      const cancelled = await new sql.Request(transaction)
+        .input('campId', sql.Int, campId)
+        .query(`
+          UPDATE r
+          SET r.Status = 'Cancelled'
+          OUTPUT d.UserID, u.PhoneNumber
+          FROM CampRegistrations r
+          JOIN Donors d ON r.DonorID = d.DonorID
+          JOIN Users u ON d.UserID = u.UserID
+          WHERE r.CampID = @campId AND r.Status IN ('Registered', 'CheckedIn')
+        `);
+      affected = cancelled.recordset;
+    }
+
+    for (const donor of affected) {
+      await createNotification(donor.UserID, {
+        type: 'camp-cancelled',
+        title: 'Camp Cancelled',
+        message: `${camp.Name} on ${formatAppointment(camp.StartsAt)} has been cancelled. Sorry for the inconvenience.`
+      }, { transaction });
+      afterCommit(transaction, () => sendToUser(donor.UserID, { type: 'camp-cancelled', campId }));
+    }
+
+    await transaction.commit();
+
+    broadcastToAdmins('camps', { type: 'camp-status', campId, status }, { hospitalIds: [camp.HospitalID] });
+
+    res.json({
+      success: true,
+      message: `Camp ${status.toLowerCase()}`,
+      donorsNotified: affected.length
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating camp status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camp status',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/camps/:id/invite', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const camp = await getCamp(req.params.id);
+    if (!['Planned', 'Open'].includes(camp.Status) || camp.EndsAt <= new Date()) {
+      return res.status(409).json({ error: 'Only upcoming camps can invite donors' });
+    }
+
+    const invited = await inviteDonorsToCamp(camp);
+
+    res.json({
+      success: true,
+      message: `${invited} donor(s) invited to ${camp.Name}`,
+      invited
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error inviting donors to camp:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite donors',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/camps/:id/register', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const campId = parseInt(req.params.id, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'donor') {
+      return res.status(403).json({ error: 'Donor access required' });
+    }
+
+    const camp = await getCamp(campId);
+    if (!['Planned', 'Open'].includes(camp.Status) || camp.EndsAt <= new Date()) {
+      return res.status(409).json({ error: 'This camp is not taking registrations' });
+    }
+
+    const donorResult = await pool.request()
+      .input('userId', sql.Int, decoded.userId)
+      .query('SELECT DonorID, Gender, LastDonationDate, LastDonationComponent FROM Donors WHERE UserID = @userId');
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor profile not found' });
+    }
+
+    const deferrals = await getActiveDeferrals([donor.DonorID]);
+    const onTheDay = camp.StartsAt > new Date() ? camp.StartsAt : new Date();
+    const eligibility = evaluateEligibility(donor, deferrals.get(donor.DonorID), onTheDay);
+    if (!eligibility.eligible) {
+      return res.status(409).json({
+        success: false,
+        error: 'You will not be able to donate on the day of this camp',
+        eligibility
+      });
+    }
+
+    const result = await pool.request()
+      .input('campId', sql.Int, campId)
+      .input('donorId', sql.Int, donor.DonorID)
+      .query(`
+        UPDATE CampRegistrations
+        SET Status = 'Registered', RegisteredAt = GETDATE()
+        WHERE CampID = @campId AND DonorID = @donorId AND Status IN ('Invited', 'Cancelled');
+
+        IF @@ROWCOUNT = 0 AND NOT EXISTS (SELECT 1 FROM CampRegistrations WHERE CampID = @campId AND DonorID = @donorId)
+          INSERT INTO CampRegistrations (CampID, DonorID, Status, RegisteredAt)
+          VALUES (@campId, @donorId, 'Registered', GETDATE());
+
+        SELECT Status FROM CampRegistrations WHERE CampID = @campId AND DonorID = @donorId;
+      `);
+
+    const registration = result.recordset[0];
+    if (registration.Status !== 'Registered') {
+      return res.status(409).json({ error: `You are already ${registration.Status === 'CheckedIn' ? 'checked in' : registration.Status.toLowerCase()} at this camp` });
+    }
+
+    res.json({
+      success: true,
+      message: `Registered for ${camp.Name} on ${formatAppointment(camp.StartsAt)}`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error registering for camp:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register for camp',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/camps/:id/registration', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'donor') {
+      return res.status(403).json({ error: 'Donor access required' });
+    }
+
+    const result = await pool.request()
+      .input('campId', sql.Int, req.params.id)
+      .input('userId', sql.Int, decoded.userId)
+      .query(`
+        UPDATE r
+        SET r.Status = 'Cancelled'
+        FROM CampRegistrations r
+        JOIN Donors d ON r.DonorID = d.DonorID
+        WHERE r.CampID = @campId AND d.UserID = @userId AND r.Status = 'Registered'
+      `);
+
+    if (result.rowsAffected[0] === 0) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    res.json({ success: true, message: 'Registration cancelled' });
+
+  } catch (error) {
+    console.error('Error cancelling camp registration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel camp registration',
+      details: error.message
+    });
+  }
+});
+
+// Staff check donors in on the day; walk-ins without a registration are checked in too.
+// Screening answers can be taken at the desk, otherwise a recent screening must be on file.
+app.post('/api/camps/:id/check-in', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const campId = parseInt(req.params.id, 10);
+  const { donorId, screening } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const camp = await getCamp(campId);
+    if (camp.Status !== 'Open') {
+      return res.status(409).json({ error: 'Open the camp before checking donors in' });
+    }
+
+    const donorResult = await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .query(`
+        SELECT d.DonorID, u.FullName, u.BloodGroup, d.Gender, d.LastDonationDate, d.LastDonationComponent
+        FROM Donors d
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE d.DonorID = @donorId
+      `);
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+
+    const deferrals = await getActiveDeferrals([donor.DonorID]);
+    const eligibility = evaluateEligibility(donor, deferrals.get(donor.DonorID));
+    if (!eligibility.eligible) {
+      return res.status(409).json({ success: false, error: `${donor.FullName} cannot donate today`, eligibility });
+    }
+
+    if (screening) {
+      await recordScreening(donor.DonorID, screening);
+    }
+    const clearance = await getLatestScreening(donor.DonorID);
+    if (!clearance) {
+      return res.status(400).json({
+        error: 'Record the donor\'s health screening before checking them in',
+        questionnaireVersion: SCREENING_QUESTIONNAIRE_VERSION
+      });
+    }
+
+    const status = clearance.Outcome === 'Eligible' ? 'CheckedIn' : 'Deferred';
+    await pool.request()
+      .input('campId', sql.Int, campId)
+      .input('donorId', sql.Int, donor.DonorID)
+      .input('status', sql.NVarChar, status)
+      .input('screeningId', sql.Int, clearance.ScreeningID)
+      .query(`
+        UPDATE CampRegistrations
+        SET Status = @status, CheckedInAt = GETDATE(), ScreeningID = @screeningId
+        WHERE CampID = @campId AND DonorID = @donorId AND Status NOT IN ('Donated');
+
+        IF @@ROWCOUNT = 0 AND NOT EXISTS (SELECT 1 FROM CampRegistrations WHERE CampID = @campId AND DonorID = @donorId)
+          INSERT INTO CampRegistrations (CampID, DonorID, Status, CheckedInAt, ScreeningID)
+          VALUES (@campId, @donorId, @status, GETDATE(), @screeningId);
+      `);
+
+    if (status === 'Deferred') {
+      return res.status(409).json({
+        success: false,
+        error: `${donor.FullName} was deferred by the health screening`,
+        reasons: JSON.parse(clearance.Reasons || '[]')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${donor.FullName} (${donor.BloodGroup}) checked in`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error checking donor in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check donor in',
+      details: error.message
+    });
+  }
+});
+
+// Each bag collected at the camp becomes a completed donation and a quarantined unit at the camp's blood bank
+app.post('/api/camps/:id/collections', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const campId = parseInt(req.params.id, 10);
+  const { donorId, bagNumber, component = DEFAULT_COMPONENT } = req.body;
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    // Only what a donor actually gives can be collected: whole blood, or plasma and platelets by apheresis
+    if (!Object.hasOwn(BLOOD_COMPONENTS, component) || BLOOD_COMPONENTS[component].collectedAs !== component) {
+      return res.status(400).json({ error: 'component must be WholeBlood, Plasma or Platelets' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const camp = await getCamp(campId, transaction);
+    if (camp.Status !== 'Open') {
+      await transaction.rollback();
+      return res.status(409).json({ error: 'Collections can only be recorded while the camp is open' });
+    }
+
+    const registrationResult = await new sql.Request(transaction)
+      .input('campId', sql.Int, campId)
+      .input('donorId', sql.Int, donorId)
+      .query(`
+        SELECT r.RegistrationID, r.Status, r.ScreeningID, u.FullName, u.BloodGroup
+        FROM CampRegistrations r WITH (UPDLOCK, ROWLOCK)
+        JOIN Donors d ON r.DonorID = d.DonorID
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE r.CampID = @campId AND r.DonorID = @donorId
+      `);
+
+    const registration = registrationResult.recordset[0];
+    if (!registration || registration.Status !== 'CheckedIn') {
+      await transaction.rollback();
+      return res.status(409).json({
+        error: registration && registration.Status === 'Donated'
+          ? 'A donation has already been recorded for this donor at this camp'
+          : 'Check the donor in before recording a collection'
+      });
+    }
+
+    // Check-in screened the donor for whole blood; apheresis has rules of its own
+    const screeningResult = await new sql.Request(transaction)
+      .input('screeningId', sql.Int, registration.ScreeningID)
+      .input('defaultComponent', sql.NVarChar, DEFAULT_COMPONENT)
+      .query(`
+        SELECT s.ScreeningID, s.Outcome, s.Reasons, s.DeferralID, s.QuestionnaireVersion, s.Answers,
+          COALESCE(sr.Component, @defaultComponent) AS ScreenedComponent
+        FROM DonorScreenings s
+        LEFT JOIN Requests sr ON s.RequestID = sr.RequestID
+        WHERE s.ScreeningID = @screeningId
+      `);
+    const clearance = screeningResult.recordset[0] && screeningFor(screeningResult.recordset[0], component);
+    if (!clearance || clearance.Outcome !== 'Eligible') {
+      await transaction.rollback();
+      return res.status(409).json({
+        error: `${registration.FullName}'s screening does not clear them to give ${BLOOD_COMPONENTS[component].label}`,
+        reasons: clearance ? JSON.parse(clearance.Reasons || '[]') : []
+      });
+    }
+
+    const donationResult = await new sql.Request(transaction)
+      .input('campId', sql.Int, campId)
+      .input('donorId', sql.Int, donorId)
+      .input('donorName', sql.NVarChar, registration.FullName)
+      .input('bloodGroup', sql.NVarChar, registration.BloodGroup)
+      .input('component', sql.NVarChar, component)
+      .input('hospitalId', sql.Int, camp.HospitalID)
+      .input('location', sql.NVarChar, camp.Venue)
+      .input('screeningId', sql.Int, registration.ScreeningID)
+      .query(`
+        INSERT INTO Donations (
+          CampID, DonorID, DonorName, BloodGroup, Component, HospitalID,
+          Location, ScreeningID, Status, DonationDate, UnitsDonated
+        )
+        OUTPUT INSERTED.DonationID
+        VALUES (
+          @campId, @donorId, @donorName, @bloodGroup, @component, @hospitalId,
+          @location, @screeningId, 'Completed', GETDATE(), 1
+        )
+      `);
+    const donationId = donationResult.recordset[0].DonationID;
+
+    await new sql.Request(transaction)
+      .input('donorId', sql.Int, donorId)
+      .input('component', sql.NVarChar, component)
+      .query('UPDATE Donors SET LastDonationDate = GETDATE(), LastDonationComponent = @component WHERE DonorID = @donorId');
+
+    // A full blood bank raises a capacity alert; the donor's bag is never turned away
+    const unit = await createBloodUnit({
+      donationId,
+      bloodGroup: registration.BloodGroup,
+      component,
+      hospitalId: camp.HospitalID,
+      bagNumber: bagNumber || null
+    }, transaction);
+
+    await new sql.Request(transaction)
+      .input('registrationId', sql.Int, registration.RegistrationID)
+      .input('donationId', sql.Int, donationId)
+      .query(`
+        UPDATE CampRegistrations
+        SET Status = 'Donated', DonationID = @donationId
+        WHERE RegistrationID = @registrationId
+      `);
+
+    await transaction.commit();
+
+    broadcastToAdmins('camps', {
+      type: 'camp-collection',
+      campId,
+      bloodGroup: registration.BloodGroup,
+      component
+    }, { hospitalIds: [camp.HospitalID] });
+
+    res.status(201).json({
+      success: true,
+      message: `${BLOOD_COMPONENTS[component].label} collected from ${registration.FullName}`,
+      donationId,
+      unit: {
+        id: unit.UnitID,
+        bagNumber: unit.BagNumber,
+        component: unit.Component,
+        expiresAt: unit.ExpiresAt,
+        status: 'Quarantined'
+      }
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error recording camp collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record camp collection',
+      details: error.message
+    });
+  }
+});
+
+// Targets against what the camp actually collected, overall and per blood group
+app.get('/api/camps/:id/report', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const campId = parseInt(req.params.id, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const camp = await getCamp(campId);
+
+    const registrations = await pool.request()
+      .input('campId', sql.Int, campId)
+      .query(`
+        SELECT Status, COUNT(*) AS count
+        FROM CampRegistrations
+        WHERE CampID = @campId
+        GROUP BY Status
+      `);
+
+    const collections = await pool.request()
+      .input('campId', sql.Int, campId)
+      .query(`
+        SELECT BloodGroup, Component, COUNT(*) AS units
+        FROM Donations
+        WHERE CampID = @campId AND Status = 'Completed'
+        GROUP BY BloodGroup, Component
+      `);
+
+    const byStatus = Object.fromEntries(CAMP_REGISTRATION_STATUSES.map(status => [status, 0]));
+    registrations.recordset.forEach(row => { byStatus[row.Status] = row.count; });
+
+    const collected = collections.recordset.reduce((total, row) => total + row.units, 0);
+    const groups = BLOOD_GROUPS
+      .map(bloodGroup => {
+        const units = collections.recordset
+          .filter(row => row.BloodGroup === bloodGroup)
+          .reduce((total, row) => total + row.units, 0);
+        const target = camp.GroupTargets[bloodGroup] || null;
+        return {
+          bloodGroup,
+          target,
+          collected: units,
+          percentOfTarget: target ? Math.round(units / target * 100) : null
+        };
+      })
+      .filter(group => group.target || group.collected > 0);
+
+    res.json({
+      success: true,
+      camp: {
+        id: camp.CampID,
+        name: camp.Name,
+        venue: camp.Venue,
+        startsAt: camp.StartsAt,
+        endsAt: camp.EndsAt,
+        status: camp.Status
+      },
+      target: camp.TargetUnits,
+      collected,
+      percentOfTarget: Math.round(collected / camp.TargetUnits * 100),
+      groups,
+      components: collections.recordset.map(row => ({
+        bloodGroup: row.BloodGroup,
+        component: row.Component,
+        units: row.units
+      })),
+      registrations: {
+        invited: byStatus.Invited,
+        registered: byStatus.Registered,
+        checkedIn: byStatus.CheckedIn,
+        donated: byStatus.Donated,
+        deferred: byStatus.Deferred,
+        cancelled: byStatus.Cancelled
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error building camp report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build camp report',
+      details: error.message
+    });
+  }
+});
+
+// Inbound SMS webhook: Twilio posts each text a donor sends to TWILIO_PHONE_NUMBER here
+app.post('/api/sms/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    verifyTwilioSignature(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const reply = new twilio.twiml.MessagingResponse();
+
+  try {
+    reply.message(await handleSmsReply(req.body.From, req.body.Body));
+  } catch (error) {
+    console.error('Error handling inbound SMS:', error);
+    reply.message('BloodCare: Sorry, we could not record your reply. Please try again shortly.');
+  }
+
+  res.type('text/xml').send(reply.toString());
+});
+
+// Twilio delivery receipts for messages the outbox worker sent
+app.post('/api/sms/status', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    verifyTwilioSignature(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const { MessageSid: sid, MessageStatus: providerStatus, ErrorCode: errorCode } = req.body;
+  const status = SMS_DELIVERY_STATUSES[providerStatus];
+  if (!sid || !status) return res.sendStatus(204);
+
+  try {
+    const request = pool.request()
+      .input('sid', sql.NVarChar, sid)
+      .input('status', sql.NVarChar, status)
+      .input('error', sql.NVarChar, errorCode ? `Twilio error ${errorCode} (${providerStatus})` : null);
+    const earlier = Object.keys(DELIVERY_STAGES).filter(stage => DELIVERY_STAGES[stage] < DELIVERY_STAGES[status]);
+    const earlierParams = addListInputs(request, 'stage', sql.NVarChar, earlier);
+
+    await request.query(`
+      UPDATE Outbox
+      SET
+        Status = @status,
+        DeliveredAt = CASE WHEN @status = 'Delivered' THEN GETDATE() ELSE DeliveredAt END,
+        LastError = COALESCE(@error, LastError)
+      WHERE Channel = 'sms'
+        AND ProviderMessageID = @sid
+        AND Status IN (${earlierParams})
+    `);
+
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('Error recording SMS status:', error);
+    res.status(500).json({ error: 'Failed to record SMS status' });
+  }
+});
+
+// Donor Dashboard Endpoint
+app.get('/api/donor-dashboard', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  try {
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    if (decoded.role !== 'donor') {
+      return res.status(403).json({ error: 'Donor access required' });
+    }
+
+    const donorResult = await pool.request()
+      .input('userId', sql.Int, decoded.userId)
+      .query(`
+        SELECT 
+          d.DonorID,
+          u.FullName,
+          u.BloodGroup,
+          d.Gender,
+          d.Availability,
+          d.LastDonationDate,
+          d.LastDonationComponent,
+          d.HealthStatus
+        FROM Donors d
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE d.UserID = @userId
+      `);
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor profile not found' });
+    }
+
+    const deferrals = await getActiveDeferrals([donor.DonorID]);
+    const eligibility = evaluateEligibility(donor, deferrals.get(donor.DonorID));
+
+    res.json({
+      success: true,
+      donor: {
+        id: donor.DonorID,
+        name: donor.FullName,
+        bloodGroup: donor.BloodGroup,
+        available: donor.Availability,
+        lastDonationDate: donor.LastDonationDate,
+        lastDonationComponent: donor.LastDonationComponent || DEFAULT_COMPONENT,
+        healthStatus: donor.HealthStatus
+      },
+      eligibility
+    });
+
+  } catch (error) {
+    console.error('Error fetching donor dashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch donor dashboard',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Donor Eligibility Endpoint
+app.get('/api/donors/:id/eligibility', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const donorId = parseInt(req.params.id, 10);
+  const component = req.query.component || DEFAULT_COMPONENT;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!Object.hasOwn(BLOOD_COMPONENTS, component)) {
+      return res.status(400).json({ error: `component must be one of ${Object.keys(BLOOD_COMPONENTS).join(', ')}` });
+    }
+
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const donorResult = await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .query('SELECT DonorID, Gender, LastDonationDate, LastDonationComponent FROM Donors WHERE DonorID = @donorId');
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+
+    const deferrals = await getActiveDeferrals([donorId]);
+
+    res.json({
+      success: true,
+      eligibility: evaluateEligibility(donor, deferrals.get(donorId), new Date(), component),
+      deferrals: deferrals.get(donorId) || []
+    });
+
+  } catch (error) {
+    console.error('Error checking donor eligibility:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check donor eligibility',
+      details: error.message
+    });
+  }
+});
+
+// Donor Reliability Score
+app.get('/api/donors/:id/reliability', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const donorId = parseInt(req.params.id, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const scores = await getReliabilityScores([donorId]);
+    if (!scores.has(donorId)) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+
+    res.json({
+      success: true,
+      donorId,
+      reliabilityScore: scores.get(donorId).score,
+      reliability: scores.get(donorId).breakdown
+    });
+
+  } catch (error) {
+    console.error('Error scoring donor reliability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to score donor reliability',
+      details: error.message
+    });
+  }
+});
+
+// Donor Reminder Preferences
+app.get('/api/donors/:id/reminder-preferences', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const result = await pool.request()
+      .input('donorId', sql.Int, req.params.id)
+      .query(`
+        SELECT UserID, RemindersPausedUntil, AvailabilityWindow, QuietHoursStart, QuietHoursEnd
+        FROM Donors
+        WHERE DonorID = @donorId
+      `);
+
+    const donor = result.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+    if (decoded.role !== 'admin' && decoded.userId !== donor.UserID) {
+      return res.status(403).json({ error: 'Not allowed to view this donor' });
+    }
+
+    res.json({
+      success: true,
+      preferences: {
+        pausedUntil: donor.RemindersPausedUntil,
+        availabilityWindow: donor.AvailabilityWindow,
+        quietHours: donor.QuietHoursStart === null
+          ? { ...DEFAULT_QUIET_HOURS, isDefault: true }
+          : { start: donor.QuietHoursStart, end: donor.QuietHoursEnd, isDefault: false },
+        timeZone: LOCAL_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reminder preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reminder preferences',
+      details: error.message
+    });
+  }
+});
+
+// Fields left out are unchanged; pausedUntil or quietHours set to null clears them
+app.put('/api/donors/:id/reminder-preferences', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const donorId = parseInt(req.params.id, 10);
+  const { pausedUntil, pauseDays, availabilityWindow, quietHours } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const donorResult = await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .query('SELECT UserID FROM Donors WHERE DonorID = @donorId');
+
+    const donor = donorResult.recordset[0];
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+    if (decoded.role !== 'admin' && decoded.userId !== donor.UserID) {
+      return res.status(403).json({ error: 'Not allowed to update this donor' });
+    }
+
+    let pauseEnd;
+    if (pauseDays !== undefined) {
+      pauseEnd = addDays(new Date(), parseInt(pauseDays, 10));
+    } else if (pausedUntil !== undefined) {
+      pauseEnd = pausedUntil === null ? null : new Date(pausedUntil);
+    }
+    if (pauseEnd && isNaN(pauseEnd.getTime())) {
+      return res.status(400).json({ error: 'pausedUntil must be a date, or pauseDays a number of days' });
+    }
+
+    if (availabilityWindow !== undefined && !AVAILABILITY_WINDOWS[availabilityWindow]) {
+      return res.status(400).json({ error: `availabilityWindow must be one of ${Object.keys(AVAILABILITY_WINDOWS).join(', ')}` });
+    }
+
+    const validHour = hour => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+    if (quietHours && !(validHour(quietHours.start) && validHour(quietHours.end))) {
+      return res.status(400).json({ error: 'quietHours needs a start and end hour between 0 and 23' });
+    }
+
+    await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .input('updatePause', sql.Bit, pauseEnd !== undefined)
+      .input('pausedUntil', sql.DateTime, pauseEnd || null)
+      .input('availabilityWindow', sql.NVarChar, availabilityWindow || null)
+      .input('updateQuietHours', sql.Bit, quietHours !== undefined)
+      .input('quietStart', sql.TinyInt, quietHours ? quietHours.start : null)
+      .input('quietEnd', sql.TinyInt, quietHours ? quietHours.end : null)
+      .query(`
+        UPDATE Donors
+        SET
+          RemindersPausedUntil = CASE WHEN @updatePause = 1 THEN @pausedUntil ELSE RemindersPausedUntil END,
+          AvailabilityWindow = COALESCE(@availabilityWindow, AvailabilityWindow),
+          QuietHoursStart = CASE WHEN @updateQuietHours = 1 THEN @quietStart ELSE QuietHoursStart END,
+          QuietHoursEnd = CASE WHEN @updateQuietHours = 1 THEN @quietEnd ELSE QuietHoursEnd END
+        WHERE DonorID = @donorId
+      `);
+
+    res.json({ success: true, message: 'Reminder preferences updated' });
+
+  } catch (error) {
+    console.error('Error updating reminder preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update reminder preferences',
+      details: error.message
+    });
+  }
+});
+
+// Notification Preferences
+app.get('/api/users/:id/notification-preferences', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const userId = parseInt(req.params.id, 10);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin' && decoded.userId !== userId) {
+      return res.status(403).json({ error: 'Not allowed to view this user' });
+    }
+
+    const preferences = await getNotificationPreferences(userId);
+    if (!preferences) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      preferences: {
+        channels: preferences.channels,
+        categories: Object.fromEntries(
+          Object.entries(NOTIFICATION_CATEGORIES).map(([category, { types }]) => [category, types])
+        ),
+        quietHours: preferences.quietHours,
+        timeZone: LOCAL_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification preferences',
+      details: error.message
+    });
+  }
+});
+
+// Categories left out are unchanged; a category set to null goes back to its default channels
+app.put('/api/users/:id/notification-preferences', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const userId = parseInt(req.params.id, 10);
+  const { channels = {} } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin' && decoded.userId !== userId) {
+      return res.status(403).json({ error: 'Not allowed to update this user' });
+    }
+
+    for (const [category, chosen] of Object.entries(channels)) {
+      if (!NOTIFICATION_CATEGORIES[category]) {
+        return res.status(400).json({ error: `Categories must be from ${Object.keys(NOTIFICATION_CATEGORIES).join(', ')}` });
+      }
+      if (chosen !== null && !(Array.isArray(chosen) && chosen.every(channel => NOTIFICATION_CHANNELS.includes(channel)))) {
+        return res.status(400).json({ error: `${category} channels must be a list from ${NOTIFICATION_CHANNELS.join(', ')}` });
+      }
+      if (category === 'donation' && chosen !== null && !chosen.some(channel => OTP_CHANNELS.includes(channel))) {
+        return res.status(400).json({ error: 'Donation notifications need SMS or email so your OTP can reach you' });
+      }
+    }
+
+    const user = await pool.request()
+      .input('userId', sql.Int, userId)
+      .query('SELECT UserID FROM Users WHERE UserID = @userId');
+
+    if (user.recordset.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    for (const [category, chosen] of Object.entries(channels)) {
+      await setChannelPreference(userId, category, chosen);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      channels: (await getNotificationPreferences(userId)).channels
+    });
+
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+      details: error.message
+    });
+  }
+});
+
+// Unsubscribe link from the footer of every email. Opening it only asks for confirmation, so a
+// mail scanner following the link changes nothing; the form posts back to stop email for that category.
+app.get('/api/unsubscribe', (req, res) => {
+  const link = readUnsubscribeLink(req.query);
+  if (!link) {
+    return res.status(400).send('This unsubscribe link is not valid.');
+  }
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Unsubscribe - BloodCare</title></head>
+<body>
+  <p>Stop receiving ${link.category} emails from BloodCare?</p>
+  <form method="POST" action="/api/unsubscribe">
+    <input type="hidden" name="user" value="${link.userId}">
+    <input type="hidden" name="category" value="${link.category}">
+    <input type="hidden" name="token" value="${link.token}">
+    <button type="submit">Unsubscribe</button>
+  </form>
+</body>
+</html>`);
+});
+
+// Confirms an unsubscribe, from the page above or a mail client's one-click List-Unsubscribe-Post
+app.post('/api/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  const link = readUnsubscribeLink({ ...req.query, ...req.body });
+  if (!link) {
+    return res.status(400).send('This unsubscribe link is not valid.');
+  }
+  const { userId, category } = link;
+
+  try {
+    const preferences = await getNotificationPreferences(userId);
+    if (!preferences) {
+      return res.status(404).send('This unsubscribe link is not valid.');
+    }
+
+    const remaining = preferences.channels[category].filter(channel => channel !== 'email');
+    if (category === 'donation' && !remaining.some(channel => OTP_CHANNELS.includes(channel))) {
+      return res.status(409).send('Donation emails carry your OTP while SMS is off, so they cannot be stopped here. Turn on SMS for donation messages in the app first.');
+    }
+
+    await setChannelPreference(userId, category, remaining);
+    res.send(`You will no longer receive ${category} emails from BloodCare. You can change this in the app at any time.`);
+
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).send('Sorry, we could not update your preferences. Please try again later.');
+  }
+});
+
+// Defer Donor Endpoint
+app.post('/api/donors/:id/deferrals', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const donorId = parseInt(req.params.id, 10);
+  const { type, reason, endDate, days } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!DEFERRAL_TYPES.includes(type) || !reason) {
+      return res.status(400).json({ error: 'Deferral type (Temporary or Permanent) and reason are required' });
+    }
+
+    let deferralEnd = null;
+    if (type === 'Temporary') {
+      deferralEnd = endDate ? new Date(endDate) : addDays(new Date(), parseInt(days, 10));
+      if (isNaN(deferralEnd.getTime()) || deferralEnd <= new Date()) {
+        return res.status(400).json({ error: 'Temporary deferrals need a future end date or a number of days' });
+      }
+    }
+
+    const result = await pool.request()
+      .input('donorId', sql.Int, donorId)
+      .input('type', sql.NVarChar, type)
+      .input('reason', sql.NVarChar, reason)
+      .input('endDate', sql.DateTime, deferralEnd)
+      .input('createdBy', sql.Int, decoded.userId)
+      .query(`
+        IF EXISTS (SELECT 1 FROM Donors WHERE DonorID = @donorId)
+        INSERT INTO DonorDeferrals (DonorID, DeferralType, Reason, EndDate, CreatedBy)
+        OUTPUT INSERTED.DeferralID
+        VALUES (@donorId, @type, @reason, @endDate, @createdBy)
+      `);
+
+    if (!result.recordset || result.recordset.length === 0) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      deferralId: result.recordset[0].DeferralID,
+      message: 'Donor deferred successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deferring donor:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to defer donor',
+      details: error.message
+    });
+  }
+});
+
+// Revoke Donor Deferral Endpoint
+app.post('/api/donors/:id/deferrals/:deferralId/revoke', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('donorId', sql.Int, req.params.id)
+      .input('deferralId', sql.Int, req.params.deferralId)
+      .query(`
+        UPDATE DonorDeferrals 
+        SET RevokedAt = GETDATE() 
+        WHERE DeferralID = @deferralId 
+          AND DonorID = @donorId 
+          AND RevokedAt IS NULL
+      `);
+
+    if (result.rowsAffected[0] === 0) {
+      return res.status(404).json({ error: 'Active deferral not found' });
+    }
+
+    res.json({ success: true, message: 'Deferral revoked' });
+
+  } catch (error) {
+    console.error('Error revoking deferral:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke deferral',
+      details: error.message
+    });
+  }
+});
+
+// Health Screening Questionnaire
+app.get('/api/screening-questionnaire', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  try {
+    jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+
+    res.json({
+      success: true,
+      version: SCREENING_QUESTIONNAIRE_VERSION,
+      questions: SCREENING_QUESTIONNAIRES[SCREENING_QUESTIONNAIRE_VERSION],
+      validForHours: SCREENING_VALID_HOURS
+    });
+
+  } catch (error) {
+    console.error('Error fetching screening questionnaire:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch screening questionnaire'
+    });
+  }
+});
+
+// Submit Health Screening (before accepting a request, or ahead of time with no request)
+app.post('/api/screenings', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const { requestId, version, answers } = req.body;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'donor') {
+      return res.status(403).json({ error: 'Donor access required' });
+    }
+
+    const donorResult = await pool.request()
+      .input('userId', sql.Int, decoded.userId)
+      .query('SELECT DonorID FROM Donors WHERE UserID = @userId');
+
+    if (donorResult.recordset.length === 0) {
+      return res.status(404).json({ error: 'Donor profile not found' });
+    }
+
+    const screening = await recordScreening(donorResult.recordset[0].DonorID, {
+      requestId: requestId || null,
+      version,
+      answers
+    });
+
+    res.status(201).json({
+      success: true,
+      message: screening.outcome === 'Eligible'
+        ? 'Screening passed. You can accept the request now.'
+        : `You cannot donate ${screening.deferUntil ? `until ${screening.deferUntil.toDateString()}` : 'again'}: ${screening.reasons.join('; ')}`,
+      screening
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error recording screening:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record screening',
+      details: error.message
+    });
+  }
+});
+
+// Screening Answers for a Donation
+app.get('/api/donations/:id/screening', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const screening = await getDonationScreening(req.params.id);
+    if (!screening) {
+      return res.status(404).json({ error: 'No screening recorded for this donation' });
+    }
+
+    res.json({ success: true, screening });
+
+  } catch (error) {
+    console.error('Error fetching donation screening:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch donation screening',
+      details: error.message
+    });
+  }
+});
+
+// Medical Review of a Donation's Screening (the only thing that sets ReviewedBy)
+app.post('/api/donations/:id/screening/review', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('donationId', sql.Int, req.params.id)
+      .input('reviewedBy', sql.Int, decoded.userId)
+      .query(`
+        UPDATE s
+        SET s.ReviewedBy = @reviewedBy, s.ReviewedAt = GETDATE()
+        FROM DonorScreenings s
+        JOIN Donations dn ON dn.ScreeningID = s.ScreeningID
+        WHERE dn.DonationID = @donationId
+      `);
+
+    if (result.rowsAffected[0] === 0) {
+      return res.status(404).json({ error: 'No screening recorded for this donation' });
+    }
+
+    res.json({ success: true, screening: await getDonationScreening(req.params.id) });
+
+  } catch (error) {
+    console.error('Error reviewing donation screening:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review donation screening',
+      details: error.message
+    });
+  }
+});
+
+// Notifications Endpoint
+app.get('/api/notifications', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ 
+      success: false,
+      error: 'Authorization token required' 
+  });
+
+  try {
+      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+
+      const result = await pool.request()
+          .input('userId', sql.Int, decoded.userId)
+          .query(`
+              SELECT 
+                  NotificationID AS id,
+                  Type,
+                  Title,
+                  Message,
+                  RequestID,
+                  IsRead,
+                  DeliveredAt,
+                  CONVERT(varchar, CreatedAt, 120) AS timestamp
+              FROM Notifications
+              WHERE UserID = @userId
+              ORDER BY CreatedAt DESC
+          `);
+
+      res.json({
+          success: true,
+          notifications: result.recordset
+      });
+
+  } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({
+          success: false,
+          error: 'Failed to fetch notifications',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+  }
+});
+
+// Mark Notification as Read
+app.post('/api/notifications/:id/read', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const notificationId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    await pool.request()
+      .input('notificationId', sql.Int, notificationId)
+      .input('userId', sql.Int, decoded.userId)
+      .query('UPDATE Notifications SET IsRead = 1 WHERE NotificationID = @notificationId AND UserID = @userId');
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to mark notification as read' 
+    });
+  }
+});
+
+// Get Request Details
+app.get('/api/requests/:id', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const result = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT 
+          PatientName,
+          BloodGroup,
+          Component,
+          HospitalID AS hospitalId,
+          HospitalName,
+          Location,
+          ContactNumber,
+          Status,
+          UrgencyLevel,
+          RequestDate,
+          RequiredBy
+        FROM Requests
+        WHERE RequestID = @requestId
+      `);
+
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const progress = await getRequestProgress([requestId]);
+
+    let assignments;
+    if (decoded.role === 'admin') {
+      const assignmentResult = await pool.request()
+        .input('requestId', sql.Int, requestId)
+        .query(`
+          SELECT
+            a.DonorID AS donorId,
+            u.FullName AS donorName,
+            u.BloodGroup,
+            a.Status,
+            a.NotifiedAt,
+            a.RespondedAt
+          FROM RequestAssignments a
+          JOIN Donors d ON a.DonorID = d.DonorID
+          JOIN Users u ON d.UserID = u.UserID
+          WHERE a.RequestID = @requestId
+          ORDER BY a.NotifiedAt
+        `);
+      assignments = assignmentResult.recordset;
+    }
+
+    res.json({
+      success: true,
+      request: { ...result.recordset[0], ...progress.get(Number(requestId)) },
+      assignments
+    });
+  } catch (error) {
+    console.error('Error fetching request:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch request details' 
+    });
+  }
+});
+
+// Request Status History
+app.get('/api/requests/:id/history', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          h.Entity,
+          h.DonationID AS donationId,
+          h.FromStatus,
+          h.ToStatus,
+          h.ActorRole,
+          h.ActorUserID AS actorUserId,
+          u.FullName AS actorName,
+          h.Reason,
+          h.ChangedAt
+        FROM RequestStatusHistory h
+        LEFT JOIN Users u ON h.ActorUserID = u.UserID
+        WHERE h.RequestID = @requestId
+        ORDER BY h.ChangedAt, h.HistoryID
+      `);
+
+    res.json({
+      success: true,
+      requestId: parseInt(requestId, 10),
+      timeline: result.recordset
+    });
+  } catch (error) {
+    console.error('Error fetching request history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch request history'
+    });
+  }
+});
+
+// Request Escalation Timeline
+app.get('/api/requests/:id/escalations', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const requestResult = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          Status,
+          UrgencyLevel,
+          EscalationLevel,
+          RequestDate,
+          AcceptedAt,
+          DATEDIFF(minute, RequestDate, AcceptedAt) AS minutesToDonor
+        FROM Requests
+        WHERE RequestID = @requestId
+      `);
+
+    if (requestResult.recordset.length === 0) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const escalations = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          e.Step,
+          e.DonorID AS donorId,
+          u.FullName AS donorName,
+          e.Details,
+          e.CreatedAt
+        FROM RequestEscalations e
+        LEFT JOIN Donors d ON e.DonorID = d.DonorID
+        LEFT JOIN Users u ON d.UserID = u.UserID
+        WHERE e.RequestID = @requestId
+        ORDER BY e.CreatedAt, e.EscalationID
+      `);
+
+    res.json({
+      success: true,
+      request: requestResult.recordset[0],
+      escalations: escalations.recordset
+    });
+  } catch (error) {
+    console.error('Error fetching escalations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch request escalations'
+    });
+  }
+});
+
+// Request Delivery Status: every message sent about a request, and whether each donor got the alert
+app.get('/api/requests/:id/deliveries', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const requestId = req.params.id;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const donors = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          a.DonorID AS donorId,
+          u.UserID AS userId,
+          u.FullName AS donorName,
+          u.PhoneNumber AS phone,
+          a.Status AS assignmentStatus,
+          a.NotifiedAt
+        FROM RequestAssignments a
+        JOIN Donors d ON a.DonorID = d.DonorID
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE a.RequestID = @requestId
+        ORDER BY a.NotifiedAt, a.AssignmentID
+      `);
+
+    const messages = await pool.request()
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT
+          MessageID AS messageId,
+          UserID AS userId,
+          Channel AS channel,
+          Purpose AS purpose,
+          Status AS status,
+          Attempts AS attempts,
+          LastError AS lastError,
+          CreatedAt,
+          SentAt,
+          DeliveredAt
+        FROM Outbox
+        WHERE RequestID = @requestId
+        ORDER BY CreatedAt, MessageID
+      `);
+
+    if (donors.recordset.length === 0 && messages.recordset.length === 0) {
+      return res.status(404).json({ success: false, error: 'No donors or messages found for this request' });
+    }
+
+    const isAlert = message => message.purpose === 'emergency';
+    const summary = {};
+    messages.recordset.forEach(message => {
+      summary[message.channel] = summary[message.channel] || {};
+      summary[message.channel][message.status] = (summary[message.channel][message.status] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      summary,
+      donors: donors.recordset.map(donor => {
+        const sent = messages.recordset.filter(message => message.userId === donor.userId);
+        const alerts = sent.filter(isAlert);
+        return {
+          ...donor,
+          alertReceived: alerts.some(message => message.status === 'Delivered'),
+          alertFailed: alerts.length > 0 && alerts.every(message => ['Failed', 'DeadLetter'].includes(message.status)),
+          messages: sent
+        };
+      }),
+      // Messages about the request to anyone who was not asked to donate, e.g. escalations to admins
+      otherMessages: messages.recordset.filter(message =>
+        !donors.recordset.some(donor => donor.userId === message.userId)
+      )
+    });
+  } catch (error) {
+    console.error('Error fetching request deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch request deliveries'
+    });
+  }
+});
+
+// Message Outbox: dead letters by default, or any status
+app.get('/api/outbox', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+  const status = req.query.status || 'DeadLetter';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${OUTBOX_STATUSES.join(', ')}` });
+    }
+
+    const result = await pool.request()
+      .input('status', sql.NVarChar, status)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT TOP (@limit)
+          o.MessageID AS messageId,
+          o.Channel AS channel,
+          o.UserID AS userId,
+          u.FullName AS userName,
+          o.Recipient AS recipient,
+          o.RequestID AS requestId,
+          o.Purpose AS purpose,
+          CASE WHEN o.Sensitive = 1 THEN '[redacted]' ELSE o.Body END AS body,
+          o.Sensitive AS sensitive,
+          o.Status AS status,
+          o.Attempts AS attempts,
+          o.LastError AS lastError,
+          o.CreatedAt,
+          o.NextAttemptAt
+        FROM Outbox o
+        LEFT JOIN Users u ON o.UserID = u.UserID
+        WHERE o.Status = @status
+        ORDER BY o.CreatedAt DESC, o.MessageID DESC
+      `);
+
+    res.json({
+      success: true,
+      messages: result.recordset
+    });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outbox'
+    });
+  }
+});
+
+// Sends a failed or dead-lettered message again, with a fresh set of attempts
+app.post('/api/outbox/:id/retry', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.request()
+      .input('messageId', sql.Int, req.params.id)
+      .query(`
+        UPDATE Outbox
+        SET Status = 'Pending', Attempts = 0, NextAttemptAt = GETDATE(), LastError = NULL
+        OUTPUT INSERTED.MessageID
+        WHERE MessageID = @messageId
+          AND Status IN ('Failed', 'DeadLetter')
+          AND Sensitive = 0
+      `);
+
+    if (result.recordset.length === 0) {
+      return res.status(409).json({
+        error: 'Only failed or dead-lettered messages can be retried; OTPs are reissued with /api/requests/:id/resend-otp'
+      });
+    }
+
+    runOutbox();
+    res.json({ success: true, message: 'Message queued for another attempt' });
+  } catch (error) {
+    console.error('Error retrying outbox message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry message',
+      details: error.message
+    });
+  }
+});
+
+// Helper Functions
+// Answers a donor's accept/decline from the app or by SMS. `screening` optionally carries questionnaire
+// answers sent along with an acceptance. The outcome is pushed to the donor's sockets and returned;
+// SMS replies skip the separate OTP text because the reply carries the code.
+async function handleDonorResponse(requestId, accepted, user, { screening = null, channel = 'app' } = {}) {
+  const reply = message => {
+    sendToUser(user.userId, message);
+    return message;
+  };
+  const alreadyAnswered = status => reply({
+    type: 'response-rejected',
+    requestId,
+    reason: status === 'Superseded' ? 'no-longer-needed' : 'already-responded',
+    message: status === 'Superseded'
+      ? 'Another donor has already accepted this request'
+      : 'You have already responded to this request'
+  });
+
+  const assignmentResult = await pool.request()
+    .input('requestId', sql.Int, requestId)
+    .input('userId', sql.Int, user.userId)
+    .query(`
+      SELECT a.AssignmentID, a.Status, d.DonorID, r.HospitalID, r.Component
+      FROM RequestAssignments a
+      JOIN Donors d ON a.DonorID = d.DonorID
+      JOIN Requests r ON a.RequestID = r.RequestID
+      WHERE a.RequestID = @requestId
+        AND d.UserID = @userId
+    `);
+
+  const assignment = assignmentResult.recordset[0];
+  if (!assignment) {
+    return reply({
+      type: 'response-rejected',
+      requestId,
+      reason: 'not-assigned',
+      message: 'You were not asked to respond to this request'
+    });
+  }
+
+  if (assignment.Status !== 'Notified') {
+    return alreadyAnswered(assignment.Status);
+  }
+
+  // Donors accept on the strength of a recent health screening. A donor replying by text can't
+  // fill in the questionnaire, so without one on file they are screened by staff at check-in.
+  let clearance = null;
+  if (accepted) {
+    if (screening) {
+      try {
+        await recordScreening(assignment.DonorID, { ...screening, requestId });
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return reply({
+          type: 'response-rejected',
+          requestId,
+          reason: 'invalid-screening',
+          message: err.message
+        });
+      }
+    }
+
+    clearance = await getLatestScreening(assignment.DonorID, { requestId, component: assignment.Component });
+    if (!clearance && channel !== 'sms') {
+      return reply({
+        type: 'response-rejected',
+        requestId,
+        reason: 'screening-required',
+        questionnaireVersion: SCREENING_QUESTIONNAIRE_VERSION,
+        message: 'Please complete the health screening questionnaire before accepting'
+      });
+    }
+  }
+  const deferred = Boolean(clearance) && clearance.Outcome !== 'Eligible';
+
+  if (!accepted || deferred) {
+    // The answer only counts if the donor is still being asked; a second reply racing the first is refused
+    const answer = await inTransaction(async transaction => {
+      // A donor screened out still said yes, so it counts as an acceptance for their reliability
+      const updated = await new sql.Request(transaction)
+        .input('assignmentId', sql.Int, assignment.AssignmentID)
+        .input('status', sql.NVarChar, deferred ? 'Deferred' : 'Declined')
+        .input('response', sql.NVarChar, deferred ? 'Accepted' : 'Declined')
+        .query(`
+          UPDATE RequestAssignments
+          SET Status = @status, Response = @response, RespondedAt = GETDATE()
+          WHERE AssignmentID = @assignmentId
+            AND Status = 'Notified'
+        `);
+      if (updated.rowsAffected[0] === 0) return null;
+
+      // Once every donor it was sent to has declined, the request goes back to recruiting new donors
+      const remaining = await new sql.Request(transaction)
+        .input('requestId', sql.Int, requestId)
+        .query(`
+          SELECT COUNT(*) AS count
+          FROM RequestAssignments
+          WHERE RequestID = @requestId AND Status IN ('Notified', 'Accepted')
+        `);
+
+      if (remaining.recordset[0].count > 0) return { allDeclined: false };
+      await restartRecruitment(requestId, transaction);
+      return { allDeclined: true };
+    });
+    if (!answer) return alreadyAnswered(null);
+    if (answer.allDeclined) {
+      runEscalations();
+    }
+
+    const outcome = deferred
+      ? reply({
+        type: 'response-rejected',
+        requestId,
+        reason: 'deferred',
+        reasons: JSON.parse(clearance.Reasons || '[]'),
+        message: 'Thank you for offering to help. Your health screening means you cannot donate right now.'
+      })
+      : { type: 'response-declined', requestId };
+
+    broadcastToAdmins('requests', {
+      type: 'donor-response',
+      requestId,
+      donorName: user.name,
+      status: deferred ? 'deferred' : 'rejected',
+      allDeclined: answer.allDeclined
+    }, { hospitalIds: [assignment.HospitalID] });
+    return outcome;
+  }
+
+  // Donors are accepted until the donations scheduled and completed cover the units required
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  let request;
+  let progress;
+  let donationId;
+  let otp;
+  try {
+    const requestResult = await new sql.Request(transaction)
+      .input('requestId', sql.Int, requestId)
+      .query(`
+        SELECT Status, PatientName, BloodGroup, Component, HospitalID, HospitalName, Location
+        FROM Requests WITH (UPDLOCK, ROWLOCK)
+        WHERE RequestID = @requestId
+      `);
+
+    request = requestResult.recordset[0];
+
+    // Re-read the assignment under lock so a double tap, or an app and SMS answer at once,
+    // cannot schedule the same donor twice
+    const currentResult = await new sql.Request(transaction)
+      .input('assignmentId', sql.Int, assignment.AssignmentID)
+      .query(`
+        SELECT Status
+        FROM RequestAssignments WITH (UPDLOCK, ROWLOCK)
+        WHERE AssignmentID = @assignmentId
+      `);
+    const current = currentResult.recordset[0];
+    if (current.Status !== 'Notified') {
+      await transaction.rollback();
+      return alreadyAnswered(current.Status);
+    }
+
+    progress = (await getRequestProgress([requestId], transaction)).get(Number(requestId));
+
+    const open = ['Pending', 'Accepted'].includes(request.Status);
+    if (!open || progress.unitsOutstanding === 0) {
+      const superseded = await new sql.Request(transaction)
+        .input('assignmentId', sql.Int, assignment.AssignmentID)
+        .query(`
+          UPDATE RequestAssignments
+          SET Status = 'Superseded', Response = 'Accepted', RespondedAt = GETDATE()
+          WHERE AssignmentID = @assignmentId
+            AND Status = 'Notified'
+        `);
+      if (superseded.rowsAffected[0] === 0) {
+        await transaction.rollback();
+        return alreadyAnswered(null);
+      }
+      await transaction.commit();
+
+      const filled = open || request.Status === 'Completed';
+      return reply({
+        type: 'response-rejected',
+        requestId,
+        reason: 'no-longer-needed',
+        message: filled
+          ? 'Other donors have already covered this request. Thank you for responding.'
+          : 'This request is no longer active. Thank you for responding.'
+      });
+    }
+
+    // The first donor to accept stays on the request itself, as before multi-unit requests
+    if (request.Status === 'Pending') {
+      await transitionRequest(requestId, 'Accepted', {
+        actor: user,
+        reason: 'Donor accepted the request',
+        fields: {
+          DonorID: [sql.Int, assignment.DonorID],
+          DonorName: [sql.NVarChar, user.name]
+        },
+        transaction
+      });
+    }
+
+    const claimed = await new sql.Request(transaction)
+      .input('assignmentId', sql.Int, assignment.AssignmentID)
+      .query(`
+        UPDATE RequestAssignments
+        SET Status = 'Accepted', Response = 'Accepted', RespondedAt = GETDATE()
+        WHERE AssignmentID = @assignmentId
+          AND Status = 'Notified'
+      `);
+    if (claimed.rowsAffected[0] === 0) {
+      await transaction.rollback();
+      return alreadyAnswered(null);
+    }
+
+    const donationResult = await new sql.Request(transaction)
+      .input('requestId', sql.Int, requestId)
+      .input('donorId', sql.Int, assignment.DonorID)
+      .input('donorName', sql.NVarChar, user.name)
+      .input('bloodGroup', sql.NVarChar, user.bloodGroup)
+      .input('component', sql.NVarChar, BLOOD_COMPONENTS[request.Component].collectedAs)
+      .input('hospitalId', sql.Int, request.HospitalID)
+      .input('location', sql.NVarChar, request.Location)
+      .input('screeningId', sql.Int, clearance ? clearance.ScreeningID : null)
+      .query(`
+        INSERT INTO Donations (
+          RequestID,
+          DonorID,
+          DonorName,
+          BloodGroup,
+          Component,
+          HospitalID,
+          Location,
+          ScreeningID,
+          Status
+        )
+        OUTPUT INSERTED.DonationID
+        VALUES (
+          @requestId,
+          @donorId,
+          @donorName,
+          @bloodGroup,
+          @component,
+          @hospitalId,
+          @location,
+          @screeningId,
+          'Scheduled'
+        )
+      `);
+    donationId = donationResult.recordset[0].DonationID;
+
+    await recordStatusChange({
+      requestId,
+      donationId,
+      entity: 'Donation',
+      fromStatus: null,
+      toStatus: 'Scheduled',
+      actor: user,
+      reason: 'Donation scheduled on acceptance',
+      transaction
+    });
+
+    // The OTP and the stand-down notices go out only if the acceptance commits
+    otp = await issueDonationOtp(donationId, { sms: channel !== 'sms', transaction });
+    if (progress.unitsOutstanding === 1) {
+      await releaseWaitingDonors(requestId, request, { exceptDonorId: assignment.DonorID, transaction });
+    }
+
+    await transaction.commit();
+  } catch (err) {
+    await transaction.rollback().catch(() => {});
+    throw err;
+  }
+
+  const confirmation = reply({
+    type: 'response-confirmed',
+    requestId,
+    donationId,
+    hospitalName: request.HospitalName,
+    location: request.Location,
+    screeningPending: !clearance,
+    slots: await getOpenSlots(request.HospitalID, { limit: SLOT_SUGGESTION_LIMIT })
+  });
+
+  const unitsOutstanding = progress.unitsOutstanding - 1;
+  broadcastToAdmins('requests', {
+    type: 'donor-response',
+    requestId,
+    donorName: user.name,
+    status: 'accepted',
+    unitsRequired: progress.unitsRequired,
+    unitsOutstanding
+  }, { hospitalIds: [request.HospitalID] });
+
+  return { ...confirmation, otp };
+}
+
+// Reads a reply such as "YES", "no 42" or "ହଁ #42" into { accepted, requestId }; accepted is null when unrecognised
+function parseSmsReply(text) {
+  const words = String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[.,!?;:'"()]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const keyword = words[0];
+  const accepted = SMS_REPLY_KEYWORDS.accept.includes(keyword)
+    ? true
+    : SMS_REPLY_KEYWORDS.decline.includes(keyword) ? false : null;
+  const number = words.slice(1).map(word => word.replace(/^#/, '')).find(word => /^\d+$/.test(word));
+
+  return { accepted, requestId: number ? parseInt(number, 10) : null };
+}
+
+// Finds the donor texting from a number, with the requests still waiting on their answer (newest first).
+// Phone numbers are stored as typed, so they are compared on their last ten digits. A number shared
+// by several donors comes back as { ambiguous: true } rather than guessing which of them replied.
+async function findSmsSender(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '').slice(-10);
+  if (digits.length < 10) return null;
+
+  const userResult = await pool.request()
+    .input('digits', sql.VarChar, digits)
+    .query(`
+      SELECT TOP 2 u.UserID, u.FullName, u.PhoneNumber, u.BloodGroup, u.Role, d.DonorID
+      FROM Users u
+      JOIN Donors d ON d.UserID = u.UserID
+      WHERE RIGHT(REPLACE(REPLACE(REPLACE(u.PhoneNumber, ' ', ''), '-', ''), '+', ''), 10) = @digits
+      ORDER BY u.UserID
+    `);
+
+  if (userResult.recordset.length > 1) return { ambiguous: true };
+  const donor = userResult.recordset[0];
+  if (!donor) return null;
+
+  const pending = await pool.request()
+    .input('donorId', sql.Int, donor.DonorID)
+    .query(`
+      SELECT a.RequestID, r.HospitalName, r.ContactNumber
+      FROM RequestAssignments a
+      JOIN Requests r ON a.RequestID = r.RequestID
+      WHERE a.DonorID = @donorId
+        AND a.Status = 'Notified'
+        AND r.Status IN ('Pending', 'Accepted')
+      ORDER BY a.NotifiedAt DESC
+    `);
+
+  return {
+    user: {
+      userId: donor.UserID,
+      name: donor.FullName,
+      phone: donor.PhoneNumber,
+      bloodGroup: donor.BloodGroup,
+      role: donor.Role
+    },
+    pending: pending.recordset
+  };
+}
+
+// Turns an inbound SMS into a donor response and returns the text to send back
+async function handleSmsReply(from, text) {
+  const sender = await findSmsSender(from);
+  if (!sender) {
+    return 'BloodCare: We could not find a donor registered with this number.';
+  }
+  if (sender.ambiguous) {
+    return 'BloodCare: More than one donor is registered with this number, so we could not tell who replied. Please answer in the BloodCare app or call the blood bank.';
+  }
+
+  const { accepted, requestId } = parseSmsReply(text);
+  if (accepted === null) {
+    return 'BloodCare: Reply YES to donate or NO to decline, followed by the request number if you were sent more than one (e.g. YES 42).';
+  }
+  if (!requestId && sender.pending.length === 0) {
+    return 'BloodCare: You have no blood requests waiting for a reply. Thank you for checking.';
+  }
+  if (!requestId && sender.pending.length > 1) {
+    const list = sender.pending.map(item => `#${item.RequestID} (${item.HospitalName})`).join(', ');
+    return `BloodCare: You have ${sender.pending.length} requests waiting: ${list}. Reply YES or NO followed by the request number, e.g. YES ${sender.pending[0].RequestID}.`;
+  }
+
+  const targetId = requestId || sender.pending[0].RequestID;
+  const target = sender.pending.find(item => item.RequestID === targetId);
+  const callUs = target && target.ContactNumber ? ` or call ${target.ContactNumber}` : '';
+
+  let outcome;
+  try {
+    outcome = await handleDonorResponse(targetId, accepted, sender.user, { channel: 'sms' });
+  } catch (err) {
+    console.error('Error handling SMS response:', err);
+    return `BloodCare: Sorry, we could not record your reply. Please try again${callUs}.`;
+  }
+
+  if (outcome.type === 'response-confirmed') {
+    const screeningNote = outcome.screeningPending
+      ? ' The staff will take you through a short health questionnaire before you donate.'
+      : '';
+    return `BloodCare: Thank you! You are confirmed to donate at ${outcome.hospitalName}, ${outcome.location}. ` +
+      `Your donation OTP is ${outcome.otp}; show it to the staff. It is valid for ${OTP_TTL_MINUTES} minutes.${screeningNote}`;
+  }
+  if (outcome.type === 'response-declined') {
+    return 'BloodCare: Thank you for letting us know. We will ask you again when you are needed.';
+  }
+  return `BloodCare: ${outcome.message}`;
+}
+
+// Rejects webhook calls that were not signed by Twilio with our auth token
+function verifyTwilioSignature(req) {
+  const signature = req.headers['x-twilio-signature'];
+  const url = `${PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    throw httpError(503, 'Twilio webhooks are not configured');
+  }
+  if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body)) {
+    throw httpError(403, 'Invalid Twilio signature');
+  }
+}
+
+function generateOtp() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// OTPs are bound to their donation so a hash cannot be replayed against another one
+function hashOtp(donationId, otp) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${donationId}:${otp}`).digest('hex');
+}
+
+function otpMatches(donationId, otp, otpHash) {
+  const expected = Buffer.from(otpHash);
+  const actual = Buffer.from(hashOtp(donationId, String(otp || '')));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Generates a fresh OTP for a scheduled donation, stores its hash and sends it to the donor.
+// Pass { sms: false } when the caller delivers the code by text itself.
+// A fresh OTP lasts OTP_TTL_MINUTES, or until validUntil if that is later (the end of a booked appointment).
+// Pass a transaction to send it only if the change it belongs to commits.
+async function issueDonationOtp(donationId, { sms = true, validUntil = null, transaction = null } = {}) {
+  const otp = generateOtp();
+
+  const result = await dbRequest(transaction)
+    .input('donationId', sql.Int, donationId)
+    .input('otpHash', sql.NVarChar, hashOtp(donationId, otp))
+    .input('ttl', sql.Int, OTP_TTL_MINUTES)
+    .input('validUntil', sql.DateTime, validUntil)
+    .query(`
+      UPDATE dn
+      SET dn.OTPHash = @otpHash,
+          dn.OTPExpiry = CASE
+            WHEN @validUntil > DATEADD(minute, @ttl, GETDATE()) THEN @validUntil
+            ELSE DATEADD(minute, @ttl, GETDATE())
+          END,
+          dn.OTPSentAt = GETDATE()
+      OUTPUT INSERTED.RequestID, INSERTED.OTPExpiry, d.UserID, u.PhoneNumber, r.HospitalName
+      FROM Donations dn
+      JOIN Donors d ON dn.DonorID = d.DonorID
+      JOIN Users u ON d.UserID = u.UserID
+      JOIN Requests r ON dn.RequestID = r.RequestID
+      WHERE dn.DonationID = @donationId
+    `);
+
+  const donation = result.recordset[0];
+  const expiresInMinutes = Math.round((new Date(donation.OTPExpiry) - Date.now()) / 60000);
+  const validity = expiresInMinutes > OTP_TTL_MINUTES
+    ? `It is valid until ${formatAppointment(donation.OTPExpiry)}.`
+    : `It is valid for ${OTP_TTL_MINUTES} minutes.`;
+
+  // The code itself is only pushed live, never written to the Notifications table
+  afterCommit(transaction, () => sendToUser(donation.UserID, {
+    type: 'otp',
+    requestId: donation.RequestID,
+    otp,
+    expiresInMinutes
+  }));
+
+  await createNotification(donation.UserID, {
+    type: 'otp',
+    title: 'Donation OTP Sent',
+    message: `Your donation OTP for ${donation.HospitalName} has been sent to your phone. ${validity}`,
+    sms: sms && `BloodCare: Your donation OTP is ${otp}. Show it to the staff at ${donation.HospitalName}. ${validity}`,
+    email: `Your donation OTP is ${otp}. Show it to the staff at ${donation.HospitalName}. ${validity}`,
+    sensitive: true,
+    requestId: donation.RequestID
+  }, { transaction });
+
+  return otp;
+}
+
+// A booked donor's OTP stays valid until the no-show grace period after their appointment ends
+function appointmentOtpExpiry(endsAt) {
+  return new Date(new Date(endsAt).getTime() + NO_SHOW_GRACE_MINUTES * 60000);
+}
+
+const RELEASE_MESSAGES = {
+  filled: 'has been filled by other donors',
+  Completed: 'has been fully met',
+  Cancelled: 'has been cancelled',
+  Expired: 'has expired'
+};
+
+// Tells every donor still waiting on a request that they are no longer needed
+async function releaseWaitingDonors(requestId, request, { exceptDonorId = null, reason = 'filled', transaction = null } = {}) {
+  const released = await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .input('donorId', sql.Int, exceptDonorId)
+    .query(`
+      UPDATE a
+      SET a.Status = 'Superseded', a.RespondedAt = GETDATE()
+      OUTPUT d.UserID, u.PhoneNumber
+      FROM RequestAssignments a
+      JOIN Donors d ON a.DonorID = d.DonorID
+      JOIN Users u ON d.UserID = u.UserID
+      WHERE a.RequestID = @requestId
+        AND (@donorId IS NULL OR a.DonorID <> @donorId)
+        AND a.Status = 'Notified'
+    `);
+
+  const outcome = RELEASE_MESSAGES[reason];
+  for (const donor of released.recordset) {
+    await createNotification(donor.UserID, {
+      type: 'request-filled',
+      title: 'Blood Request Closed',
+      message: `The request for ${request.BloodGroup} blood at ${request.HospitalName} ${outcome}. You are no longer needed, thank you.`,
+      requestId
+    }, { transaction });
+
+    afterCommit(transaction, () => sendToUser(donor.UserID, { type: 'request-filled', requestId, reason }));
+  }
+}
+
+// Ends a request early and clears up after it, all in one transaction
+async function closeRequest(requestId, toStatus, { actor = null, reason = null } = {}) {
+  await inTransaction(async transaction => {
+    await transitionRequest(requestId, toStatus, { actor, reason, transaction });
+    await windDownRequest(requestId, toStatus, { actor, reason, transaction });
+  });
+}
+
+// Runs once a request has closed: cancels donations still scheduled against it, returns its
+// reserved stock and stands down every donor who is no longer needed
+async function windDownRequest(requestId, outcome, { actor = null, reason = null, transaction = null } = {}) {
+  if (!transaction) {
+    return inTransaction(own => windDownRequest(requestId, outcome, { actor, reason, transaction: own }));
+  }
+
+  const requestResult = await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .query('SELECT BloodGroup, HospitalName FROM Requests WHERE RequestID = @requestId');
+  const request = requestResult.recordset[0];
+
+  const scheduled = await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .query(`
+      SELECT dn.DonationID, d.UserID, u.PhoneNumber
+      FROM Donations dn
+      JOIN Donors d ON dn.DonorID = d.DonorID
+      JOIN Users u ON d.UserID = u.UserID
+      WHERE dn.RequestID = @requestId
+        AND dn.Status = 'Scheduled'
+    `);
+
+  for (const donation of scheduled.recordset) {
+    await transitionDonation(donation.DonationID, 'Cancelled', { actor, reason, transaction });
+
+    await createNotification(donation.UserID, {
+      type: 'donation-cancelled',
+      title: 'Donation No Longer Needed',
+      message: `The request for ${request.BloodGroup} blood at ${request.HospitalName} ${RELEASE_MESSAGES[outcome]}. Your scheduled donation has been cancelled, thank you.`,
+      requestId
+    }, { transaction });
+
+    afterCommit(transaction, () => sendToUser(donation.UserID, { type: 'donation-cancelled', requestId, reason: outcome }));
+  }
+
+  const released = await releaseReservedUnits(requestId, null, transaction);
+  afterCommit(transaction, () => publishInventory(released).catch(err => console.error('Inventory publish error:', err)));
+
+  await releaseWaitingDonors(requestId, request, { reason: outcome, transaction });
+}
+
+function formatAppointment(date) {
+  return new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: LOCAL_TIME_ZONE });
+}
+
+// Hour (0-23), minute and weekday (0 = Sunday) in the blood bank's local time
+function localClock(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: LOCAL_TIME_ZONE,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+  const part = type => parts.find(item => item.type === type).value;
+  return {
+    hour: parseInt(part('hour'), 10),
+    minute: parseInt(part('minute'), 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'))
+  };
+}
+
+// Quiet hours may run past midnight, e.g. 21 to 8
+function inQuietHours(start, end, hour) {
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Upcoming slots at a hospital that still have room, soonest first
+async function getOpenSlots(hospitalId, { from = null, to = null, limit = null } = {}) {
+  const result = await pool.request()
+    .input('hospitalId', sql.Int, hospitalId)
+    .input('from', sql.DateTime, from)
+    .input('to', sql.DateTime, to)
+    .input('limit', sql.Int, limit)
+    .query(`
+      SELECT TOP (COALESCE(@limit, 2147483647))
+        s.SlotID AS id,
+        s.StartsAt,
+        s.EndsAt,
+        s.Capacity,
+        s.Capacity - s.BookedCount AS remaining
+      FROM DonationSlots s
+      WHERE s.HospitalID = @hospitalId
+        AND s.CancelledAt IS NULL
+        AND s.BookedCount < s.Capacity
+        AND s.StartsAt > GETDATE()
+        AND (@from IS NULL OR s.StartsAt >= @from)
+        AND (@to IS NULL OR s.StartsAt < @to)
+      ORDER BY s.StartsAt
+    `);
+  return result.recordset;
+}
+
+// Locks a scheduled donation for a booking change; donors may only touch their own
+async function getDonationForBooking(donationId, user, transaction) {
+  const result = await new sql.Request(transaction)
+    .input('donationId', sql.Int, donationId)
+    .query(`
+      SELECT dn.DonationID, dn.Status, dn.SlotID, dn.HospitalID, d.UserID
+      FROM Donations dn WITH (UPDLOCK, ROWLOCK)
+      JOIN Donors d ON dn.DonorID = d.DonorID
+      WHERE dn.DonationID = @donationId
+    `);
+
+  const donation = result.recordset[0];
+  if (!donation || (user.role !== 'admin' && donation.UserID !== user.userId)) {
+    throw httpError(404, 'Donation not found');
+  }
+  if (donation.Status !== 'Scheduled') {
+    throw httpError(409, `This donation is already ${donation.Status.toLowerCase()}`);
+  }
+  return donation;
+}
+
+// Books a scheduled donation into a slot, or moves it from the slot it already holds.
+// The capacity check and the increment are one UPDATE, so a slot can never be overbooked.
+async function bookDonationSlot(donationId, slotId, user) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    const donation = await getDonationForBooking(donationId, user, transaction);
+
+    const slotResult = await new sql.Request(transaction)
+      .input('slotId', sql.Int, slotId)
+      .input('hospitalId', sql.Int, donation.HospitalID)
+      .input('currentSlotId', sql.Int, donation.SlotID)
+      .query(`
+        UPDATE DonationSlots
+        SET BookedCount = BookedCount + 1
+        OUTPUT INSERTED.SlotID, INSERTED.StartsAt, INSERTED.EndsAt, INSERTED.HospitalID
+        WHERE SlotID = @slotId
+          AND (@currentSlotId IS NULL OR SlotID <> @currentSlotId)
+          AND (@hospitalId IS NULL OR HospitalID = @hospitalId)
+          AND CancelledAt IS NULL
+          AND StartsAt > GETDATE()
+          AND BookedCount < Capacity
+      `);
+
+    const slot = slotResult.recordset[0];
+    if (!slot) {
+      throw httpError(409, donation.SlotID === Number(slotId)
+        ? 'This donation is already booked into that slot'
+        : 'That slot is full, cancelled, already started or at another hospital');
+    }
+
+    if (donation.SlotID) {
+      await releaseSlot(donation.SlotID, transaction);
+    }
+
+    await new sql.Request(transaction)
+      .input('donationId', sql.Int, donationId)
+      .input('slotId', sql.Int, slot.SlotID)
+      .input('hospitalId', sql.Int, slot.HospitalID)
+      .query(`
+        UPDATE Donations
+        SET SlotID = @slotId, HospitalID = @hospitalId, ReminderSentAt = NULL
+        WHERE DonationID = @donationId
+      `);
+
+    await transaction.commit();
+
+    return {
+      donationId: Number(donationId),
+      slotId: slot.SlotID,
+      startsAt: slot.StartsAt,
+      endsAt: slot.EndsAt,
+      rescheduled: Boolean(donation.SlotID)
+    };
+  } catch (err) {
+    await transaction.rollback().catch(() => {});
+    throw err;
+  }
+}
+
+// Gives up a donation's slot; the donation stays scheduled so the donor can book another
+async function cancelDonationBooking(donationId, user) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    const donation = await getDonationForBooking(donationId, user, transaction);
+    if (!donation.SlotID) {
+      throw httpError(409, 'This donation has no booked slot');
+    }
+
+    await releaseSlot(donation.SlotID, transaction);
+    await new sql.Request(transaction)
+      .input('donationId', sql.Int, donationId)
+      .query('UPDATE Donations SET SlotID = NULL, ReminderSentAt = NULL WHERE DonationID = @donationId');
+
+    await transaction.commit();
+    return { donationId: Number(donationId), slotId: donation.SlotID };
+  } catch (err) {
+    await transaction.rollback().catch(() => {});
+    throw err;
+  }
+}
+
+async function releaseSlot(slotId, transaction) {
+  await dbRequest(transaction)
+    .input('slotId', sql.Int, slotId)
+    .query('UPDATE DonationSlots SET BookedCount = BookedCount - 1 WHERE SlotID = @slotId AND BookedCount > 0');
+}
+
+// Booking changes sent over the WebSocket get the same checks as the REST endpoints
+async function handleBookingMessage(message, user) {
+  try {
+    const booking = message.type === 'book-slot'
+      ? await bookDonationSlot(message.donationId, message.slotId, user)
+      : await cancelDonationBooking(message.donationId, user);
+
+    sendToUser(user.userId, {
+      type: message.type === 'book-slot' ? 'booking-confirmed' : 'booking-cancelled',
+      ...booking
+    });
+  } catch (err) {
+    if (!err.statusCode) {
+      console.error('Error handling booking message:', err);
+    }
+    sendToUser(user.userId, {
+      type: 'booking-rejected',
+      donationId: message.donationId,
+      slotId: message.slotId,
+      message: err.statusCode ? err.message : 'Booking failed, please try again'
+    });
+  }
+}
+
+// Sends a request whose donor fell through back to the Reassign step, due at once, so the
+// next escalation run asks new donors for the unit
+async function restartRecruitment(requestId, transaction) {
+  await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .input('level', sql.Int, ESCALATION_STEPS.indexOf('Reassign'))
+    .query(`
+      UPDATE r
+      SET r.EscalationLevel = @level, r.LastEscalatedAt = '1900-01-01'
+      FROM Requests r
+      WHERE r.RequestID = @requestId
+        AND r.Status IN ('Pending', 'Accepted')
+        AND ${OUTSTANDING_UNITS_SQL} > 0
+    `);
+}
+
+// Records that a donor missed their appointment. The unit counts as outstanding again, so the
+// request goes back to recruiting new donors.
+async function recordNoShow(donationId, { actor = null, reason = null } = {}) {
+  const { donation, progress } = await inTransaction(async transaction => {
+    await transitionDonation(donationId, 'NoShow', { actor, reason, transaction });
+
+    const result = await new sql.Request(transaction)
+      .input('donationId', sql.Int, donationId)
+      .query(`
+        SELECT dn.RequestID, dn.DonorName, dn.HospitalID, d.UserID
+        FROM Donations dn
+        JOIN Donors d ON dn.DonorID = d.DonorID
+        WHERE dn.DonationID = @donationId
+      `);
+    const missed = result.recordset[0];
+    const missedProgress = missed.RequestID
+      ? (await getRequestProgress([missed.RequestID], transaction)).get(missed.RequestID)
+      : null;
+
+    if (missedProgress && missedProgress.unitsOutstanding > 0) {
+      await restartRecruitment(missed.RequestID, transaction);
+    }
+
+    await createNotification(missed.UserID, {
+      type: 'donation-no-show',
+      title: 'Missed Appointment',
+      message: 'We missed you at your donation appointment. Please contact the blood bank if you can still help.',
+      requestId: missed.RequestID
+    }, { transaction });
+
+    return { donation: missed, progress: missedProgress };
+  });
+
+  if (progress && progress.unitsOutstanding > 0) {
+    runEscalations();
+  }
+
+  broadcastToAdmins('donations', {
+    type: 'donation-no-show',
+    donationId: Number(donationId),
+    requestId: donation.RequestID,
+    donorName: donation.DonorName,
+    unitsOutstanding: progress ? progress.unitsOutstanding : null
+  }, { hospitalIds: [donation.HospitalID] });
+}
+
+async function getCamp(campId, transaction, { lock = false } = {}) {
+  const result = await dbRequest(transaction)
+    .input('campId', sql.Int, campId)
+    .query(`
+      SELECT
+        CampID, Name, Venue, City, Latitude, Longitude, HospitalID,
+        StartsAt, EndsAt, TargetUnits, GroupTargets, Status
+      FROM DonationCamps ${lock ? 'WITH (UPDLOCK, ROWLOCK)' : ''}
+      WHERE CampID = @campId
+    `);
+
+  const camp = result.recordset[0];
+  if (!camp) {
+    throw httpError(404, 'Camp not found');
+  }
+  return { ...camp, GroupTargets: JSON.parse(camp.GroupTargets || '{}') };
+}
+
+// Units wanted per blood group, e.g. { "O+": 20, "B+": 15 }; groups left out have no target of their own
+function parseGroupTargets(groupTargets) {
+  if (groupTargets === undefined || groupTargets === null) return {};
+  if (typeof groupTargets !== 'object' || Array.isArray(groupTargets)) {
+    throw httpError(400, 'groupTargets must map blood groups to unit counts');
+  }
+
+  return Object.fromEntries(Object.entries(groupTargets).map(([bloodGroup, units]) => {
+    const count = parseInt(units, 10);
+    if (!BLOOD_GROUPS.includes(bloodGroup) || !(count > 0)) {
+      throw httpError(400, `Invalid group target ${bloodGroup}: ${units}`);
+    }
+    return [bloodGroup, count];
+  }));
+}
+
+// Moves a camp through CAMP_TRANSITIONS; returns the status it had before
+async function transitionCamp(campId, toStatus, transaction) {
+  const camp = await getCamp(campId, transaction, { lock: true });
+  if (!(CAMP_TRANSITIONS[camp.Status] || []).includes(toStatus)) {
+    throw httpError(409, `Cannot change camp from ${camp.Status} to ${toStatus}`);
+  }
+
+  await dbRequest(transaction)
+    .input('campId', sql.Int, campId)
+    .input('status', sql.NVarChar, toStatus)
+    .query('UPDATE DonationCamps SET Status = @status WHERE CampID = @campId');
+  return camp;
+}
+
+// Invites eligible donors near the venue who have not been asked about this camp yet. With group
+// targets only those groups are invited; donors invited to any camp recently are skipped.
+async function inviteDonorsToCamp(camp) {
+  const request = pool.request()
+    .input('campId', sql.Int, camp.CampID)
+    .input('startsAt', sql.DateTime, camp.StartsAt)
+    .input('purpose', sql.NVarChar, 'camp-invite')
+    .input('cooldown', sql.Int, RECRUITMENT_COOLDOWN_DAYS);
+  const groups = Object.keys(camp.GroupTargets);
+  const groupFilter = groups.length > 0
+    ? `AND u.BloodGroup IN (${addListInputs(request, 'group', sql.NVarChar, groups)})`
+    : '';
+
+  const result = await request.query(`
+    SELECT
+      d.DonorID AS id,
+      d.UserID,
+      u.PhoneNumber AS phoneNumber,
+      u.BloodGroup,
+      d.Gender,
+      d.LastDonationDate,
+      d.LastDonationComponent,
+      d.Latitude,
+      d.Longitude
+    FROM Donors d
+    JOIN Users u ON d.UserID = u.UserID
+    WHERE d.Availability = 1
+      ${groupFilter}
+      AND NOT EXISTS (
+        SELECT 1 FROM CampRegistrations r
+        WHERE r.CampID = @campId AND r.DonorID = d.DonorID
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM DonorDeferrals df
+        WHERE df.DonorID = d.DonorID
+          AND df.RevokedAt IS NULL
+          AND (df.DeferralType = 'Permanent' OR df.EndDate > @startsAt)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM DonorContacts c
+        WHERE c.DonorID = d.DonorID
+          AND c.Purpose = @purpose
+          AND c.ContactedAt >= DATEADD(day, -@cooldown, GETDATE())
+      )
+  `);
+
+  // Donors are judged on whether they can give on the day of the camp, not today.
+  // Deferrals running past the camp are already excluded above.
+  const eligible = result.recordset.filter(donor =>
+    evaluateEligibility(donor, [], camp.StartsAt).eligible
+  );
+  const targets = rankByDistance(eligible, { latitude: camp.Latitude, longitude: camp.Longitude }, CAMP_INVITE_RADIUS_KM)
+    .slice(0, CAMP_INVITE_BATCH_SIZE);
+
+  const when = formatAppointment(camp.StartsAt);
+  for (const donor of targets) {
+    await pool.request()
+      .input('campId', sql.Int, camp.CampID)
+      .input('donorId', sql.Int, donor.id)
+      .query(`
+        INSERT INTO CampRegistrations (CampID, DonorID, Status, InvitedAt)
+        VALUES (@campId, @donorId, 'Invited', GETDATE())
+      `);
+
+    await createNotification(donor.UserID, {
+      type: 'camp-invite',
+      title: `Blood Donation Camp: ${camp.Name}`,
+      message: `Join us at ${camp.Venue} on ${when}, ${donor.distanceKm} km from you. Register in the app to reserve your place.`,
+      sms: `BloodCare: Blood donation camp "${camp.Name}" at ${camp.Venue} on ${when}. Open the app to register.`
+    });
+    sendToUser(donor.UserID, {
+      type: 'camp-invite',
+      campId: camp.CampID,
+      name: camp.Name,
+      venue: camp.Venue,
+      startsAt: camp.StartsAt,
+      distanceKm: donor.distanceKm
+    });
+    await recordDonorContact(donor.id, 'camp-invite');
+  }
+  return targets.length;
+}
+
+// Shared handler for single-unit status changes made by admins
+async function changeUnitStatus(req, res, toStatus, failureMessage) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const unit = await transitionUnit(req.params.id, toStatus, {
+      transaction,
+      fields: { Notes: [sql.NVarChar, req.body.reason || null] }
+    });
+    await syncInventory([unit], transaction);
+    await transaction.commit();
+    await publishInventory([unit]);
+
+    res.json({ success: true, message: `Unit ${unit.BagNumber} is now ${toStatus}` });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${failureMessage}:`, error);
+    res.status(500).json({
+      success: false,
+      error: failureMessage,
+      details: error.message
+    });
+  }
+}
+
+// Bags physically in a hospital's blood bank; units in transit count once they are received
+async function countUnitsHeld(hospitalId, transaction) {
+  const result = await dbRequest(transaction)
+    .input('hospitalId', sql.Int, hospitalId)
+    .query(`
+      SELECT COUNT(*) AS held
+      FROM BloodUnits
+      WHERE HospitalID = @hospitalId
+        AND Status IN ('Quarantined', 'Available', 'Reserved')
+    `);
+
+  return result.recordset[0].held;
+}
+
+// Refuses stock beyond a hospital's blood bank capacity. The hospital row stays locked
+// until the caller commits, so two additions cannot both take the last free space.
+async function assertCapacity(hospitalId, incoming, transaction) {
+  const { hospital, held } = await lockCapacity(hospitalId, transaction);
+  if (held + incoming > hospital.BloodBankCapacity) {
+    throw httpError(409, `${hospital.Name} blood bank is full (${held} of ${hospital.BloodBankCapacity} units held)`);
+  }
+}
+
+async function lockCapacity(hospitalId, transaction) {
+  const result = await dbRequest(transaction)
+    .input('hospitalId', sql.Int, hospitalId)
+    .query('SELECT Name, BloodBankCapacity FROM Hospitals WITH (UPDLOCK, ROWLOCK) WHERE HospitalID = @hospitalId');
+
+  const hospital = result.recordset[0];
+  if (!hospital) {
+    throw httpError(404, 'Hospital not found');
+  }
+
+  return { hospital, held: await countUnitsHeld(hospitalId, transaction) };
+}
+
+// Records a collected bag; new bags wait in quarantine until their tests are cleared.
+// Shelf life depends on the component collected. Blood already taken from a donor is never
+// turned away, so a full blood bank raises an alert instead of refusing the bag.
+async function createBloodUnit({ donationId, bloodGroup, component = DEFAULT_COMPONENT, hospitalId, bagNumber = null }, transaction) {
+  const { hospital, held } = await lockCapacity(hospitalId, transaction);
+  if (held + 1 > hospital.BloodBankCapacity) {
+    afterCommit(transaction, () => broadcastToAdmins('alerts', {
+      type: 'capacity-exceeded',
+      hospitalId,
+      hospital: hospital.Name,
+      unitsHeld: held + 1,
+      capacity: hospital.BloodBankCapacity
+    }, { hospitalIds: [hospitalId] }));
+  }
+
+  const result = await dbRequest(transaction)
+    .input('donationId', sql.Int, donationId)
+    .input('bloodGroup', sql.NVarChar, bloodGroup)
+    .input('component', sql.NVarChar, component)
+    .input('hospitalId', sql.Int, hospitalId)
+    .input('bagNumber', sql.NVarChar, bagNumber)
+    .input('shelfLife', sql.Int, BLOOD_COMPONENTS[component].shelfLifeDays)
+    .query(`
+      INSERT INTO BloodUnits (BagNumber, DonationID, BloodGroup, Component, HospitalID, CollectedAt, ExpiresAt, Status)
+      OUTPUT INSERTED.UnitID, INSERTED.BagNumber, INSERTED.Component, INSERTED.ExpiresAt
+      VALUES (
+        COALESCE(@bagNumber, CONCAT('BAG-', FORMAT(GETDATE(), 'yyyyMMdd'), '-', @donationId)),
+        @donationId,
+        @bloodGroup,
+        @component,
+        @hospitalId,
+        GETDATE(),
+        DATEADD(day, @shelfLife, GETDATE()),
+        'Quarantined'
+      )
+    `);
+
+  return result.recordset[0];
+}
+
+// Locks and returns up to `count` usable units of a group and component held at one hospital, soonest expiry first.
+// READPAST skips bags another transaction is holding, so two admins never get the same one.
+async function selectUnitsFefo(bloodGroup, component, hospitalId, count, transaction) {
+  const result = await dbRequest(transaction)
+    .input('bloodGroup', sql.NVarChar, bloodGroup)
+    .input('component', sql.NVarChar, component)
+    .input('hospitalId', sql.Int, hospitalId)
+    .input('count', sql.Int, count)
+    .query(`
+      SELECT TOP (@count) UnitID, BagNumber, BloodGroup, Component, HospitalID, ExpiresAt
+      FROM BloodUnits WITH (UPDLOCK, READPAST, ROWLOCK)
+      WHERE BloodGroup = @bloodGroup
+        AND Component = @component
+        AND HospitalID = @hospitalId
+        AND Status = 'Available'
+        AND ExpiresAt > GETDATE()
+      ORDER BY ExpiresAt, UnitID
+    `);
+
+  return result.recordset;
+}
+
+// `fields` holds extra columns to set in the same update, as { Column: [sqlType, value] }
+async function transitionUnit(unitId, toStatus, { fields = {}, transaction = null } = {}) {
+  if (!transaction) {
+    return inTransaction(own => transitionUnit(unitId, toStatus, { fields, transaction: own }));
+  }
+
+  const current = await dbRequest(transaction)
+    .input('unitId', sql.Int, unitId)
+    .query('SELECT Status, BloodGroup, Component, HospitalID, BagNumber FROM BloodUnits WITH (UPDLOCK, ROWLOCK) WHERE UnitID = @unitId');
+
+  if (current.recordset.length === 0) {
+    throw httpError(404, 'Blood unit not found');
+  }
+
+  const unit = current.recordset[0];
+  if (!(UNIT_TRANSITIONS[unit.Status] || []).includes(toStatus)) {
+    throw httpError(409, `Cannot change blood unit from ${unit.Status} to ${toStatus}`);
+  }
+
+  const update = dbRequest(transaction)
+    .input('unitId', sql.Int, unitId)
+    .input('toStatus', sql.NVarChar, toStatus);
+
+  const assignments = ['Status = @toStatus', 'StatusChangedAt = GETDATE()'];
+  Object.entries(fields).forEach(([column, [type, value]]) => {
+    update.input(column, type, value);
+    assignments.push(`${column} = @${column}`);
+  });
+  if (toStatus === 'Issued') assignments.push('IssuedAt = GETDATE()');
+
+  await update.query(`UPDATE BloodUnits SET ${assignments.join(', ')} WHERE UnitID = @unitId`);
+  return unit;
+}
+
+// Keeps the per-site BloodInventory rows in step with the available bags, for every site and component the units touch
+async function syncInventory(units, transaction) {
+  for (const site of stockSites(units)) {
+    await dbRequest(transaction)
+      .input('bloodGroup', sql.NVarChar, site.BloodGroup)
+      .input('component', sql.NVarChar, site.Component)
+      .input('hospitalId', sql.Int, site.HospitalID)
+      .query(`
+        DECLARE @available INT = (
+          SELECT COUNT(*) FROM BloodUnits
+          WHERE BloodGroup = @bloodGroup AND Component = @component AND HospitalID = @hospitalId AND Status = 'Available'
+        );
+
+        UPDATE BloodInventory
+        SET UnitsAvailable = @available, LastUpdated = GETDATE()
+        WHERE BloodGroup = @bloodGroup AND Component = @component AND HospitalID = @hospitalId;
+
+        IF @@ROWCOUNT = 0
+          INSERT INTO BloodInventory (BloodGroup, Component, HospitalID, UnitsAvailable)
+          VALUES (@bloodGroup, @component, @hospitalId, @available);
+      `);
+  }
+}
+
+// Stock can only be reserved or issued against a request that is still open
+async function getOpenRequestForStock(requestId, transaction) {
+  const result = await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .query('SELECT RequestID, BloodGroup, Component, HospitalID, HospitalName, Status FROM Requests WHERE RequestID = @requestId');
+
+  const request = result.recordset[0];
+  if (!request) {
+    throw httpError(404, 'Request not found');
+  }
+  if (!['Pending', 'Accepted'].includes(request.Status)) {
+    throw httpError(409, `Request is ${request.Status}`);
+  }
+  return request;
+}
+
+// Picks units of a component at one hospital for a recipient, exact group first and other
+// groups compatible for that component only if allowed
+async function selectUnitsForRecipient(recipientGroup, component, hospitalId, count, { allowCompatible = false } = {}, transaction) {
+  const groups = getCompatibleDonorGroups(recipientGroup, component)
+    .filter(group => allowCompatible || group.rule === 'exact-match');
+
+  const selected = [];
+  for (const group of groups) {
+    if (selected.length >= count) break;
+    const units = await selectUnitsFefo(group.bloodGroup, component, hospitalId, count - selected.length, transaction);
+    selected.push(...units);
+  }
+  return selected;
+}
+
+async function releaseReservedUnits(requestId, unitIds, transaction) {
+  const request = dbRequest(transaction).input('requestId', sql.Int, requestId);
+  const unitFilter = unitIds && unitIds.length > 0
+    ? `AND UnitID IN (${addListInputs(request, 'unit', sql.Int, unitIds)})`
+    : '';
+
+  const reserved = await request.query(`
+    SELECT UnitID, BloodGroup, Component, HospitalID
+    FROM BloodUnits WITH (UPDLOCK, ROWLOCK)
+    WHERE ReservedForRequestID = @requestId
+      AND Status = 'Reserved'
+      ${unitFilter}
+  `);
+
+  for (const unit of reserved.recordset) {
+    await transitionUnit(unit.UnitID, 'Available', {
+      transaction,
+      fields: { ReservedForRequestID: [sql.Int, null] }
+    });
+  }
+
+  await syncInventory(reserved.recordset, transaction);
+  return reserved.recordset;
+}
+
+// Marks units as issued and records who authorised each one, and for which request
+async function issueUnits(units, { requestId = null, issuedTo, authorisedBy }, transaction) {
+  for (const unit of units) {
+    await transitionUnit(unit.UnitID, 'Issued', {
+      transaction,
+      fields: {
+        IssuedTo: [sql.NVarChar, issuedTo],
+        IssuedBy: [sql.Int, authorisedBy]
+      }
+    });
+
+    await dbRequest(transaction)
+      .input('unitId', sql.Int, unit.UnitID)
+      .input('requestId', sql.Int, requestId)
+      .input('issuedTo', sql.NVarChar, issuedTo)
+      .input('authorisedBy', sql.Int, authorisedBy)
+      .query(`
+        INSERT INTO UnitIssues (UnitID, RequestID, IssuedTo, AuthorisedBy)
+        VALUES (@unitId, @requestId, @issuedTo, @authorisedBy)
+      `);
+  }
+}
+
+// Pushes current stock levels for every site and component the units belong to, plus network totals, to the admin dashboard
+async function publishInventory(units) {
+  const sites = stockSites(units);
+  if (sites.length === 0) return;
+
+  const bloodGroups = [...new Set(sites.map(site => site.BloodGroup))];
+  const request = pool.request();
+  const groupParams = addListInputs(request, 'group', sql.NVarChar, bloodGroups);
+  const result = await request.query(`
+    SELECT
+      BloodGroup,
+      Component,
+      HospitalID,
+      SUM(CASE WHEN Status = 'Available' THEN 1 ELSE 0 END) AS unitsAvailable,
+      SUM(CASE WHEN Status = 'Reserved' THEN 1 ELSE 0 END) AS unitsReserved
+    FROM BloodUnits
+    WHERE BloodGroup IN (${groupParams})
+    GROUP BY BloodGroup, Component, HospitalID
+  `);
+
+  const total = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const stock = [...new Map(sites.map(site => [`${site.BloodGroup}|${site.Component}`, site])).values()];
+
+  broadcastToAdmins('inventory', {
+    type: 'inventory-update',
+    inventory: sites.map(site => {
+      const row = result.recordset.find(item =>
+        item.BloodGroup === site.BloodGroup && item.Component === site.Component && item.HospitalID === site.HospitalID
+      );
+      return {
+        bloodGroup: site.BloodGroup,
+        component: site.Component,
+        hospitalId: site.HospitalID,
+        unitsAvailable: row ? row.unitsAvailable : 0,
+        unitsReserved: row ? row.unitsReserved : 0
+      };
+    }),
+    network: stock.map(({ BloodGroup: bloodGroup, Component: component }) => {
+      const rows = result.recordset.filter(item => item.BloodGroup === bloodGroup && item.Component === component);
+      return {
+        bloodGroup,
+        component,
+        unitsAvailable: total(rows, 'unitsAvailable'),
+        unitsReserved: total(rows, 'unitsReserved')
+      };
+    }),
+    timestamp: new Date().toISOString()
+  }, { hospitalIds: [...new Set(sites.map(site => site.HospitalID))] });
+
+  // Recruitment sends SMS, so it must not hold up the caller
+  checkStockLevels(sites).catch(err => console.error('Stock level check error:', err));
+}
+
+// Opens a shortage alert (and a recruitment drive) when a site drops below its minimum
+// for a group and component, and resolves the alert once stock is back at or above it
+async function checkStockLevels(sites) {
+  for (const { BloodGroup: bloodGroup, Component: component, HospitalID: hospitalId } of sites) {
+    const result = await pool.request()
+      .input('bloodGroup', sql.NVarChar, bloodGroup)
+      .input('component', sql.NVarChar, component)
+      .input('hospitalId', sql.Int, hospitalId)
+      .input('defaultMinimum', sql.Int, DEFAULT_MINIMUM_UNITS)
+      .input('defaultTarget', sql.Int, DEFAULT_TARGET_UNITS)
+      .query(`
+        SELECT
+          i.BloodGroup,
+          h.Name AS Hospital,
+          i.UnitsAvailable,
+          COALESCE(i.MinimumUnits, @defaultMinimum) AS MinimumUnits,
+          COALESCE(i.TargetUnits, @defaultTarget) AS TargetUnits,
+          (
+            SELECT TOP 1 a.AlertID FROM ShortageAlerts a
+            WHERE a.BloodGroup = i.BloodGroup
+              AND a.Component = i.Component
+              AND a.HospitalID = i.HospitalID
+              AND a.Status IN ('Open', 'Acknowledged')
+          ) AS OpenAlertID
+        FROM BloodInventory i
+        JOIN Hospitals h ON i.HospitalID = h.HospitalID
+        WHERE i.BloodGroup = @bloodGroup
+          AND i.Component = @component
+          AND i.HospitalID = @hospitalId
+      `);
+
+    const level = result.recordset[0];
+    if (!level) continue;
+
+    if (level.UnitsAvailable >= level.MinimumUnits) {
+      if (level.OpenAlertID) {
+        await pool.request()
+          .input('alertId', sql.Int, level.OpenAlertID)
+          .query(`UPDATE ShortageAlerts SET Status = 'Resolved', ResolvedAt = GETDATE() WHERE AlertID = @alertId`);
+
+        broadcastToAdmins('alerts', {
+          type: 'shortage-resolved',
+          alertId: level.OpenAlertID,
+          bloodGroup,
+          component,
+          hospitalId
+        }, { hospitalIds: [hospitalId] });
+      }
+      continue;
+    }
+
+    if (level.OpenAlertID) continue;
+
+    let alert;
+    try {
+      alert = await pool.request()
+        .input('bloodGroup', sql.NVarChar, bloodGroup)
+        .input('component', sql.NVarChar, component)
+        .input('hospitalId', sql.Int, hospitalId)
+        .input('unitsAvailable', sql.Int, level.UnitsAvailable)
+        .input('minimumUnits', sql.Int, level.MinimumUnits)
+        .query(`
+          INSERT INTO ShortageAlerts (BloodGroup, Component, HospitalID, UnitsAvailable, MinimumUnits)
+          OUTPUT INSERTED.AlertID
+          VALUES (@bloodGroup, @component, @hospitalId, @unitsAvailable, @minimumUnits)
+        `);
+    } catch (err) {
+      // UX_ShortageAlerts_Open: a concurrent check raised this shortage first
+      if (err.number === 2601 || err.number === 2627) continue;
+      throw err;
+    }
+    const alertId = alert.recordset[0].AlertID;
+
+    const contacted = await recruitDonors(bloodGroup, component);
+
+    await pool.request()
+      .input('alertId', sql.Int, alertId)
+      .input('contacted', sql.Int, contacted)
+      .query('UPDATE ShortageAlerts SET DonorsContacted = @contacted WHERE AlertID = @alertId');
+
+    broadcastToAdmins('alerts', {
+      type: 'shortage-alert',
+      alertId,
+      bloodGroup,
+      component,
+      hospitalId,
+      hospital: level.Hospital,
+      unitsAvailable: level.UnitsAvailable,
+      minimumUnits: level.MinimumUnits,
+      targetUnits: level.TargetUnits,
+      donorsContacted: contacted
+    }, { hospitalIds: [hospitalId] });
+  }
+}
+
+// Asks eligible donors of a short group to book a donation, skipping anyone contacted recently
+async function recruitDonors(bloodGroup, component = DEFAULT_COMPONENT) {
+  // Only donors of the short group can replenish that group's stock
+  const { donors } = await findCompatibleDonors(bloodGroup, { component, exactOnly: true });
+  if (donors.length === 0) return 0;
+
+  const recent = await getRecentlyContactedDonors(donors.map(donor => donor.id), 'recruitment', RECRUITMENT_COOLDOWN_DAYS);
+  const targets = donors
+    .filter(donor => !recent.has(donor.id))
+    .slice(0, RECRUITMENT_BATCH_SIZE);
+
+  const { label } = BLOOD_COMPONENTS[component];
+  const message = `${bloodGroup} ${label} stock is low, please book a donation.`;
+  for (const donor of targets) {
+    await createNotification(donor.UserID, {
+      type: 'recruitment',
+      title: `${bloodGroup} Blood Needed`,
+      message,
+      sms: `BloodCare: ${message} Reply or open the app to book a slot.`
+    });
+    await recordDonorContact(donor.id, 'recruitment');
+  }
+  return targets.length;
+}
+
+// Returns the set of donor IDs contacted for `purpose` within the last `days` days
+async function getRecentlyContactedDonors(donorIds, purpose, days) {
+  if (donorIds.length === 0) return new Set();
+
+  const rows = await queryInBatches(donorIds, async batch => {
+    const request = pool.request()
+      .input('purpose', sql.NVarChar, purpose)
+      .input('days', sql.Int, days);
+    const donorParams = addListInputs(request, 'donor', sql.Int, batch);
+    const result = await request.query(`
+      SELECT DISTINCT DonorID
+      FROM DonorContacts
+      WHERE DonorID IN (${donorParams})
+        AND Purpose = @purpose
+        AND ContactedAt >= DATEADD(day, -@days, GETDATE())
+    `);
+    return result.recordset;
+  });
+  return new Set(rows.map(row => row.DonorID));
+}
+
+async function recordDonorContact(donorId, purpose) {
+  await pool.request()
+    .input('donorId', sql.Int, donorId)
+    .input('purpose', sql.NVarChar, purpose)
+    .query('INSERT INTO DonorContacts (DonorID, Purpose) VALUES (@donorId, @purpose)');
+}
+
+// Shared handler for transfer steps. `moveUnits` changes the bags for the step and
+// returns them, so the affected sites can be re-counted in the same transaction.
+async function runTransferStep(req, res, toStatus, failureMessage, moveUnits = null) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+
+  const token = authHeader.split(' ')[1];
+
+  let transaction;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    const transfer = await transitionTransfer(req.params.id, toStatus, {
+      actor: decoded,
+      details: req.body.reason || null,
+      transaction
+    });
+    const units = moveUnits ? await moveUnits(transfer, transaction) : [];
+
+    await syncInventory(units, transaction);
+    await transaction.commit();
+    await publishInventory(units);
+
+    broadcastToAdmins('transfers', {
+      type: 'transfer-update',
+      transferId: transfer.TransferID,
+      status: toStatus,
+      bloodGroup: transfer.BloodGroup,
+      component: transfer.Component,
+      units: units.length,
+      fromHospitalId: transfer.FromHospitalID,
+      toHospitalId: transfer.ToHospitalID
+    }, { hospitalIds: [transfer.FromHospitalID, transfer.ToHospitalID] });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.TransferID} is now ${toStatus}`,
+      units: units.map(unit => ({ id: unit.UnitID, bagNumber: unit.BagNumber, expiresAt: unit.ExpiresAt }))
+    });
+
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback().catch(() => {});
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`${failureMessage}:`, error);
+    res.status(500).json({
+      success: false,
+      error: failureMessage,
+      details: error.message
+    });
+  }
+}
+
+async function transitionTransfer(transferId, toStatus, { actor = null, details = null, transaction = null } = {}) {
+  if (!transaction) {
+    return inTransaction(own => transitionTransfer(transferId, toStatus, { actor, details, transaction: own }));
+  }
+
+  const current = await dbRequest(transaction)
+    .input('transferId', sql.Int, transferId)
+    .query(`
+      SELECT TransferID, FromHospitalID, ToHospitalID, BloodGroup, Component, UnitsRequested, Status
+      FROM TransferRequests WITH (UPDLOCK, ROWLOCK)
+      WHERE TransferID = @transferId
+    `);
+
+  if (current.recordset.length === 0) {
+    throw httpError(404, 'Transfer not found');
+  }
+
+  const transfer = current.recordset[0];
+  if (!(TRANSFER_TRANSITIONS[transfer.Status] || []).includes(toStatus)) {
+    throw httpError(409, `Cannot move transfer from ${transfer.Status} to ${toStatus}`);
+  }
+
+  await dbRequest(transaction)
+    .input('transferId', sql.Int, transferId)
+    .input('toStatus', sql.NVarChar, toStatus)
+    .query('UPDATE TransferRequests SET Status = @toStatus, UpdatedAt = GETDATE() WHERE TransferID = @transferId');
+
+  await recordTransferEvent({
+    transferId: transfer.TransferID,
+    fromStatus: transfer.Status,
+    toStatus,
+    actor,
+    details,
+    transaction
+  });
+
+  return transfer;
+}
+
+async function recordTransferEvent({ transferId, fromStatus, toStatus, actor = null, details = null, transaction = null }) {
+  await dbRequest(transaction)
+    .input('transferId', sql.Int, transferId)
+    .input('fromStatus', sql.NVarChar, fromStatus)
+    .input('toStatus', sql.NVarChar, toStatus)
+    .input('actorUserId', sql.Int, actor ? actor.userId : null)
+    .input('details', sql.NVarChar, details)
+    .query(`
+      INSERT INTO TransferEvents (TransferID, FromStatus, ToStatus, ActorUserID, Details)
+      VALUES (@transferId, @fromStatus, @toStatus, @actorUserId, @details)
+    `);
+}
+
+// Locks the bags on a transfer that are still in the given state
+async function getTransferUnits(transferId, status, transaction) {
+  const result = await dbRequest(transaction)
+    .input('transferId', sql.Int, transferId)
+    .input('status', sql.NVarChar, status)
+    .query(`
+      SELECT b.UnitID, b.BagNumber, b.BloodGroup, b.Component, b.HospitalID, b.ExpiresAt
+      FROM TransferUnits tu
+      JOIN BloodUnits b WITH (UPDLOCK, ROWLOCK) ON tu.UnitID = b.UnitID
+      WHERE tu.TransferID = @transferId
+        AND b.Status = @status
+    `);
+
+  return result.recordset;
+}
+
+// Requests raised before the hospital registry only carry a free-text name; an unknown name is refused with a 400
+async function resolveHospitalId(hospitalName, transaction) {
+  const result = await dbRequest(transaction)
+    .input('name', sql.NVarChar, hospitalName || null)
+    .query('SELECT HospitalID FROM Hospitals WHERE Name = @name');
+
+  if (result.recordset.length === 0) {
+    throw httpError(400, `Hospital "${hospitalName}" is not registered; add it before recording stock for this request`);
+  }
+  return result.recordset[0].HospitalID;
+}
+
+// Bag counts per hospital, blood group and component, optionally for one hospital only
+async function getStockLevels(hospitalId = null) {
+  const result = await pool.request()
+    .input('hospitalId', sql.Int, hospitalId)
+    .query(`
+      SELECT
+        HospitalID,
+        BloodGroup,
+        Component,
+        SUM(CASE WHEN Status = 'Available' THEN 1 ELSE 0 END) AS UnitsAvailable,
+        SUM(CASE WHEN Status = 'Reserved' THEN 1 ELSE 0 END) AS UnitsReserved,
+        SUM(CASE WHEN Status = 'Quarantined' THEN 1 ELSE 0 END) AS UnitsQuarantined,
+        SUM(CASE WHEN Status = 'InTransit' THEN 1 ELSE 0 END) AS UnitsInTransit,
+        SUM(CASE WHEN Status = 'Available' AND ExpiresAt <= DATEADD(day, ${componentSetting('expiryWarningDays')}, GETDATE()) THEN 1 ELSE 0 END) AS UnitsExpiringSoon,
+        MAX(StatusChangedAt) AS LastUpdated
+      FROM BloodUnits
+      WHERE @hospitalId IS NULL OR HospitalID = @hospitalId
+      GROUP BY HospitalID, BloodGroup, Component
+    `);
+
+  return result.recordset;
+}
+
+// Folds stock rows into one entry per blood group and component
+function summariseInventory(rows) {
+  return BLOOD_GROUPS.flatMap(bloodGroup => Object.keys(BLOOD_COMPONENTS).map(component => {
+    const matching = rows.filter(row => row.BloodGroup === bloodGroup && row.Component === component);
+    const total = field => matching.reduce((sum, row) => sum + row[field], 0);
+    const lastUpdated = matching.reduce((latest, row) => (!latest || row.LastUpdated > latest ? row.LastUpdated : latest), null);
+
+    return {
+      bloodGroup,
+      component,
+      unitsAvailable: total('UnitsAvailable'),
+      unitsReserved: total('UnitsReserved'),
+      unitsQuarantined: total('UnitsQuarantined'),
+      unitsInTransit: total('UnitsInTransit'),
+      unitsExpiringSoon: total('UnitsExpiringSoon'),
+      lastUpdated: lastUpdated || new Date().toISOString()
+    };
+  }));
+}
+
+function summariseSites(hospitals, rows) {
+  return hospitals.map(hospital => ({
+    hospitalId: hospital.HospitalID,
+    hospital: hospital.Name,
+    inventory: summariseInventory(rows.filter(row => row.HospitalID === hospital.HospitalID))
+  }));
+}
+
+// Distinct blood group / component / hospital combinations touched by a set of units
+function stockSites(units) {
+  const sites = new Map();
+  units.forEach(unit => {
+    sites.set(`${unit.BloodGroup}|${unit.Component}|${unit.HospitalID}`, {
+      BloodGroup: unit.BloodGroup,
+      Component: unit.Component,
+      HospitalID: unit.HospitalID
+    });
+  });
+  return [...sites.values()];
+}
+
+// SQL CASE picking a BLOOD_COMPONENTS setting for each row, for rules applied across many bags at once
+function componentSetting(setting, column = 'Component') {
+  const cases = Object.entries(BLOOD_COMPONENTS)
+    .map(([component, config]) => `WHEN '${component}' THEN ${config[setting]}`)
+    .join(' ');
+  return `CASE ${column} ${cases} END`;
+}
+
+function idempotencyRequestHash(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+// The stored response for a key this actor already used on this endpoint, or null. Reusing a key
+// with a different payload is refused rather than answered with the other request's response.
+async function getIdempotentResponse(key, endpoint, { actor, payload }, transaction) {
+  const result = await dbRequest(transaction)
+    .input('key', sql.NVarChar, key)
+    .input('endpoint', sql.NVarChar, endpoint)
+    .input('actorUserId', sql.Int, actor.userId)
+    .query(`
+      SELECT StatusCode, ResponseBody, RequestHash
+      FROM IdempotencyKeys
+      WHERE IdempotencyKey = @key AND Endpoint = @endpoint AND ActorUserID = @actorUserId
+    `);
+
+  const row = result.recordset[0];
+  if (!row) return null;
+  if (row.RequestHash !== idempotencyRequestHash(payload)) {
+    throw httpError(422, 'This Idempotency-Key was already used for a different request');
+  }
+  return { statusCode: row.StatusCode, body: JSON.parse(row.ResponseBody) };
+}
+
+async function saveIdempotentResponse(key, endpoint, { actor, payload }, statusCode, body, transaction) {
+  await dbRequest(transaction)
+    .input('key', sql.NVarChar, key)
+    .input('endpoint', sql.NVarChar, endpoint)
+    .input('actorUserId', sql.Int, actor.userId)
+    .input('requestHash', sql.NVarChar, idempotencyRequestHash(payload))
+    .input('statusCode', sql.Int, statusCode)
+    .input('body', sql.NVarChar, JSON.stringify(body))
+    .query(`
+      INSERT INTO IdempotencyKeys (IdempotencyKey, Endpoint, ActorUserID, RequestHash, StatusCode, ResponseBody)
+      VALUES (@key, @endpoint, @actorUserId, @requestHash, @statusCode, @body)
+    `);
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Runs work(transaction) in a transaction of its own, so an UPDLOCK read holds until the write that follows it
+async function inTransaction(work) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    const result = await work(transaction);
+    await transaction.commit();
+    return result;
+  } catch (err) {
+    await transaction.rollback().catch(() => {});
+    throw err;
+  }
+}
+
+function dbRequest(transaction) {
+  return transaction ? new sql.Request(transaction) : pool.request();
+}
+
+// Moves a request to a new status if the lifecycle allows it, recording who did it and why.
+// `fields` holds extra columns to set in the same update, as { Column: [sqlType, value] }.
+async function transitionRequest(requestId, toStatus, { actor = null, reason = null, fields = {}, transaction = null } = {}) {
+  if (!transaction) {
+    return inTransaction(own => transitionRequest(requestId, toStatus, { actor, reason, fields, transaction: own }));
+  }
+
+  const current = await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .query('SELECT Status, HospitalID FROM Requests WITH (UPDLOCK, ROWLOCK) WHERE RequestID = @requestId');
+
+  if (current.recordset.length === 0) {
+    throw httpError(404, 'Request not found');
+  }
+
+  const { Status: fromStatus, HospitalID: hospitalId } = current.recordset[0];
+  if (!(REQUEST_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    const err = httpError(409, `Cannot change request from ${fromStatus} to ${toStatus}`);
+    err.currentStatus = fromStatus;
+    throw err;
+  }
+
+  const update = dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .input('fromStatus', sql.NVarChar, fromStatus)
+    .input('toStatus', sql.NVarChar, toStatus);
+
+  const assignments = ['Status = @toStatus'];
+  Object.entries(fields).forEach(([column, [type, value]]) => {
+    update.input(column, type, value);
+    assignments.push(`${column} = @${column}`);
+  });
+  if (toStatus === 'Accepted') assignments.push('AcceptedAt = GETDATE()');
+
+  // Guarding on the status we read turns a concurrent change into a no-op
+  const result = await update.query(`
+    UPDATE Requests SET ${assignments.join(', ')}
+    WHERE RequestID = @requestId AND Status = @fromStatus
+  `);
+
+  if (result.rowsAffected[0] === 0) {
+    throw httpError(409, `Request ${requestId} changed status while it was being updated`);
+  }
+
+  await recordStatusChange({ requestId, entity: 'Request', fromStatus, toStatus, actor, reason, transaction });
+  afterCommit(transaction, () => broadcastToAdmins('requests', {
+    type: 'request-status',
+    requestId: Number(requestId),
+    fromStatus,
+    toStatus,
+    reason
+  }, { hospitalIds: [hospitalId] }));
+  return fromStatus;
+}
+
+async function transitionDonation(donationId, toStatus, { actor = null, reason = null, transaction = null } = {}) {
+  if (!transaction) {
+    return inTransaction(own => transitionDonation(donationId, toStatus, { actor, reason, transaction: own }));
+  }
+
+  const current = await dbRequest(transaction)
+    .input('donationId', sql.Int, donationId)
+    .query('SELECT Status, RequestID, SlotID, HospitalID FROM Donations WITH (UPDLOCK, ROWLOCK) WHERE DonationID = @donationId');
+
+  if (current.recordset.length === 0) {
+    throw httpError(404, 'Donation not found');
+  }
+
+  const { Status: fromStatus, RequestID: requestId, SlotID: slotId, HospitalID: hospitalId } = current.recordset[0];
+  if (!(DONATION_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    const err = httpError(409, `Cannot change donation from ${fromStatus} to ${toStatus}`);
+    err.currentStatus = fromStatus;
+    throw err;
+  }
+
+  const result = await dbRequest(transaction)
+    .input('donationId', sql.Int, donationId)
+    .input('fromStatus', sql.NVarChar, fromStatus)
+    .input('toStatus', sql.NVarChar, toStatus)
+    .query(`
+      UPDATE Donations SET Status = @toStatus
+      WHERE DonationID = @donationId AND Status = @fromStatus
+    `);
+
+  if (result.rowsAffected[0] === 0) {
+    throw httpError(409, `Donation ${donationId} changed status while it was being updated`);
+  }
+
+  // A booked appointment that will not be kept goes back on offer
+  if (toStatus === 'Cancelled' && slotId) {
+    await releaseSlot(slotId, transaction);
+  }
+
+  await recordStatusChange({ requestId, donationId, entity: 'Donation', fromStatus, toStatus, actor, reason, transaction });
+  afterCommit(transaction, () => broadcastToAdmins('donations', {
+    type: 'donation-status',
+    donationId: Number(donationId),
+    requestId,
+    fromStatus,
+    toStatus
+  }, { hospitalIds: [hospitalId] }));
+  return fromStatus;
+}
+
+async function recordStatusChange({ requestId, donationId = null, entity, fromStatus, toStatus, actor = null, reason = null, transaction = null }) {
+  await dbRequest(transaction)
+    .input('requestId', sql.Int, requestId)
+    .input('donationId', sql.Int, donationId)
+    .input('entity', sql.NVarChar, entity)
+    .input('fromStatus', sql.NVarChar, fromStatus)
+    .input('toStatus', sql.NVarChar, toStatus)
+    .input('actorUserId', sql.Int, actor ? actor.userId : null)
+    .input('actorRole', sql.NVarChar, actor ? actor.role : 'system')
+    .input('reason', sql.NVarChar, reason)
+    .query(`
+      INSERT INTO RequestStatusHistory (RequestID, DonationID, Entity, FromStatus, ToStatus, ActorUserID, ActorRole, Reason)
+      VALUES (@requestId, @donationId, @entity, @fromStatus, @toStatus, @actorUserId, @actorRole, @reason)
+    `);
+}
+
+// Sends an emergency request to one donor in-app, over the WebSocket and by SMS
+async function notifyDonorOfRequest(donor, request, { reminder = false, transaction = null } = {}) {
+  await dbRequest(transaction)
+    .input('requestId', sql.Int, request.requestId)
+    .input('donorId', sql.Int, donor.DonorID)
+    .query(`
+      IF NOT EXISTS (SELECT 1 FROM RequestAssignments WHERE RequestID = @requestId AND DonorID = @donorId)
+      INSERT INTO RequestAssignments (RequestID, DonorID) VALUES (@requestId, @donorId)
+    `);
+
+  await createNotification(donor.UserID, {
+    type: 'emergency',
+    title: reminder ? 'Reminder: Emergency Blood Request' : 'Emergency Blood Request',
+    message: `Patient ${request.patientName} needs ${request.bloodGroup} ${componentLabel(request.component)} at ${request.hospitalName}` +
+      (request.unitsRequired > 1 ? ` (${request.unitsRequired} units)` : ''),
+    sms: `${reminder ? 'REMINDER - ' : ''}URGENT: Patient ${request.patientName} needs ${request.bloodGroup} ${componentLabel(request.component)} at ${request.hospitalName}. Reply YES ${request.requestId} to donate or NO ${request.requestId} to decline.`,
+    urgency: request.urgencyLevel,
+    requestId: request.requestId
+  }, { transaction });
+
+  afterCommit(transaction, () => sendToUser(donor.UserID, {
+    type: 'emergency',
+    requestId: request.requestId,
+    patientName: request.patientName,
+    bloodGroup: request.bloodGroup,
+    component: request.component || DEFAULT_COMPONENT,
+    hospitalName: request.hospitalName,
+    location: request.location,
+    contactNumber: request.contactNumber,
+    urgencyLevel: request.urgencyLevel,
+    unitsRequired: request.unitsRequired,
+    requiredBy: request.requiredBy,
+    reminder,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+// Returns eligible, available donors who can give the component to the recipient group: best
+// compatibility match first, then highest match score. Without an origin the match score is the
+// reliability score; with one, only donors within radiusKm are kept and nearness is blended in
+// (see DONOR_PROXIMITY_WEIGHT).
+async function findCompatibleDonors(bloodGroup, {
+  component = DEFAULT_COMPONENT,
+  exactOnly = false,
+  origin = null,
+  radiusKm = DEFAULT_SEARCH_RADIUS_KM
+} = {}) {
+  const compatibleGroups = getCompatibleDonorGroups(bloodGroup, component)
+    .filter(group => !exactOnly || group.rule === 'exact-match');
+
+  const request = pool.request();
+  const groupParams = addListInputs(request, 'group', sql.VarChar, compatibleGroups.map(group => group.bloodGroup));
+
+  const result = await request.query(`
+    SELECT
+      d.DonorID AS id,
+      u.UserID,
+      u.FullName AS fullName,
+      u.BloodGroup,
+      u.PhoneNumber AS phoneNumber,
+      d.Gender,
+      d.LastDonationDate,
+      d.LastDonationComponent,
+      d.Latitude,
+      d.Longitude
+    FROM Donors d
+    JOIN Users u ON d.UserID = u.UserID
+    WHERE u.BloodGroup IN (${groupParams})
+      AND d.Availability = 1
+  `);
+
+  const deferrals = await getActiveDeferrals(result.recordset.map(donor => donor.id));
+  const eligibleDonors = result.recordset.filter(donor =>
+    evaluateEligibility(donor, deferrals.get(donor.id), new Date(), component).eligible
+  );
+
+  const candidates = origin ? withinRadius(eligibleDonors, origin, radiusKm) : eligibleDonors;
+  const reliability = await getReliabilityScores(candidates.map(donor => donor.id));
+
+  const donors = candidates
+    .map(donor => {
+      const match = compatibleGroups.find(group => group.bloodGroup === donor.BloodGroup);
+      const { score, breakdown } = reliability.get(donor.id);
+      const matchScore = origin
+        ? Math.round(score * (1 - DONOR_PROXIMITY_WEIGHT) + (1 - donor.distanceKm / radiusKm) * 100 * DONOR_PROXIMITY_WEIGHT)
+        : score;
+      return {
+        ...donor,
+        compatibilityRule: match.rule,
+        compatibilityDescription: COMPATIBILITY_RULES[match.rule].description,
+        reliabilityScore: score,
+        reliability: breakdown,
+        matchScore
+      };
+    })
+    .sort((a, b) =>
+      COMPATIBILITY_RULES[a.compatibilityRule].rank - COMPATIBILITY_RULES[b.compatibilityRule].rank ||
+      b.matchScore - a.matchScore
+    );
+
+  return {
+    compatibleGroups,
+    donors,
+    excludedIneligible: result.recordset.length - eligibleDonors.length
+  };
+}
 
-  } catch (err) {
-    console.error('Registration error:', err);
-    res.status(500).json({ 
-      error: 'Server error during registration',
-      details: err.message 
+function getCompatibilityRule(recipientGroup, donorGroup, component = DEFAULT_COMPONENT) {
+  const { compatibility, universalDonors } = BLOOD_COMPONENTS[component];
+  const compatible = compatibility[recipientGroup] || [];
+  if (!compatible.includes(donorGroup)) return null;
+
+  if (donorGroup === recipientGroup) return 'exact-match';
+  if (universalDonors.includes(donorGroup)) return 'universal-donor';
+
+  const abo = group => group.slice(0, -1);
+  return abo(donorGroup) === abo(recipientGroup) ? 'rh-compatible' : 'abo-compatible';
+}
+
+function normalisePlace(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Gazetteer lookups keyed by normalised name, aliases included
+function buildGazetteerIndex(data) {
+  const index = { pincodes: new Map(Object.entries(data.pincodes)) };
+  ['localities', 'cities'].forEach(section => {
+    index[section] = new Map();
+    Object.entries(data[section]).forEach(([key, entry]) => {
+      [key, ...(entry.aliases || [])].forEach(name => index[section].set(normalisePlace(name), entry));
     });
+  });
+  return index;
+}
+
+// Best coordinates the gazetteer has for an address: pincode first, then a known locality, then the city
+function geocode({ pincode, address, city } = {}) {
+  const pin = String(pincode || '').trim() || (String(address || '').match(/\b\d{6}\b/) || [])[0];
+  if (pin && GAZETTEER_INDEX.pincodes.has(pin)) {
+    const entry = GAZETTEER_INDEX.pincodes.get(pin);
+    return { latitude: entry.lat, longitude: entry.lng, precision: 'pincode' };
   }
-});
 
-// Dashboard Data Endpoint
-app.get('/api/dashboard-data', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+  const parts = [address, ...String(address || '').split(',')].map(normalisePlace).filter(Boolean);
+  for (const part of parts) {
+    const entry = GAZETTEER_INDEX.localities.get(part);
+    if (entry) return { latitude: entry.lat, longitude: entry.lng, precision: 'locality' };
+  }
 
-  const token = authHeader.split(' ')[1];
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+  for (const part of [normalisePlace(city), ...parts]) {
+    const entry = GAZETTEER_INDEX.cities.get(part);
+    if (entry) return { latitude: entry.lat, longitude: entry.lng, precision: 'city' };
+  }
+
+  return null;
+}
+
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+// Great-circle (haversine) distance in km, to one decimal place
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+}
+
+// Keeps donors with coordinates inside the radius, each tagged with distanceKm
+function withinRadius(donors, origin, radiusKm) {
+  return donors
+    .filter(donor => donor.Latitude !== null && donor.Longitude !== null)
+    .map(donor => ({
+      ...donor,
+      distanceKm: distanceKm(origin, { latitude: donor.Latitude, longitude: donor.Longitude })
+    }))
+    .filter(donor => donor.distanceKm <= radiusKm);
+}
+
+// As withinRadius, nearest first
+function rankByDistance(donors, origin, radiusKm) {
+  return withinRadius(donors, origin, radiusKm).sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+// The point a distance search is measured from: a hospital, raw coordinates or a place name.
+// Returns null when the caller asked for no distance ranking.
+async function resolveSearchOrigin({ hospitalId, latitude, longitude, near }) {
+  if (hospitalId) {
+    const result = await pool.request()
+      .input('hospitalId', sql.Int, hospitalId)
+      .query('SELECT Name, Latitude, Longitude FROM Hospitals WHERE HospitalID = @hospitalId');
+
+    const hospital = result.recordset[0];
+    if (!hospital) {
+      throw httpError(404, 'Hospital not found');
     }
+    if (hospital.Latitude === null || hospital.Longitude === null) {
+      throw httpError(400, `${hospital.Name} has no coordinates; update its address or set them directly`);
+    }
+    return { latitude: hospital.Latitude, longitude: hospital.Longitude, label: hospital.Name };
+  }
 
-    const [totalDonors, pendingRequests, completedDonations, inventoryResult, activeRequests] = await Promise.all([
-      pool.request().query(`
-        SELECT COUNT(*) AS count 
-        FROM Donors d
-        JOIN Users u ON d.UserID = u.UserID
-        WHERE d.Availability = 1
-      `),
-      pool.request().query(`
-        SELECT COUNT(*) AS count 
-        FROM Requests 
-        WHERE Status = 'Pending'
-      `),
-      pool.request().query(`
-        SELECT COUNT(*) AS count 
-        FROM Donations 
-        WHERE Status = 'Completed'
-          AND DonationDate >= DATEADD(month, -1, GETDATE())
-      `),
-      pool.request().query(`
-        SELECT 
-          BloodGroup,
-          UnitsAvailable,
-          LastUpdated,
-          Hospital
-        FROM BloodInventory
-      `),
-      pool.request().query(`
-        SELECT TOP 10
-          r.RequestID AS id,
-          r.PatientName,
-          r.BloodGroup,
-          r.DonorName,
-          r.Status,
-          FORMAT(r.RequestDate, 'yyyy-MM-dd HH:mm') AS requestDate,
-          r.HospitalName,
-          r.Location,
-          r.ContactNumber
-        FROM Requests r
-        WHERE r.Status IN ('Pending', 'Accepted')
-        ORDER BY 
-          CASE WHEN r.UrgencyLevel = 'Critical' THEN 0
-               WHEN r.UrgencyLevel = 'High' THEN 1
-               WHEN r.UrgencyLevel = 'Medium' THEN 2
-               ELSE 3 END,
-          r.RequestDate DESC
-      `)
-    ]);
+  if (latitude !== undefined && longitude !== undefined) {
+    const point = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    if (!isValidCoordinate(point.latitude, point.longitude)) {
+      throw httpError(400, 'Invalid latitude or longitude');
+    }
+    return { ...point, label: `${point.latitude}, ${point.longitude}` };
+  }
 
-    const allBloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-    const inventory = allBloodTypes.map(bloodType => {
-      const existing = inventoryResult.recordset.find(item => item.BloodGroup === bloodType);
-      return {
-        bloodGroup: bloodType,
-        unitsAvailable: existing ? existing.UnitsAvailable : 0,
-        lastUpdated: existing ? existing.LastUpdated : new Date().toISOString(),
-        hospital: existing ? existing.Hospital : ''
-      };
+  if (near) {
+    const point = geocode({ address: near, city: near });
+    if (!point) {
+      throw httpError(400, `Unknown place: ${near}`);
+    }
+    return { latitude: point.latitude, longitude: point.longitude, label: near };
+  }
+
+  return null;
+}
+
+// Explicit coordinates win; otherwise the address is geocoded from the gazetteer
+function locateAddress({ address, city, pincode, latitude, longitude }) {
+  if (latitude !== undefined && latitude !== null && longitude !== undefined && longitude !== null) {
+    const point = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    if (!isValidCoordinate(point.latitude, point.longitude)) {
+      throw httpError(400, 'Invalid latitude or longitude');
+    }
+    return { ...point, precision: 'exact' };
+  }
+  return geocode({ address, city, pincode });
+}
+
+async function setDonorLocation(donorId, location) {
+  const point = locateAddress(location);
+  if (!point) return null;
+
+  await pool.request()
+    .input('donorId', sql.Int, donorId)
+    .input('address', sql.NVarChar, location.address || null)
+    .input('city', sql.NVarChar, location.city || null)
+    .input('pincode', sql.NVarChar, location.pincode || null)
+    .input('latitude', sql.Decimal(9, 6), point.latitude)
+    .input('longitude', sql.Decimal(9, 6), point.longitude)
+    .input('precision', sql.NVarChar, point.precision)
+    .query(`
+      UPDATE Donors
+      SET
+        Address = COALESCE(@address, Address),
+        City = COALESCE(@city, City),
+        Pincode = COALESCE(@pincode, Pincode),
+        Latitude = @latitude,
+        Longitude = @longitude,
+        LocationPrecision = @precision
+      WHERE DonorID = @donorId
+    `);
+
+  return point;
+}
+
+// Geocodes a hospital from its stored address, for hospitals registered before coordinates were kept
+async function setHospitalLocation(hospitalId) {
+  const result = await pool.request()
+    .input('hospitalId', sql.Int, hospitalId)
+    .query('SELECT Address, City, Pincode FROM Hospitals WHERE HospitalID = @hospitalId');
+
+  const hospital = result.recordset[0];
+  if (!hospital) return null;
+
+  const point = geocode({ address: hospital.Address, city: hospital.City, pincode: hospital.Pincode });
+  if (!point) return null;
+
+  await pool.request()
+    .input('hospitalId', sql.Int, hospitalId)
+    .input('latitude', sql.Decimal(9, 6), point.latitude)
+    .input('longitude', sql.Decimal(9, 6), point.longitude)
+    .query('UPDATE Hospitals SET Latitude = @latitude, Longitude = @longitude WHERE HospitalID = @hospitalId');
+
+  return point;
+}
+
+// Donors are asked for "blood" unless the request is for a separated or apheresis component
+function componentLabel(component) {
+  return !component || component === DEFAULT_COMPONENT ? 'blood' : BLOOD_COMPONENTS[component].label;
+}
+
+function getCompatibleDonorGroups(recipientGroup, component = DEFAULT_COMPONENT) {
+  return (BLOOD_COMPONENTS[component].compatibility[recipientGroup] || [])
+    .map(bloodGroup => ({ bloodGroup, rule: getCompatibilityRule(recipientGroup, bloodGroup, component) }))
+    .sort((a, b) => COMPATIBILITY_RULES[a.rule].rank - COMPATIBILITY_RULES[b.rule].rank);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Days a donor must wait after giving lastComponent before giving nextComponent
+function donationIntervalDays(lastComponent, nextComponent, gender) {
+  const last = BLOOD_COMPONENTS[BLOOD_COMPONENTS[lastComponent] ? BLOOD_COMPONENTS[lastComponent].collectedAs : DEFAULT_COMPONENT];
+  const next = BLOOD_COMPONENTS[BLOOD_COMPONENTS[nextComponent].collectedAs];
+  if (last.donationIntervalDays === null) {
+    return DONATION_INTERVAL_DAYS[gender] || Math.max(...Object.values(DONATION_INTERVAL_DAYS));
+  }
+  return Math.max(last.donationIntervalDays, next.donationIntervalDays || 0);
+}
+
+// Decides whether a donor may give blood now, and if not, when they next can.
+// `component` is what the donor would give next, which decides how long they must wait since their last donation:
+// whole blood costs red cells, so anything after it waits the full gap; after apheresis the longer of the
+// two components' own recovery gaps applies.
+function evaluateEligibility(donor, deferrals = [], asOf = new Date(), component = DEFAULT_COMPONENT) {
+  const permanent = deferrals.find(deferral => deferral.DeferralType === 'Permanent');
+  if (permanent) {
+    return {
+      eligible: false,
+      status: 'permanently-deferred',
+      reason: permanent.Reason,
+      nextEligibleDate: null
+    };
+  }
+
+  let status = 'eligible';
+  let reason = null;
+  let nextEligibleDate = null;
+
+  if (donor.LastDonationDate) {
+    const lastComponent = BLOOD_COMPONENTS[donor.LastDonationComponent] || BLOOD_COMPONENTS[DEFAULT_COMPONENT];
+    const interval = donationIntervalDays(donor.LastDonationComponent, component, donor.Gender);
+    nextEligibleDate = addDays(donor.LastDonationDate, interval);
+    status = 'donation-interval';
+    reason = `Minimum gap of ${interval} days between a ${lastComponent.label} donation and giving ${BLOOD_COMPONENTS[component].label}`;
+  }
+
+  deferrals
+    .filter(deferral => deferral.DeferralType === 'Temporary')
+    .forEach(deferral => {
+      const endDate = new Date(deferral.EndDate);
+      if (!nextEligibleDate || endDate > nextEligibleDate) {
+        nextEligibleDate = endDate;
+        status = 'temporarily-deferred';
+        reason = deferral.Reason;
+      }
     });
 
-    res.json({
-      success: true,
-      totalDonors: totalDonors.recordset[0].count,
-      pendingRequests: pendingRequests.recordset[0].count,
-      completedDonations: completedDonations.recordset[0].count,
-      inventory: inventory,
-      requests: activeRequests.recordset
+  if (!nextEligibleDate || nextEligibleDate <= asOf) {
+    return { eligible: true, status: 'eligible', reason: null, nextEligibleDate: asOf };
+  }
+
+  return { eligible: false, status, reason, nextEligibleDate };
+}
+
+// Scores each donor 0-100 from their history so the dependable, least recently asked donors come first.
+// Returns a Map of DonorID -> { score, breakdown }.
+async function getReliabilityScores(donorIds) {
+  const scores = new Map();
+  if (donorIds.length === 0) return scores;
+
+  // each batch repeats the donor list four times, which still keeps it well under the parameter cap
+  const rows = await queryInBatches(donorIds, async batch => {
+    const request = pool.request();
+    const donorParams = addListInputs(request, 'donor', sql.Int, batch);
+    const result = await request.query(`
+      WITH Asked AS (
+        SELECT
+          a.DonorID,
+          COUNT(*) AS TimesAsked,
+          SUM(CASE WHEN a.Response = 'Accepted' THEN 1 ELSE 0 END) AS TimesAccepted,
+          MAX(a.NotifiedAt) AS LastNotifiedAt
+        FROM RequestAssignments a
+        JOIN Requests r ON a.RequestID = r.RequestID
+        WHERE a.DonorID IN (${donorParams})
+          -- a request still waiting on this donor is not held against them yet
+          AND (a.Response IS NOT NULL OR r.Status <> 'Pending')
+        GROUP BY a.DonorID
+      ),
+      ResponseTimes AS (
+        SELECT DISTINCT
+          DonorID,
+          PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY DATEDIFF(second, NotifiedAt, RespondedAt))
+            OVER (PARTITION BY DonorID) AS MedianResponseSeconds
+        FROM RequestAssignments
+        WHERE DonorID IN (${donorParams})
+          AND Response IS NOT NULL
+      ),
+      Attendance AS (
+        SELECT
+          dn.DonorID,
+          SUM(CASE WHEN dn.Status = 'Completed' THEN 1 ELSE 0 END) AS DonationsCompleted,
+          -- only a booked donation the donor never turned up for counts; a request that was
+          -- declined, cancelled or expired around them says nothing about the donor
+          SUM(CASE WHEN dn.Status = 'NoShow' THEN 1 ELSE 0 END) AS NoShows
+        FROM Donations dn
+        WHERE dn.DonorID IN (${donorParams})
+        GROUP BY dn.DonorID
+      ),
+      Contacts AS (
+        SELECT DonorID, MAX(ContactedAt) AS LastContactedAt
+        FROM DonorContacts
+        WHERE DonorID IN (${donorParams})
+        GROUP BY DonorID
+      )
+      SELECT
+        d.DonorID,
+        COALESCE(a.TimesAsked, 0) AS TimesAsked,
+        COALESCE(a.TimesAccepted, 0) AS TimesAccepted,
+        rt.MedianResponseSeconds,
+        COALESCE(att.DonationsCompleted, 0) AS DonationsCompleted,
+        COALESCE(att.NoShows, 0) AS NoShows,
+        CASE
+          WHEN c.LastContactedAt IS NULL OR a.LastNotifiedAt > c.LastContactedAt THEN a.LastNotifiedAt
+          ELSE c.LastContactedAt
+        END AS LastContactedAt
+      FROM Donors d
+      LEFT JOIN Asked a ON a.DonorID = d.DonorID
+      LEFT JOIN ResponseTimes rt ON rt.DonorID = d.DonorID
+      LEFT JOIN Attendance att ON att.DonorID = d.DonorID
+      LEFT JOIN Contacts c ON c.DonorID = d.DonorID
+      WHERE d.DonorID IN (${donorParams})
+    `);
+    return result.recordset;
+  });
+
+  const clamp = value => Math.min(1, Math.max(0, value));
+  const now = Date.now();
+
+  rows.forEach(row => {
+    const medianMinutes = row.MedianResponseSeconds === null ? null : row.MedianResponseSeconds / 60;
+    const daysSinceContact = row.LastContactedAt
+      ? Math.floor((now - new Date(row.LastContactedAt)) / (24 * 60 * 60 * 1000))
+      : null;
+
+    // Laplace smoothing keeps a donor with one or two requests from scoring 0 or 100 outright
+    const components = {
+      acceptance: (row.TimesAccepted + 1) / (row.TimesAsked + 2),
+      responseTime: medianMinutes === null
+        ? 0.5
+        : clamp(1 - (medianMinutes - RELIABILITY_FAST_RESPONSE_MINUTES) /
+          (RELIABILITY_SLOW_RESPONSE_MINUTES - RELIABILITY_FAST_RESPONSE_MINUTES)),
+      attendance: (row.DonationsCompleted + 1) / (row.DonationsCompleted + row.NoShows + 2),
+      rest: daysSinceContact === null ? 1 : clamp(daysSinceContact / RELIABILITY_REST_DAYS)
+    };
+
+    const score = Object.entries(RELIABILITY_WEIGHTS)
+      .reduce((total, [component, weight]) => total + components[component] * weight, 0);
+
+    scores.set(row.DonorID, {
+      score: Math.round(score * 100),
+      breakdown: {
+        timesAsked: row.TimesAsked,
+        timesAccepted: row.TimesAccepted,
+        acceptanceRate: row.TimesAsked > 0 ? Math.round(row.TimesAccepted / row.TimesAsked * 100) / 100 : null,
+        medianResponseMinutes: medianMinutes === null ? null : Math.round(medianMinutes * 10) / 10,
+        donationsCompleted: row.DonationsCompleted,
+        noShows: row.NoShows,
+        daysSinceLastContact: daysSinceContact,
+        components: Object.fromEntries(
+          Object.entries(components).map(([component, value]) => [component, Math.round(value * 100) / 100])
+        ),
+        weights: RELIABILITY_WEIGHTS
+      }
     });
+  });
 
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching dashboard data',
-      error: error.message
+  return scores;
+}
+
+// How far each request has got: completed donations plus stock issued against it, with donations
+// still scheduled counted separately. Returns a Map of RequestID -> progress.
+async function getRequestProgress(requestIds, transaction) {
+  const progress = new Map();
+  if (requestIds.length === 0) return progress;
+
+  const rows = await queryInBatches(requestIds, async batch => {
+    const request = dbRequest(transaction);
+    const requestParams = addListInputs(request, 'request', sql.Int, batch);
+    const result = await request.query(`
+      SELECT
+        r.RequestID,
+        r.UnitsRequired,
+        (SELECT COUNT(*) FROM Donations dn WHERE dn.RequestID = r.RequestID AND dn.Status = 'Completed') AS UnitsDonated,
+        (SELECT COUNT(*) FROM Donations dn WHERE dn.RequestID = r.RequestID AND dn.Status = 'Scheduled') AS UnitsScheduled,
+        (
+          -- a bag collected from one of this request's own donations is already counted as donated
+          SELECT COUNT(*)
+          FROM UnitIssues i
+          JOIN BloodUnits b ON i.UnitID = b.UnitID
+          LEFT JOIN Donations src ON b.DonationID = src.DonationID
+          WHERE i.RequestID = r.RequestID
+            AND (src.RequestID IS NULL OR src.RequestID <> r.RequestID)
+        ) AS UnitsIssued
+      FROM Requests r
+      WHERE r.RequestID IN (${requestParams})
+    `);
+    return result.recordset;
+  });
+
+  rows.forEach(row => {
+    const unitsFulfilled = row.UnitsDonated + row.UnitsIssued;
+    progress.set(row.RequestID, {
+      unitsRequired: row.UnitsRequired,
+      unitsDonated: row.UnitsDonated,
+      unitsIssued: row.UnitsIssued,
+      unitsFulfilled,
+      unitsScheduled: row.UnitsScheduled,
+      unitsOutstanding: Math.max(row.UnitsRequired - unitsFulfilled - row.UnitsScheduled, 0),
+      progress: `${unitsFulfilled} of ${row.UnitsRequired} fulfilled`
     });
-  }
-});
+  });
 
-// Find Donors by Blood Group
-app.post('/api/find-donors-by-group', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+  return progress;
+}
 
-  const token = authHeader.split(' ')[1];
-  const { bloodGroup } = req.body;
+// Completes the request once donations and issued stock cover every unit it needs.
+// Returns the progress, with completed set when this call closed the request.
+async function completeRequestIfFulfilled(requestId, { actor = null, transaction = null } = {}) {
+  const progress = (await getRequestProgress([requestId], transaction)).get(Number(requestId));
+  if (progress.unitsFulfilled < progress.unitsRequired) {
+    return { ...progress, completed: false };
+  }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!bloodGroup) {
-      return res.status(400).json({ error: 'Blood group is required' });
+    await transitionRequest(requestId, 'Completed', {
+      actor,
+      reason: `All ${progress.unitsRequired} unit(s) fulfilled`,
+      transaction
+    });
+  } catch (err) {
+    // Already completed, or closed some other way
+    if (err.statusCode !== 409) throw err;
+    return { ...progress, completed: false };
+  }
+  return { ...progress, completed: true };
+}
+
+// Checks answers against the current questionnaire and applies SCREENING_RULES. Any permanent
+// rule defers for good; otherwise the longest temporary deferral wins.
+function evaluateScreening(version, answers, { component = DEFAULT_COMPONENT } = {}) {
+  if (Number(version) !== SCREENING_QUESTIONNAIRE_VERSION) {
+    throw httpError(400, `Questionnaire version ${version} is not in use; answer version ${SCREENING_QUESTIONNAIRE_VERSION}`);
+  }
+  if (!answers || typeof answers !== 'object') {
+    throw httpError(400, 'Screening answers are required');
+  }
+
+  const cleaned = {};
+  SCREENING_QUESTIONNAIRES[SCREENING_QUESTIONNAIRE_VERSION].forEach(question => {
+    const value = answers[question.id];
+    if (value === undefined || value === null || value === '') {
+      if (!question.optional) throw httpError(400, `An answer to ${question.id} is required`);
+      cleaned[question.id] = null;
+      return;
     }
 
-    const result = await pool.request()
-      .input('bloodGroup', sql.VarChar, bloodGroup)
+    if (question.type === 'boolean' && typeof value !== 'boolean') {
+      throw httpError(400, `${question.id} must be true or false`);
+    }
+    if (question.type === 'number' && !(Number(value) >= 0)) {
+      throw httpError(400, `${question.id} must be a number`);
+    }
+    if (question.type === 'choices' && ![].concat(value).every(option => question.options.includes(option))) {
+      throw httpError(400, `${question.id} must be chosen from ${question.options.join(', ')}`);
+    }
+
+    cleaned[question.id] = question.type === 'number' ? Number(value)
+      : question.type === 'choices' ? [].concat(value)
+        : value;
+  });
+
+  const applied = SCREENING_RULES.filter(rule => rule.applies(cleaned, component));
+  const reasons = applied.map(rule => rule.reason);
+
+  if (applied.some(rule => rule.days === null)) {
+    return { answers: cleaned, outcome: 'PermanentDeferral', reasons, deferUntil: null };
+  }
+  if (applied.length > 0) {
+    const days = Math.max(...applied.map(rule => typeof rule.days === 'function' ? rule.days(cleaned) : rule.days));
+    return { answers: cleaned, outcome: 'TemporaryDeferral', reasons, deferUntil: addDays(new Date(), days) };
+  }
+  return { answers: cleaned, outcome: 'Eligible', reasons, deferUntil: null };
+}
+
+// Stores a completed questionnaire, deferring the donor when the rules say so.
+// Pass a transaction to keep the screening only if the caller's change commits.
+async function recordScreening(donorId, { requestId = null, version, answers }, transaction = null) {
+  if (!transaction) {
+    return inTransaction(own => recordScreening(donorId, { requestId, version, answers }, own));
+  }
+
+  let component = DEFAULT_COMPONENT;
+  if (requestId) {
+    const requestResult = await dbRequest(transaction)
+      .input('requestId', sql.Int, requestId)
+      .query('SELECT Component FROM Requests WHERE RequestID = @requestId');
+    if (requestResult.recordset.length === 0) {
+      throw httpError(404, 'Request not found');
+    }
+    component = requestResult.recordset[0].Component;
+  }
+
+  const screening = evaluateScreening(version, answers, { component });
+
+  let deferralId = null;
+  if (screening.outcome !== 'Eligible') {
+    const deferral = await dbRequest(transaction)
+      .input('donorId', sql.Int, donorId)
+      .input('type', sql.NVarChar, screening.outcome === 'PermanentDeferral' ? 'Permanent' : 'Temporary')
+      .input('reason', sql.NVarChar, `Health screening: ${screening.reasons.join('; ')}`.slice(0, 255))
+      .input('endDate', sql.DateTime, screening.deferUntil)
       .query(`
-        SELECT 
-          d.DonorID AS id,
-          u.FullName AS fullName,
-          u.BloodGroup,
-          u.PhoneNumber AS phoneNumber
-        FROM Donors d
-        JOIN Users u ON d.UserID = u.UserID
-        WHERE u.BloodGroup = @bloodGroup
-          AND d.Availability = 1
+        INSERT INTO DonorDeferrals (DonorID, DeferralType, Reason, EndDate)
+        OUTPUT INSERTED.DeferralID
+        VALUES (@donorId, @type, @reason, @endDate)
       `);
+    deferralId = deferral.recordset[0].DeferralID;
+  }
+
+  const result = await dbRequest(transaction)
+    .input('donorId', sql.Int, donorId)
+    .input('requestId', sql.Int, requestId)
+    .input('version', sql.Int, SCREENING_QUESTIONNAIRE_VERSION)
+    .input('answers', sql.NVarChar(sql.MAX), JSON.stringify(screening.answers))
+    .input('outcome', sql.NVarChar, screening.outcome)
+    .input('reasons', sql.NVarChar(sql.MAX), JSON.stringify(screening.reasons))
+    .input('deferralId', sql.Int, deferralId)
+    .query(`
+      INSERT INTO DonorScreenings (DonorID, RequestID, QuestionnaireVersion, Answers, Outcome, Reasons, DeferralID)
+      OUTPUT INSERTED.ScreeningID, INSERTED.CompletedAt
+      VALUES (@donorId, @requestId, @version, @answers, @outcome, @reasons, @deferralId)
+    `);
+
+  await dbRequest(transaction)
+    .input('donorId', sql.Int, donorId)
+    .input('healthStatus', sql.NVarChar, SCREENING_HEALTH_STATUS[screening.outcome])
+    .query('UPDATE Donors SET HealthStatus = @healthStatus WHERE DonorID = @donorId');
+
+  return {
+    id: result.recordset[0].ScreeningID,
+    version: SCREENING_QUESTIONNAIRE_VERSION,
+    outcome: screening.outcome,
+    reasons: screening.reasons,
+    deferUntil: screening.deferUntil,
+    completedAt: result.recordset[0].CompletedAt
+  };
+}
+
+// The donor's most recent screening that still counts for a request: answered for it, or
+// for no request in particular, on the current questionnaire within SCREENING_VALID_HOURS
+async function getLatestScreening(donorId, { requestId = null, component = DEFAULT_COMPONENT } = {}, transaction) {
+  const result = await dbRequest(transaction)
+    .input('donorId', sql.Int, donorId)
+    .input('requestId', sql.Int, requestId)
+    .input('version', sql.Int, SCREENING_QUESTIONNAIRE_VERSION)
+    .input('hours', sql.Int, SCREENING_VALID_HOURS)
+    .input('defaultComponent', sql.NVarChar, DEFAULT_COMPONENT)
+    .query(`
+      SELECT TOP 1
+        s.ScreeningID, s.Outcome, s.Reasons, s.DeferralID, s.QuestionnaireVersion, s.Answers,
+        COALESCE(sr.Component, @defaultComponent) AS ScreenedComponent
+      FROM DonorScreenings s
+      LEFT JOIN Requests sr ON s.RequestID = sr.RequestID
+      WHERE s.DonorID = @donorId
+        AND (s.RequestID = @requestId OR s.RequestID IS NULL)
+        AND s.QuestionnaireVersion = @version
+        AND s.CompletedAt > DATEADD(hour, -@hours, GETDATE())
+      ORDER BY s.CompletedAt DESC, s.ScreeningID DESC
+    `);
+  return result.recordset[0] ? screeningFor(result.recordset[0], component) : null;
+}
+
+// A stored outcome only holds for the component it was screened against (whole blood when
+// answered with no request); for any other component the stored answers are evaluated again
+function screeningFor(screening, component) {
+  if (screening.ScreenedComponent === component) return screening;
+
+  const evaluation = evaluateScreening(screening.QuestionnaireVersion, JSON.parse(screening.Answers), { component });
+  return {
+    ...screening,
+    Outcome: evaluation.outcome,
+    Reasons: JSON.stringify(evaluation.reasons),
+    ScreenedComponent: component
+  };
+}
+
+// The screening a donation was accepted on, with its questions, for the medical officer to review
+async function getDonationScreening(donationId, transaction) {
+  const result = await dbRequest(transaction)
+    .input('donationId', sql.Int, donationId)
+    .query(`
+      SELECT
+        s.ScreeningID AS id,
+        s.QuestionnaireVersion AS version,
+        s.Answers AS answers,
+        s.Outcome AS outcome,
+        s.Reasons AS reasons,
+        s.CompletedAt AS completedAt,
+        s.ReviewedAt AS reviewedAt,
+        u.FullName AS reviewedBy
+      FROM Donations dn
+      JOIN DonorScreenings s ON dn.ScreeningID = s.ScreeningID
+      LEFT JOIN Users u ON s.ReviewedBy = u.UserID
+      WHERE dn.DonationID = @donationId
+    `);
+
+  const screening = result.recordset[0];
+  if (!screening) return null;
 
-    res.json({
-      success: true,
-      donors: result.recordset
-    });
+  return {
+    ...screening,
+    answers: JSON.parse(screening.answers),
+    reasons: JSON.parse(screening.reasons || '[]'),
+    questions: SCREENING_QUESTIONNAIRES[screening.version] || []
+  };
+}
 
-  } catch (error) {
-    console.error('Error finding donors:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error searching donors',
-      error: error.message
-    });
+// Returns a Map of DonorID -> active (unexpired, unrevoked) deferrals
+async function getActiveDeferrals(donorIds) {
+  const deferrals = new Map();
+  if (donorIds.length === 0) return deferrals;
+
+  const rows = await queryInBatches(donorIds, async batch => {
+    const request = pool.request();
+    const donorParams = addListInputs(request, 'donor', sql.Int, batch);
+    const result = await request.query(`
+      SELECT DeferralID, DonorID, DeferralType, Reason, StartDate, EndDate
+      FROM DonorDeferrals
+      WHERE DonorID IN (${donorParams})
+        AND RevokedAt IS NULL
+        AND (DeferralType = 'Permanent' OR EndDate > GETDATE())
+    `);
+    return result.recordset;
+  });
+
+  rows.forEach(deferral => {
+    if (!deferrals.has(deferral.DonorID)) deferrals.set(deferral.DonorID, []);
+    deferrals.get(deferral.DonorID).push(deferral);
+  });
+  return deferrals;
+}
+
+// SQL Server allows at most 2100 parameters per statement, so long IN lists are queried in batches
+const IN_LIST_BATCH_SIZE = 400;
+
+// Calls runBatch(values) once per batch of IN_LIST_BATCH_SIZE values and concatenates the recordsets
+async function queryInBatches(values, runBatch) {
+  const rows = [];
+  for (let start = 0; start < values.length; start += IN_LIST_BATCH_SIZE) {
+    rows.push(...await runBatch(values.slice(start, start + IN_LIST_BATCH_SIZE)));
   }
-});
+  return rows;
+}
 
-// Emergency Request Endpoint
-app.post('/api/emergency-request', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+// Adds one input per value and returns the placeholder list for an IN (...) clause
+function addListInputs(request, prefix, type, values) {
+  return values.map((value, index) => {
+    request.input(`${prefix}${index}`, type, value);
+    return `@${prefix}${index}`;
+  }).join(', ');
+}
 
-  const token = authHeader.split(' ')[1];
-  const { patientName, bloodGroup, donorId, hospitalName, location, contactNumber } = req.body;
+function notificationCategory(type) {
+  return Object.keys(NOTIFICATION_CATEGORIES).find(category => NOTIFICATION_CATEGORIES[category].types.includes(type)) || null;
+}
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+// A user's contact details, channels per category and quiet hours (donors only); null if no such user
+async function getNotificationPreferences(userId, transaction = null) {
+  const result = await dbRequest(transaction)
+    .input('userId', sql.Int, userId)
+    .query(`
+      SELECT u.Email, u.PhoneNumber, d.DonorID, d.QuietHoursStart, d.QuietHoursEnd
+      FROM Users u
+      LEFT JOIN Donors d ON d.UserID = u.UserID
+      WHERE u.UserID = @userId
+    `);
 
-    const donorResult = await pool.request()
-      .input('donorId', sql.Int, donorId)
-      .query(`
-        SELECT u.UserID, u.FullName, u.Email, u.PhoneNumber, u.BloodGroup
-        FROM Users u
-        JOIN Donors d ON u.UserID = d.UserID
-        WHERE d.DonorID = @donorId
-      `);
+  const user = result.recordset[0];
+  if (!user) return null;
+
+  const chosen = await dbRequest(transaction)
+    .input('userId', sql.Int, userId)
+    .query('SELECT Category, Channels FROM NotificationPreferences WHERE UserID = @userId');
+  const channelsByCategory = new Map(chosen.recordset.map(row => [row.Category, row.Channels.split(',').filter(Boolean)]));
+
+  return {
+    email: user.Email,
+    phoneNumber: user.PhoneNumber,
+    channels: Object.fromEntries(Object.entries(NOTIFICATION_CATEGORIES).map(([category, defaults]) => [
+      category,
+      channelsByCategory.get(category) || defaults.channels
+    ])),
+    quietHours: user.DonorID === null
+      ? null
+      : user.QuietHoursStart === null
+        ? { ...DEFAULT_QUIET_HOURS, isDefault: true }
+        : { start: user.QuietHoursStart, end: user.QuietHoursEnd, isDefault: false }
+  };
+}
 
-    const donor = donorResult.recordset[0];
-    if (!donor) {
-      return res.status(404).json({ error: 'Donor not found' });
-    }
+// Saves the channels for one category; null clears the choice so the defaults apply again
+async function setChannelPreference(userId, category, channels) {
+  await pool.request()
+    .input('userId', sql.Int, userId)
+    .input('category', sql.NVarChar, category)
+    .input('channels', sql.NVarChar, channels === null ? null : [...new Set(channels)].join(','))
+    .query(`
+      DELETE FROM NotificationPreferences WHERE UserID = @userId AND Category = @category;
+
+      IF @channels IS NOT NULL
+      INSERT INTO NotificationPreferences (UserID, Category, Channels) VALUES (@userId, @category, @channels);
+    `);
+}
 
-    const requestResult = await pool.request()
-      .input('patientName', sql.NVarChar, patientName)
-      .input('bloodGroup', sql.NVarChar, bloodGroup)
-      .input('donorId', sql.Int, donorId)
-      .input('donorName', sql.NVarChar, donor.FullName)
-      .input('hospitalName', sql.NVarChar, hospitalName)
-      .input('location', sql.NVarChar, location)
-      .input('contactNumber', sql.NVarChar, contactNumber)
-      .query(`
-        INSERT INTO Requests (
-          PatientName, 
-          BloodGroup, 
-          DonorID,
-          DonorName,
-          HospitalName,
-          Location,
-          ContactNumber,
-          UrgencyLevel,
-          Status
-        ) 
-        OUTPUT INSERTED.RequestID
-        VALUES (
-          @patientName, 
-          @bloodGroup, 
-          @donorId,
-          @donorName,
-          @hospitalName,
-          @location,
-          @contactNumber,
-          'Critical',
-          'Pending'
-        )
-      `);
+// Minutes until quiet hours end, or 0 outside them
+function quietHoursDelayMinutes(quietHours, date = new Date()) {
+  const clock = localClock(date);
+  if (!quietHours || !inQuietHours(quietHours.start, quietHours.end, clock.hour)) return 0;
+  return ((quietHours.end - clock.hour + 24) % 24) * 60 - clock.minute;
+}
 
-    const requestId = requestResult.recordset[0].RequestID;
+function unsubscribeToken(userId, category) {
+  return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(`unsubscribe:${userId}:${category}`).digest('hex');
+}
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 30 * 60000);
+function unsubscribeTokenMatches(userId, category, token) {
+  const expected = Buffer.from(unsubscribeToken(userId, category));
+  const actual = Buffer.from(String(token || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
-    await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .input('otp', sql.VarChar, otp)
-      .input('otpExpiry', sql.DateTime, otpExpiry)
-      .query(`
-        UPDATE Requests 
-        SET OTP = @otp, OTPExpiry = @otpExpiry 
-        WHERE RequestID = @requestId
-      `);
+// The user, category and token an unsubscribe link carries, or null if they don't check out
+function readUnsubscribeLink(params) {
+  const userId = parseInt(params.user, 10);
+  const { category, token } = params;
 
-    await createNotification(donor.UserID, {
-      type: 'emergency',
-      title: 'Emergency Blood Request',
-      message: `Patient ${patientName} needs ${bloodGroup} blood at ${hospitalName}`,
-      requestId: requestId
-    });
+  if (!userId || !Object.hasOwn(NOTIFICATION_CATEGORIES, category) || !unsubscribeTokenMatches(userId, category, token)) {
+    return null;
+  }
+  return { userId, category, token };
+}
 
-    const ws = connections.get(donor.UserID.toString());
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        type: 'emergency',
-        requestId,
-        patientName,
-        bloodGroup,
-        hospitalName,
-        location,
-        contactNumber,
-        timestamp: new Date().toISOString()
-      }));
-    }
+function unsubscribeUrl(userId, category) {
+  const base = PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base}/api/unsubscribe?user=${userId}&category=${category}&token=${unsubscribeToken(userId, category)}`;
+}
 
-    try {
-      await twilioClient.messages.create({
-        body: `URGENT: Patient ${patientName} needs ${bloodGroup} blood at ${hospitalName}. Please check your BloodCare app for details.`,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: donor.PhoneNumber
-      });
-    } catch (twilioError) {
-      console.error('Twilio error:', twilioError);
+// The single way to notify a user: stores the in-app notification and queues SMS and email, each only
+// if the user wants that channel for the notification's category. `sms` and `email` override the text
+// for those channels (false skips the channel). SMS and email wait out a donor's quiet hours unless
+// `urgency` is Critical; in-app notifications are silent and go at once. Returns the NotificationID,
+// or null when the user does not take this category in the app.
+async function createNotification(userId, notification, { transaction = null } = {}) {
+  try {
+    let formattedMessage = notification.message;
+    if (notification.type === 'emergency' && notification.requestId) {
+      const request = await dbRequest(transaction)
+        .input('requestId', sql.Int, notification.requestId)
+        .query('SELECT PatientName, BloodGroup, HospitalName FROM Requests WHERE RequestID = @requestId');
+      
+      if (request.recordset.length > 0) {
+        const reqData = request.recordset[0];
+        formattedMessage = `Patient ${reqData.PatientName} needs ${reqData.BloodGroup} blood at ${reqData.HospitalName}`;
+      }
     }
 
-    res.json({
-      success: true,
-      requestId,
-      message: 'Emergency request created and notification sent',
-      donor: {
-        id: donor.UserID,
-        name: donor.FullName,
-        phone: donor.PhoneNumber
-      }
-    });
+    const preferences = await getNotificationPreferences(userId, transaction);
+    if (!preferences) return null;
 
-  } catch (err) {
-    console.error('Emergency request error:', err);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error during emergency request',
-      details: err.message 
-    });
-  }
-});
+    const category = notificationCategory(notification.type);
+    const channels = category ? preferences.channels[category] : ['inapp'];
+    const requestId = notification.requestId || null;
 
-// Cancel Request Endpoint
-app.post('/api/cancel-request', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+    let notificationId = null;
+    if (channels.includes('inapp')) {
+      const result = await dbRequest(transaction)
+        .input('userId', sql.Int, userId)
+        .input('type', sql.VarChar, notification.type)
+        .input('title', sql.VarChar, notification.title)
+        .input('message', sql.VarChar, formattedMessage)
+        .input('requestId', sql.Int, requestId)
+        .query(`
+          INSERT INTO Notifications (UserID, Type, Title, Message, RequestID)
+          OUTPUT INSERTED.NotificationID, INSERTED.Type, INSERTED.Title, INSERTED.Message, INSERTED.RequestID, INSERTED.CreatedAt
+          VALUES (@userId, @type, @title, @message, @requestId)
+        `);
 
-  const token = authHeader.split(' ')[1];
-  const { requestId } = req.body;
+      notificationId = result.recordset[0].NotificationID;
+      await enqueueMessage({
+        channel: 'inapp',
+        userId,
+        requestId,
+        notificationId,
+        purpose: notification.type,
+        subject: notification.title,
+        body: formattedMessage
+      }, transaction);
+    }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    // OTPs and emergency appeals are needed the moment they are sent, so quiet hours never hold them back
+    const timeCritical = notification.urgency === 'Critical' || category === 'emergency' || notification.type === 'otp';
+    const delay = timeCritical ? 0 : quietHoursDelayMinutes(preferences.quietHours);
+    const notBefore = delay > 0 ? new Date(Date.now() + delay * 60 * 1000) : null;
+    const outbound = {
+      sms: { to: preferences.phoneNumber, body: notification.sms === undefined ? `BloodCare: ${notification.message}` : notification.sms },
+      email: { to: preferences.email, body: notification.email === undefined ? notification.message : notification.email }
+    };
+
+    for (const [channel, { to, body }] of Object.entries(outbound)) {
+      if (!channels.includes(channel) || !to || body === false) continue;
+      await enqueueMessage({
+        channel,
+        userId,
+        to,
+        requestId,
+        purpose: notification.type,
+        subject: notification.title,
+        body,
+        sensitive: Boolean(notification.sensitive),
+        notBefore
+      }, transaction);
     }
 
-    await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .query('UPDATE Requests SET Status = \'Rejected\' WHERE RequestID = @requestId');
+    return notificationId;
+  } catch (err) {
+    console.error('Error creating notification:', err);
+    throw err;
+  }
+}
 
-    res.json({
-      success: true,
-      message: 'Request cancelled successfully'
+// Sends an event to admin sockets following its topic, or following one of the hospitals it concerns
+function broadcastToAdmins(topic, message, { hospitalIds = [] } = {}) {
+  const siteTopics = hospitalIds.filter(Boolean).map(id => `hospital:${id}`);
+  connections.forEach(sockets => {
+    sockets.forEach(ws => {
+      if (ws.role !== 'admin') return;
+      if (ws.topics.has(topic) || siteTopics.some(siteTopic => ws.topics.has(siteTopic))) {
+        sendToSocket(ws, { ...message, topic });
+      }
     });
+  });
+}
 
-  } catch (error) {
-    console.error('Error cancelling request:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to cancel request',
-      details: error.message
+// Runs `callback` once a change is visible to others: now, or when its transaction commits.
+// Callbacks share one listener per transaction, so a loop of notifications does not pile up listeners.
+function afterCommit(transaction, callback) {
+  if (!transaction) return callback();
+
+  if (!transaction.afterCommit) {
+    transaction.afterCommit = [];
+    transaction.once('commit', () => transaction.afterCommit.forEach(run => run()));
+  }
+  transaction.afterCommit.push(callback);
+}
+
+function updateSubscriptions(ws, { type, topics }, replyTo) {
+  const requested = [].concat(topics || []);
+  const invalid = requested.filter(topic => !ADMIN_TOPICS.includes(topic) && !/^hospital:\d+$/.test(topic));
+  if (ws.role !== 'admin' || requested.length === 0 || invalid.length > 0) {
+    return sendToSocket(ws, {
+      type: 'error',
+      replyTo,
+      message: ws.role !== 'admin'
+        ? 'Only admins can subscribe to dashboard topics'
+        : `Topics must be from ${ADMIN_TOPICS.join(', ')} or hospital:<id>`
     });
   }
-});
 
-// Verify OTP Endpoint
-app.post('/api/verify-otp', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+  requested.forEach(topic => (type === 'subscribe' ? ws.topics.add(topic) : ws.topics.delete(topic)));
+  sendToSocket(ws, { type: 'subscriptions', replyTo, topics: [...ws.topics] });
+}
 
-  const token = authHeader.split(' ')[1];
-  const { requestId, otp } = req.body;
+function sendToUser(userId, message) {
+  (connections.get(Number(userId)) || []).forEach(ws => sendToSocket(ws, message));
+}
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+// v2 sockets get a typed envelope; v1 sockets get the bare message as before
+function sendToSocket(ws, message) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  if (ws.protocolVersion === WS_PROTOCOL_VERSION) {
+    const { type, ...data } = message;
+    ws.send(JSON.stringify({
+      v: WS_PROTOCOL_VERSION,
+      id: crypto.randomUUID(),
+      type,
+      sentAt: new Date().toISOString(),
+      data
+    }));
+  } else {
+    ws.send(JSON.stringify(message));
+  }
+}
 
-    const result = await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .query(`
-        SELECT OTP, OTPExpiry 
-        FROM Requests 
-        WHERE RequestID = @requestId
-          AND Status = 'Accepted'
-      `);
+function notificationMessage(notification) {
+  return {
+    type: 'notification',
+    notificationId: notification.NotificationID,
+    notificationType: notification.Type,
+    title: notification.Title,
+    message: notification.Message,
+    requestId: notification.RequestID,
+    createdAt: notification.CreatedAt,
+    ackRequired: true
+  };
+}
 
-    if (result.recordset.length === 0) {
-      return res.json({
-        success: false,
-        message: 'Invalid request or request not accepted'
-      });
+// Stored notifications go to v2 sockets as they are created; v1 clients only poll for them
+function pushNotification(userId, notification) {
+  (connections.get(Number(userId)) || []).forEach(ws => {
+    if (ws.protocolVersion === WS_PROTOCOL_VERSION) {
+      sendToSocket(ws, notificationMessage(notification));
     }
+  });
+}
 
-    const { OTP, OTPExpiry } = result.recordset[0];
+// Resends notifications the user has not acknowledged yet, oldest first
+async function replayNotifications(userId, ws) {
+  const result = await pool.request()
+    .input('userId', sql.Int, userId)
+    .input('hours', sql.Int, WS_REPLAY_HOURS)
+    .input('limit', sql.Int, WS_REPLAY_LIMIT)
+    .query(`
+      SELECT TOP (@limit) NotificationID, Type, Title, Message, RequestID, CreatedAt
+      FROM Notifications
+      WHERE UserID = @userId
+        AND DeliveredAt IS NULL
+        AND CreatedAt >= DATEADD(hour, -@hours, GETDATE())
+      ORDER BY CreatedAt, NotificationID
+    `);
 
-    if (OTP !== otp) {
-      return res.json({
-        success: false,
-        message: 'Invalid OTP'
-      });
-    }
+  result.recordset.forEach(notification => sendToSocket(ws, notificationMessage(notification)));
+}
 
-    if (new Date(OTPExpiry) < new Date()) {
-      return res.json({
-        success: false,
-        message: 'OTP has expired'
-      });
-    }
+async function acknowledgeNotifications(userId, notificationIds) {
+  const ids = [].concat(notificationIds || []).map(id => parseInt(id, 10)).filter(id => id > 0);
+  if (ids.length === 0) return;
+
+  await queryInBatches(ids, async batch => {
+    const request = pool.request().input('userId', sql.Int, userId);
+    const idParams = addListInputs(request, 'notification', sql.Int, batch);
+    await request.query(`
+      UPDATE Notifications
+      SET DeliveredAt = GETDATE()
+      WHERE UserID = @userId
+        AND NotificationID IN (${idParams})
+        AND DeliveredAt IS NULL;
+
+      UPDATE Outbox
+      SET Status = 'Delivered', DeliveredAt = GETDATE()
+      WHERE Channel = 'inapp'
+        AND UserID = @userId
+        AND NotificationID IN (${idParams})
+        AND Status <> 'Delivered';
+    `);
+    return [];
+  });
+}
 
-    await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .query('UPDATE Requests SET Status = \'Completed\' WHERE RequestID = @requestId');
+// Sockets that miss a heartbeat are terminated, which also drops them from `connections`
+function checkSocketHeartbeats() {
+  wss.clients.forEach(ws => {
+    if (ws.isAlive === false) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+}
 
-    const requestResult = await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .query(`
-        SELECT DonorID, DonorName, BloodGroup, Location 
-        FROM Requests 
-        WHERE RequestID = @requestId
-      `);
+// Sensitive bodies (OTPs) are kept encrypted in the outbox and only opened by the worker sending them
+const SEALED_BODY_PREFIX = 'sealed:v1:';
 
-    const request = requestResult.recordset[0];
-    
-    await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .input('donorId', sql.Int, request.DonorID)
-      .input('donorName', sql.NVarChar, request.DonorName)
-      .input('bloodGroup', sql.NVarChar, request.BloodGroup)
-      .input('location', sql.NVarChar, request.Location)
-      .query(`
-        INSERT INTO Donations (
-          RequestID,
-          DonorID,
-          DonorName,
-          BloodGroup,
-          Location,
-          Status,
-          DonationDate
-        )
-        VALUES (
-          @requestId,
-          @donorId,
-          @donorName,
-          @bloodGroup,
-          @location,
-          'Completed',
-          GETDATE()
-        )
-      `);
+function outboxKey() {
+  return Buffer.from(crypto.hkdfSync('sha256', OTP_SECRET, '', 'bloodcare-outbox-body', 32));
+}
 
-    await pool.request()
-      .input('bloodGroup', sql.NVarChar, request.BloodGroup)
-      .query(`
-        UPDATE BloodInventory
-        SET UnitsAvailable = UnitsAvailable + 1,
-            LastUpdated = GETDATE()
-        WHERE BloodGroup = @bloodGroup
-      `);
+function sealMessageBody(body) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', outboxKey(), iv);
+  const sealed = Buffer.concat([cipher.update(body, 'utf8'), cipher.final()]);
+  return SEALED_BODY_PREFIX + [iv, cipher.getAuthTag(), sealed].map(part => part.toString('base64')).join(':');
+}
 
-    res.json({
-      success: true,
-      message: 'OTP verified successfully! Donation confirmed.'
-    });
+// Bodies queued before sealing was introduced are returned as they are
+function openMessageBody(body) {
+  if (!body || !body.startsWith(SEALED_BODY_PREFIX)) return body;
 
-  } catch (error) {
-    console.error('Error verifying OTP:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to verify OTP',
-      details: error.message
+  const [iv, tag, sealed] = body.slice(SEALED_BODY_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', outboxKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+}
+
+// Queues a message in the outbox. Pass the caller's transaction so it only goes out if that commits,
+// and notBefore to hold it back until then.
+async function enqueueMessage({
+  channel,
+  userId = null,
+  to = null,
+  requestId = null,
+  notificationId = null,
+  purpose = null,
+  subject = null,
+  body,
+  sensitive = false,
+  notBefore = null
+}, transaction = null) {
+  const result = await dbRequest(transaction)
+    .input('channel', sql.NVarChar, channel)
+    .input('userId', sql.Int, userId)
+    .input('recipient', sql.NVarChar, to)
+    .input('requestId', sql.Int, requestId)
+    .input('notificationId', sql.Int, notificationId)
+    .input('purpose', sql.NVarChar, purpose)
+    .input('subject', sql.NVarChar, subject)
+    .input('body', sql.NVarChar, sensitive ? sealMessageBody(body) : body)
+    .input('sensitive', sql.Bit, sensitive)
+    .input('notBefore', sql.DateTime, notBefore)
+    .query(`
+      INSERT INTO Outbox (Channel, UserID, Recipient, RequestID, NotificationID, Purpose, Subject, Body, Sensitive, NextAttemptAt)
+      OUTPUT INSERTED.MessageID
+      VALUES (
+        @channel, @userId, @recipient, @requestId, @notificationId, @purpose, @subject, @body, @sensitive,
+        COALESCE(@notBefore, GETDATE())
+      )
+    `);
+
+  afterCommit(transaction, runOutbox);
+  return result.recordset[0].MessageID;
+}
+
+// Each channel's sender returns the status the message reached and the provider's id for it
+const OUTBOX_SENDERS = {
+  sms: async message => {
+    const sent = await twilioClient.messages.create({
+      body: message.Body,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: message.Recipient,
+      ...(PUBLIC_BASE_URL ? { statusCallback: `${PUBLIC_BASE_URL}/api/sms/status` } : {})
     });
-  }
-});
+    // Without PUBLIC_BASE_URL Twilio has nowhere to post receipts, so handing the text over is as far as we can follow it
+    const status = PUBLIC_BASE_URL ? SMS_DELIVERY_STATUSES[sent.status] || 'Queued' : 'Sent';
+    return { status, providerMessageId: sent.sid };
+  },
 
-// Donation History Endpoint
-app.get('/api/donation-history', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ 
-      success: false,
-      error: 'Authorization token required' 
-  });
+  // Delivered once the app acknowledges it; with no v2 socket open it waits for replay on reconnect
+  inapp: async message => {
+    const result = await pool.request()
+      .input('notificationId', sql.Int, message.NotificationID)
+      .query('SELECT NotificationID, Type, Title, Message, RequestID, CreatedAt FROM Notifications WHERE NotificationID = @notificationId');
+
+    const online = [...(connections.get(Number(message.UserID)) || [])]
+      .some(ws => ws.protocolVersion === WS_PROTOCOL_VERSION);
+    pushNotification(message.UserID, result.recordset[0]);
+    return { status: online ? 'Sent' : 'Queued' };
+  },
+
+  email: async message => {
+    const category = notificationCategory(message.Purpose);
+    const unsubscribe = category ? unsubscribeUrl(message.UserID, category) : null;
+    const sent = await mailTransport.sendMail({
+      from: EMAIL_FROM,
+      to: message.Recipient,
+      subject: `BloodCare: ${message.Subject}`,
+      text: unsubscribe
+        ? `${message.Body}\n\n--\nTo stop these emails, visit ${unsubscribe}`
+        : message.Body,
+      headers: unsubscribe
+        ? { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : {}
+    });
+    return { status: 'Sent', providerMessageId: sent.messageId };
+  }
+};
 
-  try {
-      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-      if (decoded.role !== 'donor') {
-          return res.status(403).json({ 
-              success: false,
-              error: 'Donor access required' 
-          });
-      }
+let outboxRunning = false;
+let outboxRerun = false;
 
-      const donorResult = await pool.request()
-          .input('userId', sql.Int, decoded.userId)
-          .query('SELECT DonorID FROM Donors WHERE UserID = @userId');
+// Claims due messages and delivers them, until nothing is due. Delivery is at-least-once: a worker
+// that dies after the provider accepted a message but before recording it will send it again.
+async function runOutbox() {
+  if (outboxRunning) {
+    outboxRerun = true;
+    return;
+  }
+  outboxRunning = true;
 
-      if (donorResult.recordset.length === 0) {
-          return res.status(404).json({ 
-              success: false,
-              error: 'Donor profile not found' 
-          });
+  try {
+    do {
+      outboxRerun = false;
+      const claimed = await pool.request()
+        .input('batch', sql.Int, OUTBOX_BATCH_SIZE)
+        .input('lease', sql.Int, OUTBOX_LEASE_MINUTES)
+        .query(`
+          WITH Due AS (
+            SELECT TOP (@batch) *
+            FROM Outbox WITH (ROWLOCK, UPDLOCK, READPAST)
+            WHERE Status IN ('Pending', 'Sending')
+              AND NextAttemptAt <= GETDATE()
+            ORDER BY NextAttemptAt, MessageID
+          )
+          UPDATE Due
+          SET Status = 'Sending', Attempts = Attempts + 1, NextAttemptAt = DATEADD(minute, @lease, GETDATE())
+          OUTPUT
+            INSERTED.MessageID, INSERTED.Channel, INSERTED.UserID, INSERTED.Recipient, INSERTED.RequestID,
+            INSERTED.NotificationID, INSERTED.Purpose, INSERTED.Subject, INSERTED.Body, INSERTED.Attempts
+        `);
+
+      for (const message of claimed.recordset) {
+        await deliverOutboxMessage(message);
       }
+      if (claimed.recordset.length === OUTBOX_BATCH_SIZE) outboxRerun = true;
+    } while (outboxRerun);
+  } catch (err) {
+    console.error('Outbox worker error:', err);
+  } finally {
+    outboxRunning = false;
+  }
+}
 
-      const donorId = donorResult.recordset[0].DonorID;
+async function deliverOutboxMessage(message) {
+  const sender = OUTBOX_SENDERS[message.Channel];
 
-      const result = await pool.request()
-          .input('donorId', sql.Int, donorId)
-          .query(`
-              SELECT 
-                  DonationID as id,
-                  DonationDate as date,
-                  Status,
-                  Location
-              FROM Donations
-              WHERE DonorID = @donorId
-              ORDER BY DonationDate DESC
-          `);
+  try {
+    if (!sender) {
+      throw Object.assign(new Error(`No sender configured for ${message.Channel} messages`), { permanent: true });
+    }
+    const { status, providerMessageId = null } = await sender({ ...message, Body: openMessageBody(message.Body) });
 
-      res.json({
-          success: true,
-          donations: result.recordset
-      });
+    // OTPs and other sensitive texts are not kept once they have been handed over
+    await pool.request()
+      .input('messageId', sql.Int, message.MessageID)
+      .input('status', sql.NVarChar, status)
+      .input('providerMessageId', sql.NVarChar, providerMessageId)
+      .query(`
+        UPDATE Outbox
+        SET
+          Status = @status,
+          ProviderMessageID = @providerMessageId,
+          SentAt = GETDATE(),
+          LastError = NULL,
+          Body = CASE WHEN Sensitive = 1 THEN '[redacted]' ELSE Body END
+        WHERE MessageID = @messageId
+          AND Status = 'Sending'
+      `);
+  } catch (err) {
+    // Twilio 4xx (bad number, unsubscribed recipient) and SMTP 5xx replies will not succeed on retry;
+    // rate limits and temporary SMTP failures might
+    const permanent = err.permanent ||
+      (err.status >= 400 && err.status < 500 && err.status !== 429) ||
+      err.responseCode >= 500;
+    const deadLetter = permanent || message.Attempts >= OUTBOX_MAX_ATTEMPTS;
+    const error = String(err.message || err).slice(0, 1000);
 
-  } catch (error) {
-      console.error('Error fetching donation history:', error);
-      res.status(500).json({
-          success: false,
-          error: 'Failed to fetch donation history',
-          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    await pool.request()
+      .input('messageId', sql.Int, message.MessageID)
+      .input('status', sql.NVarChar, deadLetter ? 'DeadLetter' : 'Pending')
+      .input('error', sql.NVarChar, error)
+      .input('delay', sql.Int, OUTBOX_RETRY_BASE_SECONDS * 2 ** (message.Attempts - 1))
+      .query(`
+        UPDATE Outbox
+        SET
+          Status = @status,
+          LastError = @error,
+          NextAttemptAt = DATEADD(second, @delay, GETDATE()),
+          Body = CASE WHEN @status = 'DeadLetter' AND Sensitive = 1 THEN '[redacted]' ELSE Body END
+        WHERE MessageID = @messageId
+      `);
+
+    if (deadLetter) {
+      console.error(`Outbox message ${message.MessageID} dead-lettered:`, error);
+      broadcastToAdmins('alerts', {
+        type: 'message-dead-lettered',
+        messageId: message.MessageID,
+        channel: message.Channel,
+        purpose: message.Purpose,
+        requestId: message.RequestID,
+        error
       });
+    }
   }
-});
+}
 
-// Notifications Endpoint
-app.get('/api/notifications', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ 
-      success: false,
-      error: 'Authorization token required' 
-  });
+// Background Jobs
+let escalationRunning = false;
+
+// Units of request r not yet covered by a completed or scheduled donation or by issued stock, as
+// getRequestProgress counts them. An accepted request whose donor cancels or fails to turn up is short again.
+const OUTSTANDING_UNITS_SQL = `(
+  r.UnitsRequired
+  - (SELECT COUNT(*) FROM Donations dn WHERE dn.RequestID = r.RequestID AND dn.Status IN ('Completed', 'Scheduled'))
+  - (
+    SELECT COUNT(*)
+    FROM UnitIssues i
+    JOIN BloodUnits b ON i.UnitID = b.UnitID
+    LEFT JOIN Donations src ON b.DonationID = src.DonationID
+    WHERE i.RequestID = r.RequestID
+      AND (src.RequestID IS NULL OR src.RequestID <> r.RequestID)
+  )
+)`;
+
+// Moves every overdue pending request one escalation step further
+async function runEscalations() {
+  if (escalationRunning) return;
+  escalationRunning = true;
 
   try {
-      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    const due = await pool.request()
+      .input('critical', sql.Int, ESCALATION_TIMEOUT_MINUTES.Critical)
+      .input('high', sql.Int, ESCALATION_TIMEOUT_MINUTES.High)
+      .input('medium', sql.Int, ESCALATION_TIMEOUT_MINUTES.Medium)
+      .input('low', sql.Int, ESCALATION_TIMEOUT_MINUTES.Low)
+      .input('maxLevel', sql.Int, ESCALATION_STEPS.length)
+      .query(`
+        SELECT
+          r.RequestID, r.PatientName, r.BloodGroup, r.Component, r.HospitalID, r.HospitalName, r.Location,
+          r.ContactNumber, r.UrgencyLevel, r.UnitsRequired, r.RequiredBy, r.EscalationLevel
+        FROM Requests r
+        WHERE r.Status IN ('Pending', 'Accepted')
+          AND ${OUTSTANDING_UNITS_SQL} > 0
+          AND r.EscalationLevel < @maxLevel
+          AND DATEDIFF(minute, COALESCE(r.LastEscalatedAt, r.RequestDate), GETDATE()) >=
+            CASE r.UrgencyLevel
+              WHEN 'Critical' THEN @critical
+              WHEN 'High' THEN @high
+              WHEN 'Medium' THEN @medium
+              ELSE @low
+            END
+      `);
 
-      const result = await pool.request()
-          .input('userId', sql.Int, decoded.userId)
-          .query(`
-              SELECT 
-                  NotificationID AS id,
-                  Type,
-                  Title,
-                  Message,
-                  RequestID,
-                  IsRead,
-                  CONVERT(varchar, CreatedAt, 120) AS timestamp
-              FROM Notifications
-              WHERE UserID = @userId
-              ORDER BY CreatedAt DESC
-          `);
+    for (const request of due.recordset) {
+      try {
+        await escalateRequest(request);
+      } catch (err) {
+        console.error(`Error escalating request ${request.RequestID}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('Escalation scheduler error:', err);
+  } finally {
+    escalationRunning = false;
+  }
+}
 
-      res.json({
-          success: true,
-          notifications: result.recordset
-      });
+async function escalateRequest(request) {
+  let step = ESCALATION_STEPS[request.EscalationLevel];
+
+  // Claim the step so a slow run can never escalate the same request twice
+  const claim = await pool.request()
+    .input('requestId', sql.Int, request.RequestID)
+    .input('level', sql.Int, request.EscalationLevel)
+    .query(`
+      UPDATE Requests
+      SET EscalationLevel = EscalationLevel + 1, LastEscalatedAt = GETDATE()
+      WHERE RequestID = @requestId
+        AND EscalationLevel = @level
+        AND Status IN ('Pending', 'Accepted')
+    `);
+  if (claim.rowsAffected[0] === 0) return;
+
+  const details = {
+    requestId: request.RequestID,
+    patientName: request.PatientName,
+    bloodGroup: request.BloodGroup,
+    component: request.Component,
+    hospitalName: request.HospitalName,
+    location: request.Location,
+    contactNumber: request.ContactNumber,
+    urgencyLevel: request.UrgencyLevel,
+    unitsRequired: request.UnitsRequired,
+    requiredBy: request.RequiredBy
+  };
 
-  } catch (error) {
-      console.error('Error fetching notifications:', error);
-      res.status(500).json({
-          success: false,
-          error: 'Failed to fetch notifications',
-          details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-  }
-});
+  if (step === 'Renotify') {
+    const waiting = await pool.request()
+      .input('requestId', sql.Int, request.RequestID)
+      .query(`
+        SELECT d.DonorID, d.UserID, u.PhoneNumber
+        FROM RequestAssignments a
+        JOIN Donors d ON a.DonorID = d.DonorID
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE a.RequestID = @requestId
+          AND a.Status = 'Notified'
+      `);
 
-// Mark Notification as Read
-app.post('/api/notifications/:id/read', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+    for (const donor of waiting.recordset) {
+      await notifyDonorOfRequest(donor, details, { reminder: true });
+      await recordEscalation(request.RequestID, step, donor.DonorID, 'Donor reminded');
+    }
+    return;
+  }
 
-  const token = authHeader.split(' ')[1];
-  const notificationId = req.params.id;
+  if (step === 'Reassign') {
+    const assigned = await pool.request()
+      .input('requestId', sql.Int, request.RequestID)
+      .query('SELECT DonorID FROM RequestAssignments WHERE RequestID = @requestId');
+    const assignedIds = assigned.recordset.map(row => row.DonorID);
+
+    const { donors } = await findCompatibleDonors(request.BloodGroup, { component: request.Component });
+    const nextDonors = donors
+      .filter(donor => !assignedIds.includes(donor.id))
+      .slice(0, ESCALATION_REASSIGN_BATCH);
+
+    for (const donor of nextDonors) {
+      await notifyDonorOfRequest(
+        { DonorID: donor.id, UserID: donor.UserID, PhoneNumber: donor.phoneNumber },
+        details
+      );
+      await recordEscalation(request.RequestID, step, donor.id, `Request sent to next ${donor.BloodGroup} donor`);
+    }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (nextDonors.length > 0) return;
 
+    // Nobody left to ask, so go straight to the admins
+    await recordEscalation(request.RequestID, step, null, 'No further compatible donors available');
     await pool.request()
-      .input('notificationId', sql.Int, notificationId)
-      .input('userId', sql.Int, decoded.userId)
-      .query('UPDATE Notifications SET IsRead = 1 WHERE NotificationID = @notificationId AND UserID = @userId');
+      .input('requestId', sql.Int, request.RequestID)
+      .query('UPDATE Requests SET EscalationLevel = EscalationLevel + 1 WHERE RequestID = @requestId');
+    step = 'AdminAlert';
+  }
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to mark notification as read' 
+  const admins = await pool.request()
+    .query(`SELECT UserID, PhoneNumber FROM Users WHERE Role = 'admin'`);
+
+  broadcastToAdmins('requests', {
+    type: 'request-escalated',
+    requestId: request.RequestID,
+    patientName: request.PatientName,
+    bloodGroup: request.BloodGroup,
+    hospitalName: request.HospitalName,
+    urgencyLevel: request.UrgencyLevel,
+    message: 'No donor has accepted this request yet'
+  }, { hospitalIds: [request.HospitalID] });
+
+  for (const admin of admins.recordset) {
+    await createNotification(admin.UserID, {
+      type: 'escalation',
+      title: 'Request Escalated',
+      message: `No donor has accepted the ${request.UrgencyLevel} request for ${request.BloodGroup} blood (patient ${request.PatientName}) at ${request.HospitalName}.`,
+      sms: `BloodCare ALERT: No donor has accepted the ${request.UrgencyLevel} request for ${request.BloodGroup} blood (patient ${request.PatientName}) at ${request.HospitalName}.`,
+      urgency: request.UrgencyLevel,
+      requestId: request.RequestID
     });
   }
-});
 
-// Get Request Details
-app.get('/api/requests/:id', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Authorization token required' });
+  await recordEscalation(request.RequestID, step, null, `Alerted ${admins.recordset.length} admin(s)`);
+}
 
-  const token = authHeader.split(' ')[1];
-  const requestId = req.params.id;
+async function recordEscalation(requestId, step, donorId, details) {
+  await pool.request()
+    .input('requestId', sql.Int, requestId)
+    .input('step', sql.NVarChar, step)
+    .input('donorId', sql.Int, donorId)
+    .input('details', sql.NVarChar, details)
+    .query(`
+      INSERT INTO RequestEscalations (RequestID, Step, DonorID, Details)
+      VALUES (@requestId, @step, @donorId, @details)
+    `);
+}
 
+// Expires requests past their required-by time, or open longer than REQUEST_EXPIRY_HOURS if they have none
+async function expireStaleRequests() {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const result = await pool.request()
-      .input('requestId', sql.Int, requestId)
+    const stale = await pool.request()
+      .input('hours', sql.Int, REQUEST_EXPIRY_HOURS)
       .query(`
-        SELECT 
-          PatientName,
-          BloodGroup,
-          HospitalName,
-          Location,
-          ContactNumber,
-          Status,
-          RequestDate
-        FROM Requests
-        WHERE RequestID = @requestId
+        SELECT r.RequestID, r.RequiredBy
+        FROM Requests r
+        WHERE r.Status IN ('Pending', 'Accepted')
+          AND (
+            r.RequiredBy <= GETDATE()
+            OR (r.RequiredBy IS NULL AND DATEDIFF(hour, r.RequestDate, GETDATE()) >= @hours)
+          )
+          -- a donor with a booked slot or a live OTP may still turn up; the no-show check closes booked slots out
+          AND NOT EXISTS (
+            SELECT 1 FROM Donations dn
+            WHERE dn.RequestID = r.RequestID
+              AND dn.Status = 'Scheduled'
+              AND (dn.SlotID IS NOT NULL OR dn.OTPExpiry > GETDATE())
+          )
       `);
 
-    if (result.recordset.length === 0) {
-      return res.status(404).json({ success: false, error: 'Request not found' });
+    for (const request of stale.recordset) {
+      try {
+        await closeRequest(request.RequestID, 'Expired', {
+          reason: request.RequiredBy
+            ? 'Not met by its required-by time'
+            : `Still open after ${REQUEST_EXPIRY_HOURS} hours`
+        });
+      } catch (err) {
+        if (err.statusCode !== 409) throw err;
+      }
     }
-
-    res.json({
-      success: true,
-      request: result.recordset[0]
-    });
-  } catch (error) {
-    console.error('Error fetching request:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to fetch request details' 
-    });
+  } catch (err) {
+    console.error('Request expiry error:', err);
   }
-});
+}
 
-// Helper Functions
-async function handleDonorResponse(requestId, accepted, donor) {
+// Marks out-of-date bags as expired and warns admins about bags close to expiry
+async function runUnitExpiryCheck() {
   try {
-    const status = accepted ? 'Accepted' : 'Rejected';
-    
-    await pool.request()
-      .input('requestId', sql.Int, requestId)
-      .query(`UPDATE Requests SET Status = '${status}' WHERE RequestID = @requestId`);
+    const expired = await pool.request().query(`
+      UPDATE BloodUnits
+      SET Status = 'Expired', StatusChangedAt = GETDATE()
+      OUTPUT INSERTED.BloodGroup, INSERTED.Component, INSERTED.HospitalID
+      WHERE Status IN ('Quarantined', 'Available', 'Reserved', 'InTransit')
+        AND ExpiresAt <= GETDATE()
+    `);
 
-    broadcastToAdmins({
-      type: 'donor-response',
-      requestId,
-      donorName: donor.name,
-      status: accepted ? 'accepted' : 'rejected'
+    await syncInventory(expired.recordset);
+    await publishInventory(expired.recordset);
+
+    // Each component is warned about on its own horizon: days for platelets, weeks for frozen plasma
+    const expiring = await pool.request().query(`
+      SELECT BloodGroup, Component, COUNT(*) AS units, MIN(ExpiresAt) AS firstExpiry
+      FROM BloodUnits
+      WHERE Status IN ('Available', 'Reserved')
+        AND ExpiresAt <= DATEADD(day, ${componentSetting('expiryWarningDays')}, GETDATE())
+      GROUP BY BloodGroup, Component
+    `);
+
+    if (expired.recordset.length === 0 && expiring.recordset.length === 0) return;
+
+    broadcastToAdmins('inventory', {
+      type: 'inventory-expiry',
+      expiredUnits: expired.recordset.length,
+      expiringSoon: expiring.recordset,
+      warningDays: Object.fromEntries(
+        Object.entries(BLOOD_COMPONENTS).map(([component, config]) => [component, config.expiryWarningDays])
+      )
     });
 
-    if (accepted) {
-      const requestResult = await pool.request()
-        .input('requestId', sql.Int, requestId)
-        .query(`
-          SELECT PatientName, BloodGroup, HospitalName, Location 
-          FROM Requests 
-          WHERE RequestID = @requestId
-        `);
+    const summary = expiring.recordset
+      .map(group => `${group.units} x ${group.BloodGroup} ${BLOOD_COMPONENTS[group.Component].label}`)
+      .join(', ');
 
-      const request = requestResult.recordset[0];
-      
-      await pool.request()
-        .input('requestId', sql.Int, requestId)
-        .input('donorId', sql.Int, donor.userId)
-        .input('donorName', sql.NVarChar, donor.name)
-        .input('bloodGroup', sql.NVarChar, request.BloodGroup)
-        .input('hospitalName', sql.NVarChar, request.HospitalName)
-        .input('location', sql.NVarChar, request.Location)
-        .query(`
-          INSERT INTO Donations (
-            RequestID,
-            DonorID,
-            DonorName,
-            BloodGroup,
-            Location,
-            Status
-          )
-          VALUES (
-            @requestId,
-            @donorId,
-            @donorName,
-            @bloodGroup,
-            @location,
-            'Scheduled'
-          )
-        `);
+    const admins = await pool.request()
+      .query(`SELECT UserID FROM Users WHERE Role = 'admin'`);
+
+    for (const admin of admins.recordset) {
+      await createNotification(admin.UserID, {
+        type: 'inventory-expiry',
+        title: 'Blood Units Expiring',
+        message: `${expired.recordset.length} unit(s) expired today. Expiring soon: ${summary || 'none'}.`
+      });
     }
+  } catch (err) {
+    console.error('Unit expiry check error:', err);
+  }
+}
 
+async function runStockCheck() {
+  try {
+    const sites = await pool.request()
+      .query('SELECT BloodGroup, Component, HospitalID FROM BloodInventory WHERE HospitalID IS NOT NULL');
+    await checkStockLevels(sites.recordset);
   } catch (err) {
-    console.error('Error handling donor response:', err);
+    console.error('Stock level check error:', err);
   }
 }
 
-async function createNotification(userId, notification) {
+// Reminds donors shortly before their appointment and records no-shows once it is well past
+async function runAppointmentChecks() {
   try {
-    let formattedMessage = notification.message;
-    if (notification.type === 'emergency' && notification.requestId) {
-      const request = await pool.request()
-        .input('requestId', sql.Int, notification.requestId)
-        .query('SELECT PatientName, BloodGroup, HospitalName FROM Requests WHERE RequestID = @requestId');
-      
-      if (request.recordset.length > 0) {
-        const reqData = request.recordset[0];
-        formattedMessage = `Patient ${reqData.PatientName} needs ${reqData.BloodGroup} blood at ${reqData.HospitalName}`;
+    const due = await pool.request()
+      .input('minutes', sql.Int, APPOINTMENT_REMINDER_MINUTES)
+      .query(`
+        SELECT dn.DonationID, dn.RequestID, s.StartsAt, s.EndsAt, h.Name AS HospitalName, h.Address, d.UserID, u.PhoneNumber
+        FROM Donations dn
+        JOIN DonationSlots s ON dn.SlotID = s.SlotID
+        JOIN Hospitals h ON s.HospitalID = h.HospitalID
+        JOIN Donors d ON dn.DonorID = d.DonorID
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE dn.Status = 'Scheduled'
+          AND dn.ReminderSentAt IS NULL
+          AND s.StartsAt > GETDATE()
+          AND s.StartsAt <= DATEADD(minute, @minutes, GETDATE())
+      `);
+
+    // Each appointment is marked reminded in the transaction that queues its reminder and OTP,
+    // so a failure leaves only that one to be tried again on the next run
+    for (const appointment of due.recordset) {
+      try {
+        const reminded = await inTransaction(async transaction => {
+          const stamped = await new sql.Request(transaction)
+            .input('donationId', sql.Int, appointment.DonationID)
+            .query(`
+              UPDATE Donations
+              SET ReminderSentAt = GETDATE()
+              WHERE DonationID = @donationId
+                AND Status = 'Scheduled'
+                AND ReminderSentAt IS NULL
+            `);
+          if (stamped.rowsAffected[0] === 0) return false;
+
+          const when = formatAppointment(appointment.StartsAt);
+          await createNotification(appointment.UserID, {
+            type: 'appointment-reminder',
+            title: 'Donation Appointment Reminder',
+            message: `Your donation appointment at ${appointment.HospitalName} is at ${when}. Please bring the OTP we are sending you now.`,
+            sms: `BloodCare reminder: your donation appointment is at ${when}, ${appointment.HospitalName}, ${appointment.Address}. Please bring the OTP we are sending you now.`,
+            requestId: appointment.RequestID
+          }, { transaction });
+          // The OTP from acceptance has usually run out by now, so send one that lasts the appointment
+          await issueDonationOtp(appointment.DonationID, {
+            validUntil: appointmentOtpExpiry(appointment.EndsAt),
+            transaction
+          });
+          return true;
+        });
+
+        if (reminded) {
+          sendToUser(appointment.UserID, {
+            type: 'appointment-reminder',
+            donationId: appointment.DonationID,
+            requestId: appointment.RequestID,
+            startsAt: appointment.StartsAt,
+            hospitalName: appointment.HospitalName,
+            address: appointment.Address
+          });
+        }
+      } catch (err) {
+        console.error(`Appointment reminder error for donation ${appointment.DonationID}:`, err);
       }
     }
 
-    await pool.request()
-      .input('userId', sql.Int, userId)
-      .input('type', sql.VarChar, notification.type)
-      .input('title', sql.VarChar, notification.title)
-      .input('message', sql.VarChar, formattedMessage)
-      .input('requestId', sql.Int, notification.requestId || null)
+    const missed = await pool.request()
+      .input('grace', sql.Int, NO_SHOW_GRACE_MINUTES)
       .query(`
-        INSERT INTO Notifications (UserID, Type, Title, Message, RequestID)
-        VALUES (@userId, @type, @title, @message, @requestId)
+        SELECT dn.DonationID
+        FROM Donations dn
+        JOIN DonationSlots s ON dn.SlotID = s.SlotID
+        WHERE dn.Status = 'Scheduled'
+          AND s.EndsAt <= DATEADD(minute, -@grace, GETDATE())
       `);
+
+    for (const donation of missed.recordset) {
+      try {
+        await recordNoShow(donation.DonationID, { reason: 'Did not attend the booked appointment' });
+      } catch (err) {
+        if (err.statusCode !== 409) throw err;
+      }
+    }
   } catch (err) {
-    console.error('Error creating notification:', err);
-    throw err;
+    console.error('Appointment check error:', err);
   }
 }
 
-function broadcastToAdmins(message) {
-  connections.forEach((ws, userId) => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(message));
+// Tells donors when they can give again once their donation gap or a deferral has run out,
+// and nudges donors who have not given for a long time. Quiet hours, availability windows,
+// pauses and the frequency cap are checked on every run, so a held-back reminder goes out later.
+async function runDonorReminders() {
+  try {
+    const result = await pool.request()
+      .input('inactiveDays', sql.Int, REENGAGEMENT_INACTIVE_DAYS)
+      .input('maxContacts', sql.Int, REMINDER_MAX_PER_30_DAYS)
+      .query(`
+        SELECT
+          d.DonorID AS id,
+          d.UserID,
+          u.PhoneNumber AS phoneNumber,
+          u.BloodGroup,
+          u.CreatedAt,
+          d.Gender,
+          d.LastDonationDate,
+          d.LastDonationComponent,
+          d.AvailabilityWindow,
+          d.QuietHoursStart,
+          d.QuietHoursEnd,
+          (
+            SELECT MAX(EndDate) FROM DonorDeferrals df
+            WHERE df.DonorID = d.DonorID AND df.DeferralType = 'Temporary'
+              AND df.RevokedAt IS NULL AND df.EndDate <= GETDATE()
+          ) AS LastDeferralEnd,
+          (
+            SELECT MAX(ContactedAt) FROM DonorContacts c
+            WHERE c.DonorID = d.DonorID AND c.Purpose = 'eligible-again'
+          ) AS LastEligibleReminder,
+          (
+            SELECT MAX(ContactedAt) FROM DonorContacts c
+            WHERE c.DonorID = d.DonorID AND c.Purpose = 'reengagement'
+          ) AS LastReengagement
+        FROM Donors d
+        JOIN Users u ON d.UserID = u.UserID
+        WHERE d.Availability = 1
+          AND (d.RemindersPausedUntil IS NULL OR d.RemindersPausedUntil <= GETDATE())
+          AND NOT EXISTS (
+            SELECT 1 FROM DonorDeferrals df
+            WHERE df.DonorID = d.DonorID
+              AND df.RevokedAt IS NULL
+              AND (df.DeferralType = 'Permanent' OR df.EndDate > GETDATE())
+          )
+          AND (
+            SELECT COUNT(*) FROM DonorContacts c
+            WHERE c.DonorID = d.DonorID AND c.ContactedAt >= DATEADD(day, -30, GETDATE())
+          ) < @maxContacts
+      `);
+
+    const now = new Date();
+    const clock = localClock(now);
+    const candidates = result.recordset.filter(donor => {
+      const quietStart = donor.QuietHoursStart === null ? DEFAULT_QUIET_HOURS.start : donor.QuietHoursStart;
+      const quietEnd = donor.QuietHoursStart === null ? DEFAULT_QUIET_HOURS.end : donor.QuietHoursEnd;
+      return AVAILABILITY_WINDOWS[donor.AvailabilityWindow].includes(clock.weekday) &&
+        !inQuietHours(quietStart, quietEnd, clock.hour);
+    });
+
+    const inactiveSince = addDays(now, -REENGAGEMENT_INACTIVE_DAYS);
+
+    for (const donor of candidates) {
+      // Deferred and already-contacted donors are filtered out by the query
+      if (!evaluateEligibility(donor, [], now).eligible) continue;
+
+      // The last thing that kept the donor from giving, if it was recent enough to be news
+      const waitStarted = [donor.LastDonationDate, donor.LastDeferralEnd]
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .sort((a, b) => b - a)[0];
+      const lastActive = new Date(donor.LastDonationDate || donor.CreatedAt);
+
+      let purpose = null;
+      if (waitStarted && waitStarted > inactiveSince &&
+          (!donor.LastEligibleReminder || new Date(donor.LastEligibleReminder) < waitStarted)) {
+        purpose = 'eligible-again';
+      } else if (lastActive < inactiveSince &&
+          (!donor.LastReengagement || new Date(donor.LastReengagement) < addDays(now, -REENGAGEMENT_INTERVAL_DAYS))) {
+        purpose = 'reengagement';
+      }
+      if (!purpose) continue;
+
+      const message = purpose === 'eligible-again'
+        ? `You can donate blood again from today. ${donor.BloodGroup} donors like you keep our stock going - book a slot or look out for a camp near you.`
+        : `It has been a while since your last donation. ${donor.BloodGroup} blood is always needed - open BloodCare to find a slot or camp near you.`;
+
+      await createNotification(donor.UserID, {
+        type: purpose,
+        title: purpose === 'eligible-again' ? 'You Can Donate Again' : 'We Miss You',
+        message
+      });
+      await recordDonorContact(donor.id, purpose);
     }
-  });
+  } catch (err) {
+    console.error('Donor reminder error:', err);
+  }
+}
+
+function startBackgroundJobs() {
+  setInterval(runEscalations, ESCALATION_CHECK_INTERVAL_MS);
+  setInterval(expireStaleRequests, ESCALATION_CHECK_INTERVAL_MS);
+  runUnitExpiryCheck();
+  setInterval(runUnitExpiryCheck, UNIT_EXPIRY_CHECK_INTERVAL_MS);
+  setInterval(runStockCheck, STOCK_CHECK_INTERVAL_MS);
+  setInterval(runAppointmentChecks, APPOINTMENT_CHECK_INTERVAL_MS);
+  setInterval(runDonorReminders, REMINDER_CHECK_INTERVAL_MS);
+  setInterval(checkSocketHeartbeats, WS_HEARTBEAT_INTERVAL_MS);
+  runOutbox();
+  setInterval(runOutbox, OUTBOX_CHECK_INTERVAL_MS);
 }
 
 // Start Server
 async function startServer() {
   await connectDB();
+  startBackgroundJobs();
   const PORT = process.env.PORT || 3000;
   server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
@@ -1048,5 +9581,18 @@ process.on('uncaughtException', (err) => {
   console.error('Uncaught exception:', err);
 });
 
-// Start the application
-startServer();
\ No newline at end of file
+// Start the application when run directly; the tests require the module instead
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  server,
+  connectDB,
+  handleDonorResponse,
+  issueDonationOtp,
+  createNotification,
+  runOutbox,
+  runAppointmentChecks
+};
\ No newline at end of file
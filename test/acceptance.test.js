@@ -0,0 +1,170 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/load-server');
+
+let server;
+let db;
+
+const DONOR = { userId: 11, name: 'Asha Rao', bloodGroup: 'O+', role: 'donor' };
+
+before(async () => {
+  ({ server, db } = await loadServer());
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+// A request for `unitsRequired` units with nothing collected yet, waiting on this donor's answer
+function givenOpenRequest({ unitsRequired = 2, screening = 'Eligible' } = {}) {
+  db.on(/SELECT a\.AssignmentID, a\.Status, d\.DonorID/, [{ AssignmentID: 7, Status: 'Notified', DonorID: 5, HospitalID: 3, Component: 'WholeBlood' }])
+    .on(/FROM RequestAssignments WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: 'Notified' }])
+    .on(/UPDATE RequestAssignments\s+SET Status/, { rowsAffected: [1] })
+    .on(/FROM DonorScreenings s/, screening ? [{
+      ScreeningID: 31,
+      Outcome: screening,
+      Reasons: screening === 'Eligible' ? '[]' : JSON.stringify(['Low haemoglobin']),
+      DeferralID: null,
+      QuestionnaireVersion: 1,
+      Answers: '{}',
+      ScreenedComponent: 'WholeBlood'
+    }] : [])
+    .on(/FROM Requests WITH \(UPDLOCK, ROWLOCK\)\s+WHERE RequestID/, [{
+      Status: 'Accepted',
+      PatientName: 'R. Kumar',
+      BloodGroup: 'O+',
+      Component: 'WholeBlood',
+      HospitalID: 3,
+      HospitalName: 'City Hospital',
+      Location: 'Ward 4'
+    }])
+    .on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: unitsRequired, UnitsDonated: 0, UnitsScheduled: unitsRequired - 1, UnitsIssued: 0 }])
+    .on(/INSERT INTO Donations/, [{ DonationID: 99 }])
+    .on(/SET dn\.OTPHash = @otpHash/, [{
+      RequestID: 42,
+      OTPExpiry: new Date(Date.now() + 120 * 60000),
+      UserID: DONOR.userId,
+      PhoneNumber: '+919876543210',
+      HospitalName: 'City Hospital'
+    }])
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919876543210', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+}
+
+test('asks an app donor to complete the screening before accepting', async () => {
+  givenOpenRequest({ screening: null });
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.type, 'response-rejected');
+  assert.equal(outcome.reason, 'screening-required');
+  assert.equal(db.find(/INSERT INTO Donations/).length, 0);
+});
+
+test('records a donor screened out as deferred instead of scheduling them', async () => {
+  givenOpenRequest({ screening: 'TemporaryDeferral' });
+  db.on(/SELECT COUNT\(\*\) AS count\s+FROM RequestAssignments/, [{ count: 1 }]);
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.reason, 'deferred');
+  assert.deepEqual(outcome.reasons, ['Low haemoglobin']);
+  assert.equal(db.find(/UPDATE RequestAssignments\s+SET Status = @status/)[0].inputs.status, 'Deferred');
+  assert.equal(db.find(/INSERT INTO Donations/).length, 0);
+});
+
+test('schedules the last unit, issues its OTP and stands down the other donors in one transaction', async () => {
+  givenOpenRequest({ unitsRequired: 2 });
+  db.on(/SET a\.Status = 'Superseded', a\.RespondedAt = GETDATE\(\)/, [{ UserID: 21, PhoneNumber: '+919800000021' }]);
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.type, 'response-confirmed');
+  assert.equal(outcome.donationId, 99);
+  assert.equal(outcome.screeningPending, false);
+  assert.match(outcome.otp, /^\d{6}$/);
+
+  const [insert] = db.find(/INSERT INTO Donations/);
+  const transaction = insert.transaction;
+  assert.equal(insert.inputs.screeningId, 31);
+  assert.equal(transaction.state, 'committed');
+  assert.equal(db.find(/SET dn\.OTPHash = @otpHash/)[0].transaction, transaction);
+
+  const [standDown] = db.find(/SET a\.Status = 'Superseded', a\.RespondedAt = GETDATE\(\)/);
+  assert.equal(standDown.transaction, transaction);
+  assert.equal(standDown.inputs.donorId, 5);
+
+  // Every message the acceptance queues commits with it
+  const outbox = db.find(/INSERT INTO Outbox/);
+  assert.ok(outbox.length > 0);
+  assert.ok(outbox.every(query => query.transaction === transaction));
+  assert.ok(outbox.some(query => query.inputs.userId === 21 && query.inputs.purpose === 'request-filled'));
+});
+
+test('leaves other donors waiting while units are still outstanding', async () => {
+  givenOpenRequest({ unitsRequired: 3 });
+  db.on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: 3, UnitsDonated: 0, UnitsScheduled: 0, UnitsIssued: 0 }]);
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.type, 'response-confirmed');
+  assert.equal(db.find(/SET a\.Status = 'Superseded', a\.RespondedAt = GETDATE\(\)/).length, 0);
+});
+
+test('tells a donor the request is covered when no units are left', async () => {
+  givenOpenRequest({ unitsRequired: 1 });
+  db.on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: 1, UnitsDonated: 1, UnitsScheduled: 0, UnitsIssued: 0 }]);
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.reason, 'no-longer-needed');
+  assert.equal(db.find(/INSERT INTO Donations/).length, 0);
+  assert.equal(db.find(/SET dn\.OTPHash/).length, 0);
+});
+
+test('refuses a second acceptance that raced the first', async () => {
+  givenOpenRequest({ unitsRequired: 3 });
+  // The app showed the assignment as open, but an SMS YES claimed it first
+  db.on(/FROM RequestAssignments WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: 'Accepted' }]);
+
+  const outcome = await server.handleDonorResponse(42, true, DONOR);
+
+  assert.equal(outcome.reason, 'already-responded');
+  assert.equal(db.find(/INSERT INTO Donations/).length, 0);
+  assert.equal(db.find(/FROM RequestAssignments WITH \(UPDLOCK, ROWLOCK\)/)[0].transaction.state, 'rolledBack');
+});
+
+test('will not let a decline overwrite an answer recorded in the meantime', async () => {
+  givenOpenRequest();
+  db.on(/UPDATE RequestAssignments\s+SET Status = @status/, { rowsAffected: [0] });
+
+  const outcome = await server.handleDonorResponse(42, false, DONOR);
+
+  assert.equal(outcome.reason, 'already-responded');
+  assert.match(db.find(/UPDATE RequestAssignments\s+SET Status = @status/)[0].text, /AND Status = 'Notified'/);
+  assert.equal(db.find(/SELECT COUNT\(\*\) AS count\s+FROM RequestAssignments/).length, 0);
+});
+
+test('fails loudly when the response cannot be recorded', async () => {
+  givenOpenRequest();
+  db.on(/INSERT INTO Donations/, () => {
+    throw new Error('Deadlock victim');
+  });
+
+  await assert.rejects(server.handleDonorResponse(42, true, DONOR), /Deadlock victim/);
+  assert.equal(db.find(/INSERT INTO Donations/)[0].transaction.state, 'rolledBack');
+});
+
+test('goes back to recruiting when the last donor asked declines', async () => {
+  givenOpenRequest();
+  db.on(/SELECT COUNT\(\*\) AS count\s+FROM RequestAssignments/, [{ count: 0 }]);
+
+  const outcome = await server.handleDonorResponse(42, false, DONOR);
+
+  assert.equal(outcome.type, 'response-declined');
+  assert.equal(db.find(/UPDATE Requests SET/).length, 0);
+  const [restart] = db.find(/SET r\.EscalationLevel = @level/);
+  assert.equal(restart.transaction.state, 'committed');
+  assert.equal(restart.transaction, db.find(/UPDATE RequestAssignments\s+SET Status = @status/)[0].transaction);
+});
@@ -0,0 +1,193 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let server;
+let db;
+let env;
+let http;
+
+before(async () => {
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function appointment(donationId, overrides = {}) {
+  const startsAt = new Date(Date.now() + 60 * 60000);
+  return {
+    DonationID: donationId,
+    RequestID: 42,
+    StartsAt: startsAt,
+    EndsAt: new Date(startsAt.getTime() + 30 * 60000),
+    HospitalName: 'City Hospital',
+    Address: '1 Main Road',
+    UserID: 10 + donationId,
+    PhoneNumber: '+919876543210',
+    ...overrides
+  };
+}
+
+function givenDueAppointments(appointments) {
+  db.on(/SELECT dn\.DonationID, dn\.RequestID, s\.StartsAt/, appointments)
+    .on(/SET ReminderSentAt = GETDATE\(\)/, { rowsAffected: [1] })
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919876543210', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }])
+    .on(/SET dn\.OTPHash = @otpHash/, inputs => [{
+      RequestID: 42,
+      OTPExpiry: appointments.find(item => item.DonationID === inputs.donationId).EndsAt,
+      UserID: 10 + inputs.donationId,
+      PhoneNumber: '+919876543210',
+      HospitalName: 'City Hospital'
+    }]);
+}
+
+test('marks each appointment reminded only with its own reminder and OTP', async () => {
+  givenDueAppointments([appointment(1), appointment(2)]);
+  db.on(/SET dn\.OTPHash = @otpHash/, inputs => {
+    if (inputs.donationId === 1) throw new Error('Connection lost');
+    return [{ RequestID: 42, OTPExpiry: new Date(Date.now() + 120 * 60000), UserID: 12, PhoneNumber: '+919876543210', HospitalName: 'City Hospital' }];
+  });
+
+  await server.runAppointmentChecks();
+
+  const stamps = db.find(/SET ReminderSentAt = GETDATE\(\)/);
+  assert.deepEqual(stamps.map(stamp => stamp.inputs.donationId), [1, 2]);
+  assert.match(stamps[0].text, /AND ReminderSentAt IS NULL/);
+  assert.deepEqual(stamps.map(stamp => stamp.transaction.state), ['rolledBack', 'committed']);
+
+  const reminder = db.find(/INSERT INTO Outbox/).find(query => query.inputs.purpose === 'appointment-reminder' && query.inputs.userId === 12);
+  assert.equal(reminder.transaction, stamps[1].transaction);
+});
+
+test('skips an appointment another run has already reminded', async () => {
+  givenDueAppointments([appointment(1)]);
+  db.on(/SET ReminderSentAt = GETDATE\(\)/, { rowsAffected: [0] });
+
+  await server.runAppointmentChecks();
+
+  assert.equal(db.find(/INSERT INTO Notifications/).length, 0);
+  assert.equal(db.find(/SET dn\.OTPHash/).length, 0);
+});
+
+// A scheduled donation by user 11 at hospital 3, booked into `slotId` if given
+function givenScheduledDonation(slotId = null) {
+  db.on(/FROM Donations dn WITH \(UPDLOCK, ROWLOCK\)/, [{ DonationID: 99, Status: 'Scheduled', SlotID: slotId, HospitalID: 3, UserID: 11 }]);
+}
+
+function givenOpenSlot(slotId) {
+  const startsAt = new Date(Date.now() + 24 * 60 * 60000);
+  db.on(/SET BookedCount = BookedCount \+ 1/, inputs => Number(inputs.slotId) === slotId
+    ? [{ SlotID: slotId, StartsAt: startsAt, EndsAt: new Date(startsAt.getTime() + 30 * 60000), HospitalID: 3 }]
+    : []);
+}
+
+async function call(method, path, body, user = { userId: 11, role: 'donor' }) {
+  const token = jwt.sign(user, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('books a donation into a slot with room', async () => {
+  givenScheduledDonation();
+  givenOpenSlot(8);
+
+  const response = await call('POST', '/api/donations/99/booking', { slotId: 8 });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.booking.rescheduled, false);
+  const [claim] = db.find(/SET BookedCount = BookedCount \+ 1/);
+  assert.match(claim.text, /AND BookedCount < Capacity/);
+  const [booked] = db.find(/SET SlotID = @slotId, HospitalID = @hospitalId/);
+  assert.equal(booked.inputs.slotId, 8);
+  assert.equal(booked.transaction, claim.transaction);
+  assert.equal(claim.transaction.state, 'committed');
+  assert.equal(db.find(/SET BookedCount = BookedCount - 1/).length, 0);
+});
+
+test('refuses a full slot and keeps the donor\'s booking', async () => {
+  givenScheduledDonation(5);
+  givenOpenSlot(8);
+
+  const response = await call('POST', '/api/donations/99/booking', { slotId: 9 });
+
+  assert.equal(response.status, 409);
+  assert.equal(db.find(/SET SlotID = @slotId, HospitalID = @hospitalId/).length, 0);
+  assert.equal(db.find(/SET BookedCount = BookedCount - 1/).length, 0);
+  assert.equal(db.find(/SET BookedCount = BookedCount \+ 1/)[0].transaction.state, 'rolledBack');
+});
+
+test('frees the old slot when a donor reschedules', async () => {
+  givenScheduledDonation(5);
+  givenOpenSlot(8);
+
+  const response = await call('POST', '/api/donations/99/booking', { slotId: 8 });
+
+  assert.equal(response.body.booking.rescheduled, true);
+  const [release] = db.find(/SET BookedCount = BookedCount - 1/);
+  assert.equal(release.inputs.slotId, 5);
+  assert.equal(release.transaction, db.find(/SET BookedCount = BookedCount \+ 1/)[0].transaction);
+  assert.equal(release.transaction.state, 'committed');
+});
+
+test('hides another donor\'s donation from a booking change', async () => {
+  givenScheduledDonation(5);
+
+  const booking = await call('POST', '/api/donations/99/booking', { slotId: 8 }, { userId: 12, role: 'donor' });
+  const cancel = await call('DELETE', '/api/donations/99/booking', null, { userId: 12, role: 'donor' });
+
+  assert.equal(booking.status, 404);
+  assert.equal(cancel.status, 404);
+  assert.equal(db.find(/BookedCount = BookedCount/).length, 0);
+});
+
+test('gives a slot back when a donor cancels their booking', async () => {
+  givenScheduledDonation(5);
+
+  const response = await call('DELETE', '/api/donations/99/booking');
+
+  assert.equal(response.status, 200);
+  const [release] = db.find(/SET BookedCount = BookedCount - 1/);
+  assert.equal(release.inputs.slotId, 5);
+  const [cleared] = db.find(/UPDATE Donations SET SlotID = NULL/);
+  assert.equal(cleared.transaction, release.transaction);
+  assert.equal(cleared.transaction.state, 'committed');
+});
+
+test('asks every donor booked into a cancelled slot to rebook', async () => {
+  db.on(/SET CancelledAt = GETDATE\(\), BookedCount = 0/, [{ StartsAt: new Date(Date.now() + 24 * 60 * 60000) }])
+    .on(/SET dn\.SlotID = NULL, dn\.ReminderSentAt = NULL/, [
+      { DonationID: 98, RequestID: 41, UserID: 21, PhoneNumber: '+919800000021' },
+      { DonationID: 99, RequestID: 42, UserID: 22, PhoneNumber: '+919800000022' }
+    ])
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919800000021', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+
+  const response = await call('POST', '/api/slots/8/cancel', {}, { userId: 1, role: 'admin' });
+
+  assert.equal(response.status, 200);
+  const [cancelled] = db.find(/SET CancelledAt = GETDATE\(\)/);
+  assert.equal(cancelled.transaction.state, 'committed');
+  const told = db.find(/INSERT INTO Outbox/).filter(query => query.inputs.purpose === 'appointment-cancelled');
+  assert.deepEqual([...new Set(told.map(query => query.inputs.userId))], [21, 22]);
+  assert.ok(told.every(query => query.transaction === cancelled.transaction));
+});
+
+test('reports a slot that is already cancelled', async () => {
+  const response = await call('POST', '/api/slots/8/cancel', {}, { userId: 1, role: 'admin' });
+
+  assert.equal(response.status, 404);
+  assert.equal(db.find(/SET dn\.SlotID = NULL/).length, 0);
+});
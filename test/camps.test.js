@@ -0,0 +1,221 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let server;
+let db;
+let env;
+let http;
+
+const ADMIN = { userId: 1, role: 'admin' };
+const DONOR = { userId: 11, role: 'donor' };
+
+before(async () => {
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function givenCamp(status, overrides = {}) {
+  const startsAt = new Date(Date.now() + 2 * 24 * 60 * 60000);
+  db.on(/CampID, Name, Venue, City, Latitude, Longitude, HospitalID/, [{
+    CampID: 6,
+    Name: 'College Camp',
+    Venue: 'Main Hall',
+    City: 'Pune',
+    Latitude: 18.52,
+    Longitude: 73.85,
+    HospitalID: 3,
+    StartsAt: startsAt,
+    EndsAt: new Date(startsAt.getTime() + 6 * 60 * 60000),
+    TargetUnits: 50,
+    GroupTargets: '{}',
+    Status: status,
+    ...overrides
+  }]);
+}
+
+function givenNotifiable() {
+  db.on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919876543210', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+}
+
+function screening(outcome) {
+  return [{
+    ScreeningID: 31,
+    Outcome: outcome,
+    Reasons: outcome === 'Eligible' ? '[]' : JSON.stringify(['Low haemoglobin']),
+    DeferralID: null,
+    QuestionnaireVersion: 1,
+    Answers: '{}',
+    ScreenedComponent: 'WholeBlood'
+  }];
+}
+
+async function post(path, body, user = ADMIN) {
+  const token = jwt.sign(user, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('plans a camp at a located venue', async () => {
+  db.on(/INSERT INTO DonationCamps/, [{ CampID: 6 }]);
+  const startsAt = new Date(Date.now() + 7 * 24 * 60 * 60000);
+
+  const response = await post('/api/camps', {
+    name: 'College Camp',
+    venue: 'Main Hall',
+    latitude: 18.52,
+    longitude: 73.85,
+    hospitalId: 3,
+    startsAt,
+    endsAt: new Date(startsAt.getTime() + 6 * 60 * 60000),
+    targetUnits: 50,
+    groupTargets: { 'O-': 5 }
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.campId, 6);
+  const [insert] = db.find(/INSERT INTO DonationCamps/);
+  assert.equal(insert.inputs.groupTargets, JSON.stringify({ 'O-': 5 }));
+});
+
+test('refuses a camp that has already started', async () => {
+  const response = await post('/api/camps', {
+    name: 'College Camp',
+    venue: 'Main Hall',
+    latitude: 18.52,
+    longitude: 73.85,
+    hospitalId: 3,
+    startsAt: new Date(Date.now() - 60 * 60000),
+    endsAt: new Date(Date.now() + 60 * 60000),
+    targetUnits: 50
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(db.find(/INSERT INTO DonationCamps/).length, 0);
+});
+
+test('will not reopen a closed camp', async () => {
+  givenCamp('Closed');
+
+  const response = await post('/api/camps/6/status', { status: 'Open' });
+
+  assert.equal(response.status, 409);
+  assert.equal(db.find(/UPDATE DonationCamps SET Status/).length, 0);
+  assert.equal(db.find(/FROM DonationCamps WITH \(UPDLOCK, ROWLOCK\)/)[0].transaction.state, 'rolledBack');
+});
+
+test('cancelling a camp cancels its registrations and tells those donors', async () => {
+  givenCamp('Open');
+  givenNotifiable();
+  db.on(/SET r\.Status = 'Cancelled'\s+OUTPUT d\.UserID/, [
+    { UserID: 21, PhoneNumber: '+919800000021' },
+    { UserID: 22, PhoneNumber: '+919800000022' }
+  ]);
+
+  const response = await post('/api/camps/6/status', { status: 'Cancelled' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.donorsNotified, 2);
+  const [changed] = db.find(/UPDATE DonationCamps SET Status/);
+  assert.equal(changed.inputs.status, 'Cancelled');
+  assert.equal(changed.transaction.state, 'committed');
+  const told = db.find(/INSERT INTO Outbox/).filter(query => query.inputs.purpose === 'camp-cancelled');
+  assert.deepEqual([...new Set(told.map(query => query.inputs.userId))], [21, 22]);
+  assert.ok(told.every(query => query.transaction === changed.transaction));
+});
+
+test('registers an eligible donor for an upcoming camp', async () => {
+  givenCamp('Planned');
+  db.on(/FROM Donors WHERE UserID = @userId/, [{ DonorID: 5, Gender: 'Female', LastDonationDate: null, LastDonationComponent: null }])
+    .on(/SET Status = 'Registered', RegisteredAt = GETDATE\(\)/, [{ Status: 'Registered' }]);
+
+  const response = await post('/api/camps/6/register', {}, DONOR);
+
+  assert.equal(response.status, 200);
+  assert.equal(db.find(/SET Status = 'Registered'/)[0].inputs.donorId, 5);
+});
+
+test('turns away a donor who could not give on the day of the camp', async () => {
+  givenCamp('Planned');
+  db.on(/FROM Donors WHERE UserID = @userId/, [{
+    DonorID: 5,
+    Gender: 'Female',
+    LastDonationDate: new Date(Date.now() - 10 * 24 * 60 * 60000),
+    LastDonationComponent: 'WholeBlood'
+  }]);
+
+  const response = await post('/api/camps/6/register', {}, DONOR);
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.eligibility.eligible, false);
+  assert.equal(db.find(/CampRegistrations/).length, 0);
+});
+
+test('records a donor screened out at the desk as deferred, not checked in', async () => {
+  givenCamp('Open');
+  db.on(/FROM Donors d\s+JOIN Users u ON d\.UserID = u\.UserID\s+WHERE d\.DonorID = @donorId/, [{
+    DonorID: 5,
+    FullName: 'Asha Rao',
+    BloodGroup: 'O+',
+    Gender: 'Female',
+    LastDonationDate: null,
+    LastDonationComponent: null
+  }])
+    .on(/FROM DonorScreenings s/, screening('TemporaryDeferral'));
+
+  const response = await post('/api/camps/6/check-in', { donorId: 5 });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(response.body.reasons, ['Low haemoglobin']);
+  const [recorded] = db.find(/SET Status = @status, CheckedInAt = GETDATE\(\)/);
+  assert.equal(recorded.inputs.status, 'Deferred');
+  assert.equal(recorded.inputs.screeningId, 31);
+});
+
+test('collects a checked-in donor\'s bag as a completed donation and a quarantined unit', async () => {
+  givenCamp('Open');
+  db.on(/FROM CampRegistrations r WITH \(UPDLOCK, ROWLOCK\)/, [{ RegistrationID: 70, Status: 'CheckedIn', ScreeningID: 31, FullName: 'Asha Rao', BloodGroup: 'O+' }])
+    .on(/FROM DonorScreenings s/, screening('Eligible'))
+    .on(/INSERT INTO Donations/, [{ DonationID: 99 }])
+    .on(/FROM Hospitals WITH \(UPDLOCK, ROWLOCK\)/, [{ Name: 'City Hospital', BloodBankCapacity: 100 }])
+    .on(/SELECT COUNT\(\*\) AS held/, [{ held: 10 }])
+    .on(/INSERT INTO BloodUnits/, [{ UnitID: 300, BagNumber: 'CAMP-6-001', Component: 'WholeBlood', ExpiresAt: new Date() }]);
+
+  const response = await post('/api/camps/6/collections', { donorId: 5, bagNumber: 'CAMP-6-001' });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.unit.status, 'Quarantined');
+  const [donation] = db.find(/INSERT INTO Donations/);
+  assert.equal(donation.inputs.campId, 6);
+  assert.equal(donation.inputs.hospitalId, 3);
+  const [unit] = db.find(/INSERT INTO BloodUnits/);
+  assert.equal(unit.inputs.bagNumber, 'CAMP-6-001');
+  const [donated] = db.find(/SET Status = 'Donated', DonationID = @donationId/);
+  assert.equal(donated.inputs.registrationId, 70);
+  assert.ok([unit, donated].every(query => query.transaction === donation.transaction));
+  assert.equal(donation.transaction.state, 'committed');
+});
+
+test('will not collect from a donor who has not been checked in', async () => {
+  givenCamp('Open');
+  db.on(/FROM CampRegistrations r WITH \(UPDLOCK, ROWLOCK\)/, [{ RegistrationID: 70, Status: 'Registered', ScreeningID: null, FullName: 'Asha Rao', BloodGroup: 'O+' }]);
+
+  const response = await post('/api/camps/6/collections', { donorId: 5 });
+
+  assert.equal(response.status, 409);
+  assert.equal(db.find(/INSERT INTO Donations/).length, 0);
+  assert.equal(db.find(/INSERT INTO BloodUnits/).length, 0);
+});
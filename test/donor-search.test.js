@@ -0,0 +1,133 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let db;
+let env;
+let http;
+
+before(async () => {
+  // A small cap so the tests can reach it
+  process.env.MAX_SEARCH_LIMIT = '2';
+  let server;
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function donor(id, bloodGroup, overrides = {}) {
+  return {
+    id,
+    UserID: 100 + id,
+    fullName: `Donor ${id}`,
+    BloodGroup: bloodGroup,
+    phoneNumber: `+9198000000${id}`,
+    Gender: 'Female',
+    LastDonationDate: null,
+    LastDonationComponent: null,
+    Latitude: null,
+    Longitude: null,
+    ...overrides
+  };
+}
+
+// A reliability history row; donors without one score on the defaults
+function history(donorId, overrides = {}) {
+  return {
+    DonorID: donorId,
+    TimesAsked: 0,
+    TimesAccepted: 0,
+    MedianResponseSeconds: null,
+    DonationsCompleted: 0,
+    NoShows: 0,
+    LastContactedAt: null,
+    ...overrides
+  };
+}
+
+function givenDonors(donors, histories = donors.map(item => history(item.id))) {
+  db.on(/WHERE u\.BloodGroup IN/, donors)
+    .on(/WITH Asked AS/, histories);
+}
+
+async function search(body, role = 'admin') {
+  const token = jwt.sign({ userId: 1, role }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}/api/find-donors-by-group`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('rejects a radius or limit that is not a positive number', async () => {
+  for (const body of [{ radiusKm: -5 }, { radiusKm: 'far' }, { limit: -2 }, { limit: 0 }]) {
+    const response = await search({ bloodGroup: 'A+', ...body });
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+  assert.equal(db.queries.length, 0);
+});
+
+test('cuts a large limit down to the maximum', async () => {
+  givenDonors([donor(1, 'A+'), donor(2, 'A+'), donor(3, 'A+')]);
+
+  const response = await search({ bloodGroup: 'A+', limit: 1000 });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.donors.length, 2);
+});
+
+test('scores a donor from their history, smoothing a short record', async () => {
+  db.on(/WITH Asked AS/, [history(7, {
+    TimesAsked: 8,
+    TimesAccepted: 8,
+    MedianResponseSeconds: 180,
+    DonationsCompleted: 8,
+    LastContactedAt: new Date(Date.now() - 45 * 24 * 60 * 60000)
+  })]);
+  const token = jwt.sign({ userId: 1, role: 'admin' }, env.JWT_SECRET);
+
+  const response = await fetch(`${http.baseUrl}/api/donors/7/reliability`, { headers: { Authorization: `Bearer ${token}` } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  // acceptance 9/10, response time full marks, attendance 9/10, fully rested
+  assert.equal(body.reliabilityScore, 94);
+  assert.deepEqual(body.reliability.components, { acceptance: 0.9, responseTime: 1, attendance: 0.9, rest: 1 });
+  assert.equal(body.reliability.acceptanceRate, 1);
+});
+
+test('asks dependable donors first and shows the breakdown to admins only', async () => {
+  givenDonors([donor(1, 'A+'), donor(2, 'A+'), donor(3, 'A+')], [
+    history(1, { TimesAsked: 6, TimesAccepted: 1, MedianResponseSeconds: 4 * 60 * 60, NoShows: 1 }),
+    history(2, { TimesAsked: 6, TimesAccepted: 6, MedianResponseSeconds: 120, DonationsCompleted: 5 }),
+    // never asked: scores the middle of every part, and full rest
+    history(3)
+  ]);
+
+  const admin = await search({ bloodGroup: 'A+' });
+  assert.deepEqual(admin.body.donors.map(item => item.id), [2, 3, 1]);
+  assert.equal(admin.body.donors[1].reliabilityScore, 60);
+  assert.ok(admin.body.donors.every(item => item.reliability));
+
+  const donorView = await search({ bloodGroup: 'A+' }, 'donor');
+  assert.ok(donorView.body.donors.every(item => item.reliability === undefined));
+});
+
+test('lets a donor who was asked recently rest behind an equally reliable one', async () => {
+  const record = { TimesAsked: 4, TimesAccepted: 3, MedianResponseSeconds: 600, DonationsCompleted: 3 };
+  givenDonors([donor(1, 'A+'), donor(2, 'A+')], [
+    history(1, { ...record, LastContactedAt: new Date(Date.now() - 2 * 24 * 60 * 60000) }),
+    history(2, { ...record, LastContactedAt: new Date(Date.now() - 40 * 24 * 60 * 60000) })
+  ]);
+
+  const response = await search({ bloodGroup: 'A+' });
+
+  assert.deepEqual(response.body.donors.map(item => item.id), [2, 1]);
+});
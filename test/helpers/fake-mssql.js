@@ -0,0 +1,93 @@
+const { EventEmitter } = require('events');
+
+// A stand-in for the mssql driver. Tests answer queries by matching their SQL text with db.on();
+// anything unmatched returns no rows. Every query is logged with its inputs for assertions.
+function createFakeDatabase() {
+  const handlers = [];
+  const queries = [];
+
+  async function run(text, inputs, transaction) {
+    queries.push({ text, inputs, transaction });
+    const handler = handlers.find(item => item.pattern.test(text));
+    const answer = handler ? await handler.respond(inputs, text) : [];
+    const recordset = Array.isArray(answer) ? answer : (answer.recordset || []);
+    const rowsAffected = Array.isArray(answer) ? [recordset.length] : (answer.rowsAffected || [recordset.length]);
+    return { recordset, recordsets: [recordset], rowsAffected };
+  }
+
+  class Transaction extends EventEmitter {
+    constructor() {
+      super();
+      this.state = 'new';
+    }
+
+    async begin() {
+      this.state = 'open';
+      return this;
+    }
+
+    async commit() {
+      this.state = 'committed';
+      this.emit('commit');
+    }
+
+    async rollback() {
+      this.state = 'rolledBack';
+      this.emit('rollback');
+    }
+  }
+
+  class Request {
+    constructor(parent) {
+      this.transaction = parent instanceof Transaction ? parent : null;
+      this.inputs = {};
+    }
+
+    input(name, type, value) {
+      this.inputs[name] = arguments.length === 2 ? type : value;
+      return this;
+    }
+
+    query(text) {
+      return run(text, this.inputs, this.transaction);
+    }
+  }
+
+  const pool = { request: () => new Request(pool) };
+
+  // Column types only need to be accepted, including the sql.NVarChar(sql.MAX) call form
+  const type = () => type;
+  const module = {
+    Request,
+    Transaction,
+    MAX: Infinity,
+    connect: async () => pool
+  };
+  ['Int', 'TinyInt', 'Bit', 'Decimal', 'DateTime', 'NVarChar', 'VarChar'].forEach(name => {
+    module[name] = type;
+  });
+
+  const db = {
+    module,
+    queries,
+
+    // Later handlers take precedence, so a test can override the defaults it was given
+    on(pattern, respond) {
+      handlers.unshift({ pattern, respond: typeof respond === 'function' ? respond : () => respond });
+      return db;
+    },
+
+    find(pattern) {
+      return queries.filter(query => pattern.test(query.text));
+    },
+
+    reset() {
+      handlers.length = 0;
+      queries.length = 0;
+    }
+  };
+
+  return db;
+}
+
+module.exports = { createFakeDatabase };
@@ -0,0 +1,33 @@
+// Replaces nodemailer's transport with a sink that keeps each email for the test to read
+function createFakeSmtp() {
+  const sent = [];
+  let failures = [];
+
+  const transport = {
+    sendMail: async mail => {
+      const failure = failures.shift();
+      if (failure) throw failure;
+
+      const messageId = `<${sent.length + 1}@smtp.test>`;
+      sent.push({ ...mail, messageId });
+      return { messageId };
+    }
+  };
+
+  return {
+    module: { createTransport: () => transport },
+    sent,
+
+    // The next `count` sends throw `error`
+    failNext(error, count = 1) {
+      failures = failures.concat(Array(count).fill(error));
+    },
+
+    reset() {
+      sent.length = 0;
+      failures = [];
+    }
+  };
+}
+
+module.exports = { createFakeSmtp };
@@ -0,0 +1,48 @@
+const twilio = require('twilio');
+const { getExpectedTwilioSignature } = require('twilio/lib/webhooks/webhooks');
+
+// Replaces the Twilio REST client so texts are captured instead of sent. TwiML and webhook
+// signature checks are the real library's, so signed requests from tests are validated as in production.
+function createFakeTwilio() {
+  const sent = [];
+  let failures = [];
+
+  const client = {
+    messages: {
+      create: async message => {
+        const failure = failures.shift();
+        if (failure) throw failure;
+
+        const sid = `SM${String(sent.length + 1).padStart(32, '0')}`;
+        sent.push({ ...message, sid });
+        return { sid };
+      }
+    }
+  };
+
+  const module = Object.assign(() => client, {
+    twiml: twilio.twiml,
+    validateRequest: twilio.validateRequest
+  });
+
+  return {
+    module,
+    sent,
+
+    // The next `count` sends throw `error`
+    failNext(error, count = 1) {
+      failures = failures.concat(Array(count).fill(error));
+    },
+
+    sign(authToken, url, params) {
+      return getExpectedTwilioSignature(authToken, url, params);
+    },
+
+    reset() {
+      sent.length = 0;
+      failures = [];
+    }
+  };
+}
+
+module.exports = { createFakeTwilio };
@@ -0,0 +1,58 @@
+const { createFakeDatabase } = require('./fake-mssql');
+const { createFakeTwilio } = require('./fake-twilio');
+const { createFakeSmtp } = require('./fake-smtp');
+
+const TEST_ENV = {
+  JWT_SECRET: 'test-jwt-secret',
+  TWILIO_ACCOUNT_SID: 'ACtest',
+  TWILIO_AUTH_TOKEN: 'test-auth-token',
+  TWILIO_PHONE_NUMBER: '+15550000000',
+  PUBLIC_BASE_URL: 'http://bloodcare.test',
+  SMTP_HOST: 'smtp.test'
+};
+
+function stubModule(name, exports) {
+  const id = require.resolve(name);
+  require.cache[id] = { id, filename: id, loaded: true, exports };
+}
+
+// Loads server.js against the fakes, without starting the HTTP server or background jobs
+async function loadServer() {
+  Object.assign(process.env, TEST_ENV);
+
+  const db = createFakeDatabase();
+  const twilio = createFakeTwilio();
+  const smtp = createFakeSmtp();
+  stubModule('mssql', db.module);
+  stubModule('twilio', twilio.module);
+  stubModule('nodemailer', smtp.module);
+
+  const server = require('../../server');
+  await server.connectDB({ verifySchema: false });
+
+  return { server, db, twilio, smtp, env: TEST_ENV };
+}
+
+// Background work such as the outbox worker is started without being awaited; this waits for its effect
+async function waitFor(check, { timeoutMs = 2000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for background work');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Listens on a free port for HTTP tests; call the returned close() when done
+function listen(server) {
+  return new Promise(resolve => {
+    server.server.listen(0, '127.0.0.1', () => {
+      const { port } = server.server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { loadServer, listen, waitFor, TEST_ENV };
@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let db;
+let env;
+let http;
+
+const DAY = 24 * 60 * 60000;
+
+before(async () => {
+  let server;
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function bag(id, overrides = {}) {
+  return {
+    UnitID: id,
+    BagNumber: `CH-${id}`,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    HospitalID: 3,
+    Status: 'Available',
+    ExpiresAt: new Date(Date.now() + id * DAY),
+    ReservedForRequestID: null,
+    ...overrides
+  };
+}
+
+// Answers the stock queries from `units` the way the database would, soonest expiry first
+function givenStock(units) {
+  db.on(/FROM BloodUnits WITH \(UPDLOCK, READPAST, ROWLOCK\)/, inputs => units
+    .filter(unit =>
+      unit.BloodGroup === inputs.bloodGroup &&
+      unit.Component === inputs.component &&
+      unit.HospitalID === Number(inputs.hospitalId) &&
+      unit.Status === 'Available' &&
+      unit.ExpiresAt > new Date()
+    )
+    .sort((a, b) => a.ExpiresAt - b.ExpiresAt || a.UnitID - b.UnitID)
+    .slice(0, inputs.count))
+    .on(/FROM BloodUnits WITH \(UPDLOCK, ROWLOCK\) WHERE UnitID = @unitId/, inputs => units.filter(unit => unit.UnitID === Number(inputs.unitId)));
+}
+
+function unitChanges() {
+  return db.find(/UPDATE BloodUnits SET/).map(query => ({ unitId: query.inputs.unitId, status: query.inputs.toStatus }));
+}
+
+async function post(path, body = {}) {
+  const token = jwt.sign({ userId: 1, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('issues the bags that expire soonest and skips expired or unavailable ones', async () => {
+  givenStock([
+    bag(1, { ExpiresAt: new Date(Date.now() - DAY) }),
+    bag(2, { Status: 'Quarantined' }),
+    bag(5),
+    bag(3),
+    bag(4, { BloodGroup: 'O-' })
+  ]);
+
+  const response = await post('/api/blood-units/issue', { bloodGroup: 'O+', hospitalId: 3, units: 2, issuedTo: 'Ward 4' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.units.map(unit => unit.id), [3, 5]);
+  assert.deepEqual(unitChanges(), [{ unitId: 3, status: 'Issued' }, { unitId: 5, status: 'Issued' }]);
+  assert.deepEqual(db.find(/INSERT INTO UnitIssues/).map(query => query.inputs.issuedTo), ['Ward 4', 'Ward 4']);
+
+  const [select] = db.find(/FROM BloodUnits WITH \(UPDLOCK, READPAST, ROWLOCK\)/);
+  assert.match(select.text, /ORDER BY ExpiresAt, UnitID/);
+  assert.equal(select.transaction.state, 'committed');
+});
+
+test('issues nothing when the shelf cannot cover the whole order', async () => {
+  givenStock([bag(3)]);
+
+  const response = await post('/api/blood-units/issue', { bloodGroup: 'O+', hospitalId: 3, units: 2, issuedTo: 'Ward 4' });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(unitChanges(), []);
+  assert.equal(db.find(/FROM BloodUnits WITH \(UPDLOCK, READPAST, ROWLOCK\)/)[0].transaction.state, 'rolledBack');
+});
+
+test('will not discard a bag that has already been issued', async () => {
+  givenStock([bag(3, { Status: 'Issued' })]);
+
+  const response = await post('/api/blood-units/3/discard');
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(unitChanges(), []);
+});
+
+function givenOpenRequest(overrides = {}) {
+  db.on(/FROM Requests WHERE RequestID = @requestId/, [{
+    RequestID: 42,
+    BloodGroup: 'A+',
+    Component: 'WholeBlood',
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    Status: 'Accepted',
+    ...overrides
+  }]);
+}
+
+test('reserves only the patient\'s own group unless other compatible groups are allowed', async () => {
+  givenOpenRequest();
+  givenStock([bag(5, { BloodGroup: 'A+' }), bag(2, { BloodGroup: 'O-' }), bag(4, { BloodGroup: 'B+' })]);
+
+  const exact = await post('/api/requests/42/reserve', { units: 2 });
+  assert.equal(exact.status, 409);
+  assert.deepEqual(unitChanges(), []);
+
+  db.queries.length = 0;
+  const compatible = await post('/api/requests/42/reserve', { units: 2, allowCompatible: true });
+
+  assert.equal(compatible.status, 200);
+  assert.deepEqual(compatible.body.units.map(unit => unit.id), [5, 2]);
+  assert.deepEqual(unitChanges(), [{ unitId: 5, status: 'Reserved' }, { unitId: 2, status: 'Reserved' }]);
+  assert.ok(db.find(/UPDATE BloodUnits SET/).every(query => query.inputs.ReservedForRequestID === '42'));
+});
+
+test('issues the units reserved for a request before fresh stock and completes it', async () => {
+  givenOpenRequest({ BloodGroup: 'O+' });
+  const reserved = bag(7, { Status: 'Reserved', ReservedForRequestID: 42 });
+  givenStock([reserved, bag(3)]);
+  db.on(/WHERE ReservedForRequestID = @requestId\s+AND Status = 'Reserved'\s+ORDER BY/, [reserved])
+    .on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: 2, UnitsDonated: 0, UnitsScheduled: 0, UnitsIssued: 2 }])
+    .on(/FROM Requests WITH \(UPDLOCK, ROWLOCK\) WHERE RequestID/, [{ Status: 'Accepted', HospitalID: 3 }])
+    .on(/UPDATE Requests SET Status = @toStatus/, { rowsAffected: [1] });
+
+  const response = await post('/api/requests/42/issue', { units: 2, issuedTo: 'R. Kumar, Ward 4' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.progress.completed, true);
+  assert.deepEqual(unitChanges(), [{ unitId: 7, status: 'Issued' }, { unitId: 3, status: 'Issued' }]);
+  assert.deepEqual(db.find(/INSERT INTO UnitIssues/).map(query => query.inputs.requestId), ['42', '42']);
+  assert.equal(db.find(/UPDATE Requests SET Status = @toStatus/)[0].inputs.toStatus, 'Completed');
+});
+
+test('will not reserve or issue stock for a closed request', async () => {
+  givenOpenRequest({ Status: 'Cancelled' });
+  givenStock([bag(5, { BloodGroup: 'A+' })]);
+
+  const reserve = await post('/api/requests/42/reserve', { units: 1 });
+  const issue = await post('/api/requests/42/issue', { units: 1, issuedTo: 'Ward 4' });
+
+  assert.equal(reserve.status, 409);
+  assert.equal(issue.status, 409);
+  assert.deepEqual(unitChanges(), []);
+});
@@ -0,0 +1,104 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let db;
+let env;
+let http;
+
+before(async () => {
+  let server;
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+async function post(path, body = {}) {
+  const token = jwt.sign({ userId: 1, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function givenRequest(status) {
+  db.on(/FROM Requests WITH \(UPDLOCK, ROWLOCK\) WHERE RequestID/, [{ Status: status, HospitalID: 3 }])
+    .on(/UPDATE Requests SET Status = @toStatus/, { rowsAffected: [1] })
+    .on(/SELECT BloodGroup, HospitalName FROM Requests/, [{ BloodGroup: 'O+', HospitalName: 'City Hospital' }]);
+}
+
+function givenDonation(status) {
+  db.on(/FROM Donations WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: status, RequestID: 42, SlotID: null, HospitalID: 3 }])
+    .on(/UPDATE Donations SET Status = @toStatus/, { rowsAffected: [1] });
+}
+
+function history() {
+  return db.find(/INSERT INTO RequestStatusHistory/).map(query => ({
+    entity: query.inputs.entity,
+    from: query.inputs.fromStatus,
+    to: query.inputs.toStatus,
+    actor: query.inputs.actorUserId
+  }));
+}
+
+test('cancels a request and its scheduled donation together, recording both steps', async () => {
+  givenRequest('Accepted');
+  givenDonation('Scheduled');
+  db.on(/WHERE dn\.RequestID = @requestId\s+AND dn\.Status = 'Scheduled'/, [{ DonationID: 99, UserID: 11, PhoneNumber: '+919876543210' }])
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919876543210', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+
+  const response = await post('/api/cancel-request', { requestId: 42, reason: 'Patient transferred' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(history(), [
+    { entity: 'Request', from: 'Accepted', to: 'Cancelled', actor: 1 },
+    { entity: 'Donation', from: 'Scheduled', to: 'Cancelled', actor: 1 }
+  ]);
+  const transactions = new Set(db.find(/INSERT INTO RequestStatusHistory|UPDATE Requests SET|UPDATE Donations SET/).map(query => query.transaction));
+  assert.equal(transactions.size, 1);
+  assert.equal([...transactions][0].state, 'committed');
+});
+
+test('refuses a change the request lifecycle does not allow', async () => {
+  givenRequest('Completed');
+
+  const response = await post('/api/cancel-request', { requestId: 42 });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Cannot change request from Completed to Cancelled');
+  assert.equal(db.find(/UPDATE Requests SET/).length, 0);
+  assert.deepEqual(history(), []);
+});
+
+test('turns a status changed underneath it into a conflict', async () => {
+  givenRequest('Pending');
+  db.on(/UPDATE Requests SET Status = @toStatus/, { rowsAffected: [0] });
+
+  const response = await post('/api/cancel-request', { requestId: 42 });
+
+  assert.equal(response.status, 409);
+  const [update] = db.find(/UPDATE Requests SET/);
+  assert.match(update.text, /AND Status = @fromStatus/);
+  assert.equal(update.transaction.state, 'rolledBack');
+  assert.deepEqual(history(), []);
+});
+
+test('only lets a scheduled donation be marked a no-show', async () => {
+  givenDonation('Completed');
+
+  const response = await post('/api/donations/99/no-show');
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Cannot change donation from Completed to NoShow');
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+});
@@ -0,0 +1,162 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, listen, waitFor } = require('./helpers/load-server');
+
+let server;
+let db;
+let twilio;
+let smtp;
+let env;
+let http;
+
+before(async () => {
+  ({ server, db, twilio, smtp, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+  twilio.reset();
+  smtp.reset();
+});
+
+// Quiet hours covering the donor's local time right now (the server's default zone)
+function quietNow() {
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'Asia/Kolkata',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(new Date()), 10);
+  return { QuietHoursStart: hour, QuietHoursEnd: (hour + 2) % 24 };
+}
+
+function givenDonor({ quietHours = quietNow(), channels = [] } = {}) {
+  db.on(/FROM Users u\s+LEFT JOIN Donors d/, [{
+    Email: 'asha@example.com',
+    PhoneNumber: '+919876543210',
+    DonorID: 5,
+    ...quietHours
+  }])
+    .on(/SELECT Category, Channels FROM NotificationPreferences/, channels)
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+}
+
+function queuedSms() {
+  return db.find(/INSERT INTO Outbox/).find(query => query.inputs.channel === 'sms');
+}
+
+// Sends one queued email through the outbox worker and returns what reached the SMTP sink
+async function deliverEmail(purpose) {
+  let claimed = false;
+  db.on(/WITH Due AS/, () => {
+    if (claimed) return [];
+    claimed = true;
+    return [{
+      MessageID: 700,
+      Channel: 'email',
+      UserID: 11,
+      Recipient: 'asha@example.com',
+      RequestID: null,
+      NotificationID: null,
+      Purpose: purpose,
+      Subject: 'Blood Donation Camp',
+      Body: 'Join us on Saturday.',
+      Attempts: 1
+    }];
+  });
+  server.runOutbox();
+  await waitFor(() => smtp.sent.length === 1);
+  return smtp.sent[0];
+}
+
+function unsubscribeLink(mail) {
+  const url = new URL(mail.text.match(/visit (\S+)/)[1]);
+  return { url, local: `${http.baseUrl}${url.pathname}${url.search}` };
+}
+
+test('holds a camp invite until quiet hours end', async () => {
+  givenDonor();
+
+  await server.createNotification(11, { type: 'camp-invite', title: 'Camp', message: 'Join us on Saturday.' });
+
+  assert.ok(queuedSms().inputs.notBefore > new Date());
+});
+
+test('sends OTPs and emergency appeals during quiet hours', async () => {
+  givenDonor();
+
+  await server.createNotification(11, { type: 'otp', title: 'OTP', message: 'Sent.', sms: 'Your OTP is 123456', sensitive: true });
+  assert.equal(queuedSms().inputs.notBefore, null);
+
+  db.reset();
+  givenDonor();
+  await server.createNotification(11, { type: 'emergency', title: 'Urgent', message: 'O+ needed', urgency: 'High' });
+  assert.equal(queuedSms().inputs.notBefore, null);
+});
+
+test('offers one-click unsubscribe headers on category emails', async () => {
+  const mail = await deliverEmail('camp-invite');
+  const { url } = unsubscribeLink(mail);
+
+  assert.equal(mail.headers['List-Unsubscribe'], `<${url.href}>`);
+  assert.equal(mail.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+  assert.equal(url.searchParams.get('category'), 'camp');
+});
+
+test('opening an unsubscribe link only asks for confirmation', async () => {
+  const { url, local } = unsubscribeLink(await deliverEmail('camp-invite'));
+  db.reset();
+
+  const response = await fetch(local);
+  const page = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(page, /<form method="POST" action="\/api\/unsubscribe">/);
+  assert.match(page, new RegExp(`name="token" value="${url.searchParams.get('token')}"`));
+  assert.equal(db.queries.length, 0);
+});
+
+test('confirming the form stops that category\'s emails only', async () => {
+  const { url } = unsubscribeLink(await deliverEmail('camp-invite'));
+  db.reset();
+  givenDonor();
+
+  const response = await fetch(`${http.baseUrl}/api/unsubscribe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: url.searchParams
+  });
+
+  assert.equal(response.status, 200);
+  const [saved] = db.find(/DELETE FROM NotificationPreferences/);
+  assert.equal(saved.inputs.category, 'camp');
+  assert.equal(saved.inputs.channels, 'inapp,sms');
+});
+
+test('will not unsubscribe the last channel that can carry an OTP', async () => {
+  const { local } = unsubscribeLink(await deliverEmail('otp'));
+  db.reset();
+  givenDonor({ channels: [{ Category: 'donation', Channels: 'inapp,email' }] });
+
+  // A mail client's one-click request carries the link's parameters in the URL
+  const response = await fetch(local, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'List-Unsubscribe=One-Click'
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(db.find(/DELETE FROM NotificationPreferences/).length, 0);
+});
+
+test('rejects links signed with the JWT secret itself', async () => {
+  const token = crypto.createHmac('sha256', env.JWT_SECRET).update('unsubscribe:11:camp').digest('hex');
+
+  const response = await fetch(`${http.baseUrl}/api/unsubscribe?user=11&category=camp&token=${token}`);
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,120 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let server;
+let db;
+let env;
+let http;
+
+before(async () => {
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function hashOtp(donationId, otp) {
+  return crypto.createHmac('sha256', env.JWT_SECRET).update(`${donationId}:${otp}`).digest('hex');
+}
+
+function scheduledDonation(overrides = {}) {
+  return {
+    Status: 'Accepted',
+    RequestComponent: 'WholeBlood',
+    OTPFailedAttempts: 0,
+    OTPLockedAt: null,
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    DonationID: 99,
+    DonorID: 5,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    ScreeningID: 31,
+    OTPHash: hashOtp(99, '123456'),
+    expired: 0,
+    ...overrides
+  };
+}
+
+async function verifyOtp(body) {
+  const token = jwt.sign({ userId: 1, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}/api/verify-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('charges a wrong OTP as an attempt and reports the lock at the limit', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [scheduledDonation({ OTPFailedAttempts: 4 })])
+    .on(/SET OTPFailedAttempts = OTPFailedAttempts \+ 1/, [{ OTPFailedAttempts: 5 }]);
+
+  const response = await verifyOtp({ requestId: 42, otp: '000000' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.message, 'Invalid OTP. This OTP is now locked.');
+  assert.equal(response.body.attemptsRemaining, 0);
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+});
+
+test('refuses a locked OTP even when it is right', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [scheduledDonation({ OTPLockedAt: new Date() })]);
+
+  const response = await verifyOtp({ requestId: 42, otp: '123456' });
+
+  assert.equal(response.status, 423);
+  assert.equal(db.find(/OTPFailedAttempts \+ 1/).length, 0);
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+});
+
+test('refuses an expired OTP without completing the donation', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [scheduledDonation({ expired: 1 })]);
+
+  const response = await verifyOtp({ requestId: 42, otp: '123456' });
+
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.message, 'OTP has expired');
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+  assert.equal(db.find(/INSERT INTO BloodUnits/).length, 0);
+});
+
+test('unlocks and reissues a booked donor\'s OTP together, valid for their appointment', async () => {
+  const endsAt = new Date(Date.now() + 5 * 60 * 60000);
+  const validUntil = new Date(endsAt.getTime() + 60 * 60000);
+  db.on(/s\.EndsAt AS SlotEndsAt/, [{ DonationID: 99, UserID: 11, OTPLockedAt: new Date(), SlotEndsAt: endsAt, secondsSinceSent: 900 }])
+    .on(/SET dn\.OTPHash = @otpHash/, [{
+      RequestID: 42,
+      OTPExpiry: validUntil,
+      UserID: 11,
+      PhoneNumber: '+919876543210',
+      HospitalName: 'City Hospital'
+    }])
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: '+919876543210', DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }]);
+
+  const token = jwt.sign({ userId: 1, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}/api/requests/42/resend-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({})
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok((await response.json()).expiresInMinutes > 5 * 60);
+
+  const [unlock] = db.find(/SET OTPFailedAttempts = 0, OTPLockedAt = NULL/);
+  const [issued] = db.find(/SET dn\.OTPHash = @otpHash/);
+  assert.equal(unlock.transaction.state, 'committed');
+  assert.equal(issued.transaction, unlock.transaction);
+  assert.equal(issued.inputs.validUntil.getTime(), validUntil.getTime());
+});
@@ -0,0 +1,162 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen, waitFor } = require('./helpers/load-server');
+
+let server;
+let db;
+let twilio;
+let env;
+let http;
+
+before(async () => {
+  ({ server, db, twilio, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+  twilio.reset();
+});
+
+function hashOtp(donationId, otp) {
+  return crypto.createHmac('sha256', env.JWT_SECRET).update(`${donationId}:${otp}`).digest('hex');
+}
+
+function smsMessage(id, overrides = {}) {
+  return {
+    MessageID: id,
+    Channel: 'sms',
+    UserID: 11,
+    Recipient: '+919876543210',
+    RequestID: 42,
+    NotificationID: null,
+    Purpose: 'appointment-reminder',
+    Subject: 'Reminder',
+    Body: `BloodCare: message ${id}`,
+    Attempts: 1,
+    ...overrides
+  };
+}
+
+// Hands `messages` to the outbox worker once and waits for each to be marked sent or failed
+async function deliver(messages) {
+  let claimed = false;
+  db.on(/WITH Due AS/, () => {
+    if (claimed) return [];
+    claimed = true;
+    return messages;
+  });
+  server.runOutbox();
+  await waitFor(() => db.find(/WHERE MessageID = @messageId/).length === messages.length);
+  return db.find(/WHERE MessageID = @messageId/);
+}
+
+test('gives every text its own provider id', async () => {
+  const updates = await deliver([smsMessage(1), smsMessage(2)]);
+
+  assert.deepEqual(twilio.sent.map(message => message.body), ['BloodCare: message 1', 'BloodCare: message 2']);
+  const ids = updates.map(update => update.inputs.providerMessageId);
+  assert.equal(new Set(ids).size, 2);
+  assert.deepEqual(ids, twilio.sent.map(message => message.sid));
+});
+
+test('retries a rate-limited text with backoff', async () => {
+  twilio.failNext(Object.assign(new Error('Too many requests'), { status: 429 }));
+
+  const [update] = await deliver([smsMessage(3, { Attempts: 2 })]);
+
+  assert.equal(update.inputs.status, 'Pending');
+  assert.equal(update.inputs.delay, 60);
+});
+
+test('dead-letters a text Twilio refuses and redacts it if sensitive', async () => {
+  twilio.failNext(Object.assign(new Error('Invalid To number'), { status: 400 }));
+
+  const [update] = await deliver([smsMessage(4)]);
+
+  assert.equal(update.inputs.status, 'DeadLetter');
+  assert.match(update.text, /WHEN @status = 'DeadLetter' AND Sensitive = 1 THEN '\[redacted\]'/);
+});
+
+test('lists sensitive messages with their body redacted', async () => {
+  const token = jwt.sign({ userId: 1, role: 'admin' }, env.JWT_SECRET);
+  db.on(/FROM Outbox o/, [{ messageId: 9, channel: 'sms', body: '[redacted]', sensitive: true, status: 'Pending' }]);
+
+  const response = await fetch(`${http.baseUrl}/api/outbox?status=Pending`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(response.status, 200);
+  const [listed] = db.find(/FROM Outbox o/);
+  assert.match(listed.text, /CASE WHEN o\.Sensitive = 1 THEN '\[redacted\]' ELSE o\.Body END AS body/);
+  assert.doesNotMatch(listed.text, /^\s*o\.Body AS body/m);
+  assert.equal(listed.inputs.status, 'Pending');
+});
+
+test('seals a new OTP in the outbox, sends it at once and only opens it to hand to Twilio', async () => {
+  db.on(/SET dn\.OTPHash = @otpHash/, [{
+    RequestID: 42,
+    OTPExpiry: new Date(Date.now() + 120 * 60000),
+    UserID: 11,
+    PhoneNumber: '+919876543210',
+    HospitalName: 'City Hospital'
+  }])
+    // Quiet hours that cover nearly the whole day, which OTPs must ignore
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{
+      Email: 'asha@example.com',
+      PhoneNumber: '+919876543210',
+      DonorID: 5,
+      QuietHoursStart: 0,
+      QuietHoursEnd: 23
+    }])
+    .on(/SELECT Category, Channels FROM NotificationPreferences/, [{ Category: 'donation', Channels: 'inapp,sms,email' }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, () => [{ MessageID: 600 + db.find(/INSERT INTO Outbox/).length }]);
+
+  const otp = await server.issueDonationOtp(99);
+
+  assert.equal(db.find(/SET dn\.OTPHash = @otpHash/)[0].inputs.otpHash, hashOtp(99, otp));
+
+  const queued = Object.fromEntries(db.find(/INSERT INTO Outbox/).map(query => [query.inputs.channel, query.inputs]));
+  assert.deepEqual(Object.keys(queued).sort(), ['email', 'inapp', 'sms']);
+  assert.ok(!queued.inapp.body.includes(otp));
+  for (const channel of ['sms', 'email']) {
+    assert.equal(queued[channel].sensitive, true);
+    assert.match(queued[channel].body, /^sealed:v1:/);
+    assert.ok(!queued[channel].body.includes(otp));
+    assert.equal(queued[channel].notBefore, null);
+  }
+
+  let claimed = false;
+  db.on(/WITH Due AS/, () => {
+    if (claimed) return [];
+    claimed = true;
+    return [{
+      MessageID: 602,
+      Channel: 'sms',
+      UserID: 11,
+      Recipient: '+919876543210',
+      RequestID: 42,
+      NotificationID: null,
+      Purpose: 'otp',
+      Subject: 'Donation OTP Sent',
+      Body: queued.sms.body,
+      Attempts: 1
+    }];
+  });
+  server.runOutbox();
+  await waitFor(() => db.find(/ProviderMessageID = @providerMessageId/).length === 1);
+
+  assert.equal(twilio.sent.length, 1);
+  assert.match(twilio.sent[0].body, new RegExp(`Your donation OTP is ${otp}\\.`));
+  assert.equal(twilio.sent[0].statusCallback, `${env.PUBLIC_BASE_URL}/api/sms/status`);
+
+  const [delivered] = db.find(/ProviderMessageID = @providerMessageId/);
+  assert.equal(delivered.inputs.status, 'Queued');
+  assert.equal(delivered.inputs.providerMessageId, twilio.sent[0].sid);
+  assert.match(delivered.text, /Body = CASE WHEN Sensitive = 1 THEN '\[redacted\]'/);
+});
@@ -0,0 +1,251 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let server;
+let db;
+let twilio;
+let env;
+let http;
+
+const DONOR = {
+  UserID: 11,
+  FullName: 'Asha Rao',
+  PhoneNumber: '+91 98765 43210',
+  BloodGroup: 'O+',
+  Role: 'donor',
+  DonorID: 5
+};
+
+before(async () => {
+  ({ server, db, twilio, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+  twilio.reset();
+});
+
+// Posts a text to the inbound webhook the way Twilio would, signed with the auth token
+async function sendText(from, body, { signed = true } = {}) {
+  const params = { From: from, Body: body };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (signed) {
+    headers['X-Twilio-Signature'] = twilio.sign(env.TWILIO_AUTH_TOKEN, `${env.PUBLIC_BASE_URL}/api/sms/inbound`, params);
+  }
+
+  const response = await fetch(`${http.baseUrl}/api/sms/inbound`, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params)
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+function adminToken() {
+  return jwt.sign({ userId: 1, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+}
+
+function hashOtp(donationId, otp) {
+  return crypto.createHmac('sha256', env.JWT_SECRET).update(`${donationId}:${otp}`).digest('hex');
+}
+
+// A donor with one request waiting on their answer and no screening on file
+function givenPendingRequest() {
+  db.on(/RIGHT\(REPLACE/, [DONOR])
+    .on(/a\.Status = 'Notified'\s+AND r\.Status IN/, [{ RequestID: 42, HospitalName: 'City Hospital', ContactNumber: '555-0100' }])
+    .on(/SELECT a\.AssignmentID, a\.Status, d\.DonorID/, [{ AssignmentID: 7, Status: 'Notified', DonorID: 5, HospitalID: 3, Component: 'WholeBlood' }])
+    .on(/FROM RequestAssignments WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: 'Notified' }])
+    .on(/UPDATE RequestAssignments\s+SET Status/, { rowsAffected: [1] })
+    .on(/FROM Requests WITH \(UPDLOCK, ROWLOCK\)\s+WHERE RequestID/, [{
+      Status: 'Accepted',
+      PatientName: 'R. Kumar',
+      BloodGroup: 'O+',
+      Component: 'WholeBlood',
+      HospitalID: 3,
+      HospitalName: 'City Hospital',
+      Location: 'Ward 4'
+    }])
+    .on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: 2, UnitsDonated: 0, UnitsScheduled: 0, UnitsIssued: 0 }])
+    .on(/INSERT INTO Donations/, [{ DonationID: 99 }])
+    .on(/FROM Users u\s+LEFT JOIN Donors d/, [{ Email: null, PhoneNumber: DONOR.PhoneNumber, DonorID: 5, QuietHoursStart: null, QuietHoursEnd: null }])
+    .on(/INSERT INTO Notifications/, [{ NotificationID: 501 }])
+    .on(/INSERT INTO Outbox/, [{ MessageID: 601 }])
+    .on(/SET dn\.OTPHash = @otpHash/, [{
+      RequestID: 42,
+      OTPExpiry: new Date(Date.now() + 120 * 60000),
+      UserID: DONOR.UserID,
+      PhoneNumber: DONOR.PhoneNumber,
+      HospitalName: 'City Hospital'
+    }]);
+}
+
+test('rejects inbound texts that Twilio did not sign', async () => {
+  const reply = await sendText(DONOR.PhoneNumber, 'YES', { signed: false });
+
+  assert.equal(reply.status, 403);
+  assert.equal(db.queries.length, 0);
+});
+
+test('asks a number shared by two donors to answer in the app instead of guessing', async () => {
+  db.on(/RIGHT\(REPLACE/, [DONOR, { ...DONOR, UserID: 12, FullName: 'Ravi Rao', DonorID: 6 }]);
+
+  const reply = await sendText(DONOR.PhoneNumber, 'YES 42');
+
+  assert.equal(reply.status, 200);
+  assert.match(reply.text, /More than one donor is registered with this number/);
+  assert.match(db.find(/RIGHT\(REPLACE/)[0].text, /ORDER BY u\.UserID/);
+  assert.equal(db.find(/RequestAssignments/).length, 0);
+});
+
+test('accepts a YES by text without a screening and leaves the screening for check-in', async () => {
+  givenPendingRequest();
+
+  const reply = await sendText('9876543210', 'yes');
+
+  assert.equal(reply.status, 200);
+  assert.match(reply.text, /You are confirmed to donate at City Hospital/);
+  assert.match(reply.text, /short health questionnaire before you donate/);
+
+  const [insert] = db.find(/INSERT INTO Donations/);
+  assert.equal(insert.inputs.screeningId, null);
+  assert.equal(insert.transaction.state, 'committed');
+
+  // The code in the reply is the one stored for the donation, and is not texted a second time
+  const otp = reply.text.match(/Your donation OTP is (\d{6})/)[1];
+  const [issued] = db.find(/SET dn\.OTPHash = @otpHash/);
+  assert.equal(issued.inputs.otpHash, hashOtp(99, otp));
+  assert.equal(issued.transaction, insert.transaction);
+  assert.equal(db.find(/INSERT INTO Outbox/).filter(query => query.inputs.channel === 'sms').length, 0);
+});
+
+test('will not confirm a text acceptance until the donor has been screened', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [{
+    Status: 'Accepted',
+    RequestComponent: 'WholeBlood',
+    OTPFailedAttempts: 0,
+    OTPLockedAt: null,
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    DonationID: 99,
+    DonorID: 5,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    ScreeningID: null,
+    OTPHash: hashOtp(99, '123456'),
+    expired: 0
+  }]);
+
+  const response = await fetch(`${http.baseUrl}/api/verify-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken()}` },
+    body: JSON.stringify({ requestId: 42, otp: '123456' })
+  });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /Record the donor's health screening/);
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+  assert.equal(db.find(/INSERT INTO BloodUnits/).length, 0);
+});
+
+test('cancels the donation and recruits again when the desk screening defers the donor', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [{
+    Status: 'Accepted',
+    RequestComponent: 'WholeBlood',
+    OTPFailedAttempts: 0,
+    OTPLockedAt: null,
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    DonationID: 99,
+    DonorID: 5,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    ScreeningID: null,
+    OTPHash: hashOtp(99, '123456'),
+    expired: 0
+  }])
+    .on(/FROM DonorScreenings s/, [{
+      ScreeningID: 31,
+      Outcome: 'TemporaryDeferral',
+      Reasons: JSON.stringify(['Feeling unwell today']),
+      DeferralID: 8,
+      QuestionnaireVersion: 1,
+      Answers: '{}',
+      ScreenedComponent: 'WholeBlood'
+    }])
+    .on(/FROM Donations WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: 'Scheduled', RequestID: 42, SlotID: null, HospitalID: 3 }])
+    .on(/UPDATE Donations SET Status = @toStatus/, { rowsAffected: [1] });
+
+  const response = await fetch(`${http.baseUrl}/api/verify-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken()}` },
+    body: JSON.stringify({ requestId: 42, otp: '123456' })
+  });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual((await response.json()).reasons, ['Feeling unwell today']);
+  assert.equal(db.find(/UPDATE Donations SET Status = @toStatus/)[0].inputs.toStatus, 'Cancelled');
+  assert.equal(db.find(/SET Status = 'Deferred'/).length, 1);
+
+  const [restart] = db.find(/SET r\.EscalationLevel = @level/);
+  assert.equal(restart.transaction.state, 'committed');
+  assert.equal(db.find(/INSERT INTO BloodUnits/).length, 0);
+});
+
+test('keeps desk screening answers only if the confirmation commits', async () => {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [{
+    Status: 'Accepted',
+    RequestComponent: 'WholeBlood',
+    OTPFailedAttempts: 0,
+    OTPLockedAt: null,
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    DonationID: 99,
+    DonorID: 5,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    ScreeningID: null,
+    OTPHash: hashOtp(99, '123456'),
+    expired: 0
+  }])
+    .on(/SELECT Component FROM Requests/, [{ Component: 'WholeBlood' }])
+    .on(/INSERT INTO DonorDeferrals/, [{ DeferralID: 8 }])
+    .on(/INSERT INTO DonorScreenings/, [{ ScreeningID: 32, CompletedAt: new Date() }])
+    .on(/FROM DonorScreenings s/, [{
+      ScreeningID: 32,
+      Outcome: 'TemporaryDeferral',
+      Reasons: JSON.stringify(['Recent travel to a malaria-endemic area']),
+      DeferralID: 8,
+      QuestionnaireVersion: 1,
+      Answers: '{}',
+      ScreenedComponent: 'WholeBlood'
+    }])
+    .on(/FROM Donations WITH \(UPDLOCK, ROWLOCK\)/, () => {
+      throw new Error('Lock request time out period exceeded');
+    });
+
+  const response = await fetch(`${http.baseUrl}/api/verify-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken()}` },
+    body: JSON.stringify({
+      requestId: 42,
+      otp: '123456',
+      screening: {
+        version: 1,
+        answers: { recentIllness: false, medications: ['none'], malariaTravel: true, haemoglobin: 13.5, weightKg: 60 }
+      }
+    })
+  });
+
+  assert.equal(response.status, 500);
+  const [lock] = db.find(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/);
+  for (const pattern of [/SELECT Component FROM Requests/, /INSERT INTO DonorDeferrals/, /INSERT INTO DonorScreenings/, /UPDATE Donors SET HealthStatus/]) {
+    assert.equal(db.find(pattern)[0].transaction, lock.transaction);
+  }
+  assert.equal(lock.transaction.state, 'rolledBack');
+});
@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let db;
+let env;
+let http;
+
+const DAY = 24 * 60 * 60000;
+
+before(async () => {
+  let server;
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function bag(id, overrides = {}) {
+  return {
+    UnitID: id,
+    BagNumber: `CH-${id}`,
+    BloodGroup: 'B+',
+    Component: 'WholeBlood',
+    HospitalID: 3,
+    Status: 'Available',
+    ExpiresAt: new Date(Date.now() + id * DAY),
+    ...overrides
+  };
+}
+
+// Transfer 8 asks City Hospital (3) to send two B+ bags to General Hospital (4)
+function givenTransfer(status, { capacity = 100, held = 10, units = [] } = {}) {
+  db.on(/FROM TransferRequests WITH \(UPDLOCK, ROWLOCK\)/, [{
+    TransferID: 8,
+    FromHospitalID: 3,
+    ToHospitalID: 4,
+    BloodGroup: 'B+',
+    Component: 'WholeBlood',
+    UnitsRequested: 2,
+    Status: status
+  }])
+    .on(/FROM Hospitals WITH \(UPDLOCK, ROWLOCK\)/, [{ Name: 'General Hospital', BloodBankCapacity: capacity }])
+    .on(/SELECT COUNT\(\*\) AS held/, [{ held }])
+    .on(/FROM BloodUnits WITH \(UPDLOCK, READPAST, ROWLOCK\)/, inputs => units
+      .filter(unit => unit.HospitalID === inputs.hospitalId && unit.BloodGroup === inputs.bloodGroup && unit.Status === 'Available')
+      .sort((a, b) => a.ExpiresAt - b.ExpiresAt)
+      .slice(0, inputs.count))
+    .on(/FROM TransferUnits tu/, inputs => units.filter(unit => unit.Status === inputs.status))
+    .on(/FROM BloodUnits WITH \(UPDLOCK, ROWLOCK\) WHERE UnitID = @unitId/, inputs => units.filter(unit => unit.UnitID === inputs.unitId));
+}
+
+function unitChanges() {
+  return db.find(/UPDATE BloodUnits SET/).map(query => ({
+    unitId: query.inputs.unitId,
+    status: query.inputs.toStatus,
+    ...(query.inputs.HospitalID !== undefined && { hospitalId: query.inputs.HospitalID })
+  }));
+}
+
+async function post(path, body = {}) {
+  const token = jwt.sign({ userId: 1, role: 'admin', name: 'Stock Admin' }, env.JWT_SECRET);
+  const response = await fetch(`${http.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('refuses a transfer from a hospital to itself', async () => {
+  const response = await post('/api/transfers', { fromHospitalId: 3, toHospitalId: 3, bloodGroup: 'B+', units: 2 });
+
+  assert.equal(response.status, 400);
+  assert.equal(db.queries.length, 0);
+});
+
+test('approving sets aside the supplier\'s soonest-expiring bags for the transfer', async () => {
+  givenTransfer('Requested', { units: [bag(6), bag(2), bag(4), bag(1, { HospitalID: 4 })] });
+
+  const response = await post('/api/transfers/8/approve');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(unitChanges(), [{ unitId: 2, status: 'Reserved' }, { unitId: 4, status: 'Reserved' }]);
+  assert.deepEqual(db.find(/INSERT INTO TransferUnits/).map(query => query.inputs.unitId), [2, 4]);
+
+  const [event] = db.find(/INSERT INTO TransferEvents/);
+  assert.deepEqual([event.inputs.fromStatus, event.inputs.toStatus], ['Requested', 'Approved']);
+  assert.equal(event.transaction.state, 'committed');
+});
+
+test('will not approve a transfer the receiving blood bank has no room for', async () => {
+  givenTransfer('Requested', { capacity: 40, held: 39, units: [bag(2), bag(4)] });
+
+  const response = await post('/api/transfers/8/approve');
+
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /General Hospital blood bank is full/);
+  assert.deepEqual(unitChanges(), []);
+  assert.equal(db.find(/INSERT INTO TransferEvents/)[0].transaction.state, 'rolledBack');
+});
+
+test('receiving moves the bags in transit into the receiving hospital\'s stock', async () => {
+  givenTransfer('Dispatched', { units: [bag(2, { Status: 'InTransit' }), bag(4, { Status: 'InTransit' })] });
+
+  const response = await post('/api/transfers/8/receive');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(unitChanges(), [
+    { unitId: 2, status: 'Available', hospitalId: 4 },
+    { unitId: 4, status: 'Available', hospitalId: 4 }
+  ]);
+});
+
+test('keeps the transfer steps in order', async () => {
+  givenTransfer('Requested', { units: [bag(2)] });
+
+  const response = await post('/api/transfers/8/receive');
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Cannot move transfer from Requested to Received');
+  assert.equal(db.find(/UPDATE TransferRequests/).length, 0);
+});
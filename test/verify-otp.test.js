@@ -0,0 +1,127 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadServer, listen } = require('./helpers/load-server');
+
+let db;
+let env;
+let http;
+
+before(async () => {
+  let server;
+  ({ server, db, env } = await loadServer());
+  http = await listen(server);
+});
+
+after(() => http.close());
+
+beforeEach(() => {
+  db.reset();
+});
+
+function hashOtp(donationId, otp) {
+  return crypto.createHmac('sha256', env.JWT_SECRET).update(`${donationId}:${otp}`).digest('hex');
+}
+
+// A screened donor booked on request 42 whose OTP is 123456, one of two units still to collect
+function givenScheduledDonation() {
+  db.on(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/, [{
+    Status: 'Accepted',
+    RequestComponent: 'WholeBlood',
+    OTPFailedAttempts: 0,
+    OTPLockedAt: null,
+    HospitalID: 3,
+    HospitalName: 'City Hospital',
+    DonationID: 99,
+    DonorID: 5,
+    BloodGroup: 'O+',
+    Component: 'WholeBlood',
+    ScreeningID: 31,
+    OTPHash: hashOtp(99, '123456'),
+    expired: 0
+  }])
+    .on(/FROM Donations WITH \(UPDLOCK, ROWLOCK\)/, [{ Status: 'Scheduled', RequestID: 42, SlotID: null, HospitalID: 3 }])
+    .on(/UPDATE Donations SET Status = @toStatus/, { rowsAffected: [1] })
+    .on(/FROM Hospitals WITH \(UPDLOCK, ROWLOCK\)/, [{ Name: 'City Hospital', BloodBankCapacity: 500 }])
+    .on(/SELECT COUNT\(\*\) AS held/, [{ held: 120 }])
+    .on(/INSERT INTO BloodUnits/, inputs => [{
+      UnitID: 70,
+      BagNumber: inputs.bagNumber,
+      Component: 'WholeBlood',
+      ExpiresAt: new Date(Date.now() + 35 * 24 * 60 * 60000)
+    }])
+    .on(/AS UnitsIssued/, [{ RequestID: 42, UnitsRequired: 2, UnitsDonated: 1, UnitsScheduled: 0, UnitsIssued: 0 }]);
+}
+
+async function verifyOtp(body, { key, userId = 1 } = {}) {
+  const token = jwt.sign({ userId, role: 'admin', name: 'Desk Admin' }, env.JWT_SECRET);
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+  if (key) headers['Idempotency-Key'] = key;
+
+  const response = await fetch(`${http.baseUrl}/api/verify-otp`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+test('completes the donation, creates its unit and stores the response in one transaction', async () => {
+  givenScheduledDonation();
+
+  const response = await verifyOtp({ requestId: 42, otp: '123456', bagNumber: 'CH-0001' }, { key: 'desk-1' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.donationId, 99);
+  assert.equal(response.body.unit.bagNumber, 'CH-0001');
+  assert.equal(response.body.unit.status, 'Quarantined');
+
+  const [lock] = db.find(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/);
+  assert.equal(lock.transaction.state, 'committed');
+  assert.equal(db.find(/UPDATE Donations SET Status = @toStatus/)[0].inputs.toStatus, 'Completed');
+  for (const pattern of [/UPDATE Donations SET Status = @toStatus/, /INSERT INTO BloodUnits/, /UPDATE Donors SET LastDonationDate/, /INSERT INTO IdempotencyKeys/]) {
+    assert.equal(db.find(pattern)[0].transaction, lock.transaction);
+  }
+});
+
+test('answers a retried confirmation from the stored response', async () => {
+  givenScheduledDonation();
+  const first = await verifyOtp({ requestId: 42, otp: '123456' }, { key: 'desk-2' });
+  const [saved] = db.find(/INSERT INTO IdempotencyKeys/);
+
+  db.reset();
+  givenScheduledDonation();
+  db.on(/FROM IdempotencyKeys/, [{ StatusCode: saved.inputs.statusCode, ResponseBody: saved.inputs.body, RequestHash: saved.inputs.requestHash }]);
+  const retry = await verifyOtp({ requestId: 42, otp: '123456' }, { key: 'desk-2' });
+
+  assert.equal(retry.status, 200);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+  assert.equal(db.find(/INSERT INTO BloodUnits/).length, 0);
+});
+
+test('refuses a key reused for a different confirmation', async () => {
+  givenScheduledDonation();
+  db.on(/FROM IdempotencyKeys/, [{ StatusCode: 200, ResponseBody: '{"success":true}', RequestHash: 'another request' }]);
+
+  const response = await verifyOtp({ requestId: 42, otp: '123456' }, { key: 'desk-3' });
+
+  assert.equal(response.status, 422);
+  assert.equal(db.find(/UPDATE Donations SET Status/).length, 0);
+});
+
+test('confirms nothing when the unit cannot be recorded', async () => {
+  givenScheduledDonation();
+  db.on(/INSERT INTO BloodUnits/, () => {
+    throw new Error('Violation of UNIQUE KEY constraint');
+  });
+
+  const response = await verifyOtp({ requestId: 42, otp: '123456', bagNumber: 'CH-0001' });
+
+  assert.equal(response.status, 500);
+  assert.equal(db.find(/FROM Requests r WITH \(UPDLOCK, ROWLOCK\)/)[0].transaction.state, 'rolledBack');
+});
+
+test('rejects a donationId that is not an ID', async () => {
+  const response = await verifyOtp({ requestId: 42, otp: '123456', donationId: 'abc' });
+
+  assert.equal(response.status, 400);
+  assert.equal(db.queries.length, 0);
+});